@@ -4,6 +4,12 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 require('dotenv').config();
+const { startSnapshotScheduler } = require('./utils/snapshots');
+const { startDividendRefreshScheduler } = require('./utils/dividendRefresh');
+const { startDividendReceiptScheduler } = require('./utils/dividendReceipt');
+const { startAlertScheduler } = require('./utils/alerts');
+const { startWebhookScheduler } = require('./utils/webhooks');
+const { getQuoteStatus } = require('./utils/quotes');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -11,6 +17,13 @@ const portfolioRoutes = require('./routes/portfolio');
 const stockRoutes = require('./routes/stocks');
 const dividendRoutes = require('./routes/dividends');
 const cashRoutes = require('./routes/cash');
+const reportRoutes = require('./routes/reports');
+const transactionRoutes = require('./routes/transactions');
+const fxRoutes = require('./routes/fx');
+const importRoutes = require('./routes/import');
+const accountRoutes = require('./routes/account');
+const alertRoutes = require('./routes/alerts');
+const webhookRoutes = require('./routes/webhooks');
 
 // Initialize app
 const app = express();
@@ -26,7 +39,8 @@ app.use(cors({
 }));
 
 // Body parser middleware
-app.use(express.json());
+// Account restores post a whole export bundle
+app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // MongoDB Connection
@@ -34,12 +48,29 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✓ MongoDB connected'))
+.then(() => {
+  console.log('✓ MongoDB connected');
+  if (process.env.DISABLE_SNAPSHOTS !== 'true') {
+    startSnapshotScheduler();
+  }
+  if (process.env.DISABLE_DIVIDEND_REFRESH !== 'true') {
+    startDividendRefreshScheduler();
+  }
+  if (process.env.DISABLE_DIVIDEND_RECEIPT !== 'true') {
+    startDividendReceiptScheduler();
+  }
+  if (process.env.DISABLE_ALERTS !== 'true') {
+    startAlertScheduler();
+  }
+  if (process.env.DISABLE_WEBHOOK_RETRIES !== 'true') {
+    startWebhookScheduler();
+  }
+})
 .catch(err => console.error('✗ MongoDB connection error:', err));
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  res.json({ status: 'OK', timestamp: new Date().toISOString(), quotes: getQuoteStatus() });
 });
 
 // API Routes
@@ -48,6 +79,13 @@ app.use('/api/portfolio', portfolioRoutes);
 app.use('/api/stocks', stockRoutes);
 app.use('/api/dividends', dividendRoutes);
 app.use('/api/cash', cashRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/transactions', transactionRoutes);
+app.use('/api/fx', fxRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
 
 const authMiddleware = (req, res, next) => {
   try {
@@ -16,6 +17,21 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
+// Must run after authMiddleware
+const adminMiddleware = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 const errorHandler = (err, req, res, next) => {
   console.error(err);
   res.status(err.status || 500).json({
@@ -25,5 +41,6 @@ const errorHandler = (err, req, res, next) => {
 
 module.exports = {
   authMiddleware,
+  adminMiddleware,
   errorHandler
 };
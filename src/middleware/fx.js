@@ -0,0 +1,24 @@
+const User = require('../models/User');
+const { getRateTable, BASE_CURRENCY } = require('../utils/currencyConverter');
+
+// Loads one rate table per request, in the user's reporting currency, so every
+// conversion in it uses the same rates, and flags responses built on fallback rates
+const fxMiddleware = async (req, res, next) => {
+  try {
+    const user = req.userId ? await User.findById(req.userId).select('baseCurrency') : null;
+    req.baseCurrency = (user && user.baseCurrency) || BASE_CURRENCY;
+    req.fx = await getRateTable(undefined, req.baseCurrency);
+
+    const { stale, fallbackCurrencies } = req.fx.status();
+    if (stale) {
+      res.set('X-FX-Stale', fallbackCurrencies.join(','));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  fxMiddleware
+};
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A price rule on one ticker, checked against current quotes
+const alertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ticker: {
+    type: String,
+    required: [true, 'Please provide a ticker symbol'],
+    uppercase: true,
+    trim: true
+  },
+  // PRICE_ABOVE/PRICE_BELOW: a price in the stock's currency
+  // DAILY_MOVE: a percentage move either way since the previous close
+  // POSITION_GAIN: a percentage gain on the holding, in the user's base currency
+  type: {
+    type: String,
+    required: [true, 'Please provide an alert type'],
+    enum: ['PRICE_ABOVE', 'PRICE_BELOW', 'DAILY_MOVE', 'POSITION_GAIN']
+  },
+  threshold: {
+    type: Number,
+    required: [true, 'Please provide a threshold']
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'PAUSED'],
+    default: 'ACTIVE'
+  },
+  // Whether the rule held at the last check; it triggers again only after it stops holding
+  conditionMet: {
+    type: Boolean,
+    default: false
+  },
+  lastCheckedAt: Date,
+  lastPrice: Number,
+  lastTriggeredAt: Date,
+  triggerCount: {
+    type: Number,
+    default: 0
+  },
+  note: String
+}, { timestamps: true });
+
+alertSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('Alert', alertSchema);
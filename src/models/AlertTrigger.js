@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One firing of an alert, with the rule as it was and the price that set it off
+const alertTriggerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  ticker: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['PRICE_ABOVE', 'PRICE_BELOW', 'DAILY_MOVE', 'POSITION_GAIN']
+  },
+  threshold: {
+    type: Number,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  // The measured value: the price, or the move or gain in percent
+  value: {
+    type: Number,
+    required: true
+  },
+  message: String,
+  quoteAsOf: Date,
+  triggeredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+alertTriggerSchema.index({ user: 1, triggeredAt: -1 });
+
+module.exports = mongoose.model('AlertTrigger', alertTriggerSchema);
@@ -1,17 +1,46 @@
 const mongoose = require('mongoose');
 
 const cashSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
   amount: {
     type: Number,
     required: [true, 'Please provide amount'],
     min: [0, 'Amount must be positive']
   },
+  currency: {
+    type: String,
+    default: 'DKK',
+    uppercase: true,
+    enum: ['USD', 'EUR', 'GBP', 'SEK', 'NOK', 'CHF', 'DKK']
+  },
   type: {
     type: String,
-    enum: ['DEPOSIT', 'WITHDRAWAL', 'SALE'],
+    enum: ['DEPOSIT', 'WITHDRAWAL', 'SALE', 'PURCHASE', 'DIVIDEND', 'EXCHANGE'],
     required: true
   },
+  // EXCHANGE only: amount leaves `currency` and toAmount arrives in toCurrency
+  toCurrency: {
+    type: String,
+    uppercase: true,
+    enum: ['USD', 'EUR', 'GBP', 'SEK', 'NOK', 'CHF', 'DKK']
+  },
+  toAmount: {
+    type: Number,
+    min: [0, 'Amount must be positive']
+  },
+  rate: Number,
   description: String,
+  // DIVIDEND only: the dividend this credit pays out
+  dividend: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dividend'
+  },
+  // Fingerprint of the import row this came from, used to skip it on re-import
+  importKey: String,
   date: {
     type: Date,
     default: Date.now
@@ -23,6 +52,9 @@ const cashSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 // Index for faster queries
-cashSchema.index({ type: 1, date: -1 });
+cashSchema.index({ user: 1, type: 1, date: -1 });
+cashSchema.index({ user: 1, importKey: 1 }, { sparse: true });
+// A dividend is credited at most once
+cashSchema.index({ dividend: 1 }, { unique: true, partialFilterExpression: { dividend: { $exists: true } } });
 
 module.exports = mongoose.model('Cash', cashSchema);
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
+const { countryFromTicker, defaultWithholdingRate } = require('../utils/withholding');
 
 const dividendSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
   ticker: {
     type: String,
     required: [true, 'Please provide a ticker symbol'],
@@ -12,10 +18,15 @@ const dividendSchema = new mongoose.Schema({
     required: [true, 'Please provide dividend amount per share'],
     min: [0, 'Dividend must be positive']
   },
+  // Gross payout; kept equal to grossAmount
   totalAmount: {
     type: Number,
     required: true
   },
+  grossAmount: {
+    type: Number,
+    min: [0, 'Dividend must be positive']
+  },
   currency: {
     type: String,
     default: 'USD',
@@ -39,6 +50,49 @@ const dividendSchema = new mongoose.Schema({
     enum: ['EXPECTED', 'RECEIVED'],
     default: 'EXPECTED'
   },
+  // Expected payments generated from the ticker's payout schedule (not entered by hand)
+  projected: {
+    type: Boolean,
+    default: false
+  },
+  frequency: {
+    type: String,
+    enum: ['MONTHLY', 'QUARTERLY', 'SEMI_ANNUAL', 'ANNUAL']
+  },
+  // Set when the ex- and pay dates were guessed rather than announced
+  estimatedDates: Boolean,
+  // How a received dividend was paid out: credited to cash or reinvested in shares (DRIP)
+  payout: {
+    type: String,
+    enum: ['CASH', 'REINVESTED']
+  },
+  reinvestedShares: Number,
+  // Received automatically once the payment date passes; off once the status is set by hand
+  autoReceive: {
+    type: Boolean,
+    default: true
+  },
+  // Country the dividend is paid from (ISO code), derived from the ticker's market
+  country: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // Percent withheld at source; defaults to the country's rate
+  withholdingRate: {
+    type: Number,
+    min: [0, 'Withholding rate cannot be negative'],
+    max: [100, 'Withholding rate cannot exceed 100%']
+  },
+  // Tax withheld at source, in the dividend's currency
+  withholdingTax: {
+    type: Number,
+    min: [0, 'Withholding tax cannot be negative']
+  },
+  // What actually reaches the cash account
+  netAmount: Number,
+  // Fingerprint of the import row this came from, used to skip it on re-import
+  importKey: String,
   notes: String,
   createdAt: {
     type: Date,
@@ -46,7 +100,39 @@ const dividendSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Derive gross, withholding and net amounts before validating
+// An explicit withholdingTax wins over the rate; otherwise the rate (or the country default) applies
+dividendSchema.pre('validate', function(next) {
+  if (this.grossAmount == null || (this.isModified('totalAmount') && !this.isModified('grossAmount'))) {
+    this.grossAmount = this.totalAmount;
+  }
+  this.totalAmount = this.grossAmount;
+
+  if (!this.country && this.ticker) {
+    this.country = countryFromTicker(this.ticker);
+  }
+
+  const gross = this.grossAmount || 0;
+  if (this.withholdingTax != null && this.isModified('withholdingTax')) {
+    this.withholdingRate = gross > 0 ? parseFloat((this.withholdingTax / gross * 100).toFixed(4)) : 0;
+  } else {
+    if (this.withholdingRate == null || (this.isModified('country') && !this.isModified('withholdingRate'))) {
+      this.withholdingRate = defaultWithholdingRate(this.country);
+    }
+    this.withholdingTax = parseFloat((gross * this.withholdingRate / 100).toFixed(2));
+  }
+
+  this.netAmount = parseFloat((gross - this.withholdingTax).toFixed(2));
+  next();
+});
+
 // Index for faster queries
-dividendSchema.index({ ticker: 1, exDate: -1, status: 1 });
+dividendSchema.index({ user: 1, ticker: 1, exDate: -1, status: 1 });
+dividendSchema.index({ user: 1, importKey: 1 }, { sparse: true });
+// One projection per ticker and ex-date, so overlapping refreshes cannot duplicate them
+dividendSchema.index(
+  { user: 1, ticker: 1, exDate: 1 },
+  { unique: true, partialFilterExpression: { projected: true, status: 'EXPECTED' } }
+);
 
 module.exports = mongoose.model('Dividend', dividendSchema);
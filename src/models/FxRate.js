@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const fxRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Please provide a currency'],
+    uppercase: true,
+    enum: ['USD', 'EUR', 'GBP', 'SEK', 'NOK', 'CHF', 'DKK']
+  },
+  // Rate is quoted as DKK per one unit of currency
+  base: {
+    type: String,
+    default: 'DKK',
+    uppercase: true
+  },
+  date: {
+    type: Date,
+    required: [true, 'Please provide a date']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Please provide a rate'],
+    min: [0, 'Rate must be positive']
+  },
+  source: String
+}, { timestamps: true });
+
+// One rate per currency per day
+fxRateSchema.index({ currency: 1, base: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('FxRate', fxRateSchema);
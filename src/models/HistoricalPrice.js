@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One daily bar per ticker, in the stock's trading currency
+const historicalPriceSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: [true, 'Please provide a ticker'],
+    uppercase: true,
+    trim: true
+  },
+  // Start of the UTC trading day
+  date: {
+    type: Date,
+    required: [true, 'Please provide a date']
+  },
+  open: Number,
+  high: Number,
+  low: Number,
+  close: {
+    type: Number,
+    required: [true, 'Please provide a closing price'],
+    min: [0, 'Price must be positive']
+  },
+  volume: Number,
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  source: String
+}, { timestamps: true });
+
+historicalPriceSchema.index({ ticker: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('HistoricalPrice', historicalPriceSchema);
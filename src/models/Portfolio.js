@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
 
 const portfolioSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
   ticker: {
     type: String,
     required: [true, 'Please provide a ticker symbol'],
@@ -27,6 +32,13 @@ const portfolioSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // DKK per unit of currency on the buy date
+  fxRate: Number,
+  // BUY transaction that opened this lot; holdings are rebuilt from the ledger by it
+  sourceTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
   notes: String,
   createdAt: {
     type: Date,
@@ -35,6 +47,6 @@ const portfolioSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 // Index for faster queries
-portfolioSchema.index({ ticker: 1, createdAt: -1 });
+portfolioSchema.index({ user: 1, ticker: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Portfolio', portfolioSchema);
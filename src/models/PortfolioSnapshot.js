@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const portfolioSnapshotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Start of the UTC day the snapshot covers
+  date: {
+    type: Date,
+    required: [true, 'Please provide a date']
+  },
+  // Values are in the user's base currency at the time of the snapshot
+  currency: {
+    type: String,
+    default: 'DKK',
+    uppercase: true,
+    enum: ['USD', 'EUR', 'GBP', 'SEK', 'NOK', 'CHF', 'DKK']
+  },
+  totalValue: {
+    type: Number,
+    required: true
+  },
+  totalCost: {
+    type: Number,
+    required: true
+  },
+  cash: {
+    type: Number,
+    default: 0
+  },
+  holdings: [{
+    _id: false,
+    ticker: String,
+    shares: Number,
+    currency: String,
+    price: Number,
+    value: Number,
+    cost: Number
+  }],
+  // Closing prices of the user's benchmarks, in their own currency
+  benchmarks: [{
+    _id: false,
+    ticker: String,
+    currency: String,
+    price: Number
+  }],
+  // DKK per unit of each currency when the snapshot was taken
+  fxRates: {
+    type: Map,
+    of: Number
+  },
+  // Set when prices or rates were unavailable and the snapshot used cost or fallback rates
+  stale: {
+    type: Boolean,
+    default: false
+  },
+  source: {
+    type: String,
+    enum: ['SCHEDULED', 'MANUAL'],
+    default: 'SCHEDULED'
+  }
+}, { timestamps: true });
+
+// One snapshot per user per day
+portfolioSnapshotSchema.index({ user: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('PortfolioSnapshot', portfolioSnapshotSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Date ranges whose daily prices have been fetched for a ticker, so days without
+// trading (weekends, holidays) are not asked for again
+const priceCoverageSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: [true, 'Please provide a ticker'],
+    uppercase: true,
+    trim: true,
+    unique: true
+  },
+  // Sorted, non-overlapping, inclusive UTC days
+  ranges: [{
+    _id: false,
+    from: { type: Date, required: true },
+    to: { type: Date, required: true }
+  }]
+}, { timestamps: true });
+
+module.exports = mongoose.model('PriceCoverage', priceCoverageSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Last price the stock API gave for a ticker; valuation falls back to it when the API is down
+const quoteSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: [true, 'Please provide a ticker'],
+    uppercase: true,
+    trim: true,
+    unique: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Please provide a price'],
+    min: [0, 'Price must be positive']
+  },
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  asOf: {
+    type: Date,
+    required: [true, 'Please provide the time of the quote']
+  },
+  source: String
+}, { timestamps: true });
+
+module.exports = mongoose.model('Quote', quoteSchema);
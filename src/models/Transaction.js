@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
 
 const transactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
   ticker: {
     type: String,
     required: [true, 'Please provide a ticker symbol'],
@@ -37,6 +42,43 @@ const transactionSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // DKK per unit of currency on the transaction date
+  fxRate: Number,
+  // Set when no historical rate existed and today's rate was used instead
+  fxRateEstimated: Boolean,
+  // Sale details (SELL only)
+  costMethod: {
+    type: String,
+    enum: ['FIFO', 'AVERAGE', 'SPECIFIC']
+  },
+  costBasis: Number,
+  costBasisDKK: Number,
+  realizedGain: Number,
+  realizedGainDKK: Number,
+  priceEffectDKK: Number,
+  currencyEffectDKK: Number,
+  matchedLots: [{
+    _id: false,
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Portfolio'
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    shares: Number,
+    buyPrice: Number,
+    buyDate: Date,
+    costBasis: Number
+  }],
+  // BUY only: the dividend this purchase reinvests (DRIP)
+  dividend: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dividend'
+  },
+  // Fingerprint of the import row this came from, used to skip it on re-import
+  importKey: String,
   notes: String,
   createdAt: {
     type: Date,
@@ -53,6 +95,9 @@ transactionSchema.pre('save', function(next) {
 });
 
 // Index for faster queries
-transactionSchema.index({ ticker: 1, type: 1, transactionDate: -1 });
+transactionSchema.index({ user: 1, ticker: 1, type: 1, transactionDate: -1 });
+transactionSchema.index({ user: 1, importKey: 1 }, { sparse: true });
+// A dividend is reinvested at most once
+transactionSchema.index({ dividend: 1 }, { unique: true, partialFilterExpression: { dividend: { $exists: true } } });
 
 module.exports = mongoose.model('Transaction', transactionSchema);
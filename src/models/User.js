@@ -27,6 +27,46 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Currency portfolio, cash and dividend figures are reported in
+  baseCurrency: {
+    type: String,
+    default: 'DKK',
+    uppercase: true,
+    enum: ['USD', 'EUR', 'GBP', 'SEK', 'NOK', 'CHF', 'DKK']
+  },
+  // Index or ETF tickers to compare performance against
+  benchmarks: [{
+    _id: false,
+    ticker: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      enum: ['USD', 'EUR', 'GBP', 'SEK', 'NOK', 'CHF', 'DKK']
+    }
+  }],
+  // Last time expected dividends were projected from market data
+  dividendsRefreshedAt: Date,
+  // Tickers whose dividends are reinvested in shares instead of credited to cash
+  dripTickers: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  // Mark expected dividends received (and credit cash) once their payment date passes
+  autoReceiveDividends: {
+    type: Boolean,
+    default: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A user's endpoint for event notifications
+const webhookSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Must resolve to a public address unless WEBHOOK_ALLOW_PRIVATE=true (see checkWebhookUrl)
+  url: {
+    type: String,
+    required: [true, 'Please provide a URL'],
+    trim: true,
+    match: [/^https?:\/\/\S+$/i, 'Please provide an http or https URL']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: ['trade.recorded', 'cash.deposit', 'cash.withdrawal', 'dividend.received', 'alert.triggered']
+    }],
+    validate: [events => events.length > 0, 'Please subscribe to at least one event']
+  },
+  // Signs every delivery; only shown when the webhook is created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  description: String,
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: String
+}, { timestamps: true });
+
+webhookSchema.index({ user: 1, active: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One event sent (or being sent) to one webhook, with its attempts
+const webhookDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // The exact JSON body sent, so retries carry the same signature input
+  body: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'DELIVERED', 'FAILED'],
+    default: 'PENDING'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: Date,
+  lastAttemptAt: Date,
+  responseStatus: Number,
+  error: String,
+  deliveredAt: Date,
+  test: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,57 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { exportAccount, bundleToZip, zipToBundle, restoreAccount } = require('../utils/backup');
+
+const router = express.Router();
+
+// Zip archives from the CSV export are posted as the raw request body
+const zipBody = express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '50mb' });
+
+// Export everything the user owns (?format=json|csv; csv is a zip of CSV files)
+router.get('/export', authMiddleware, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be json or csv' });
+    }
+
+    const bundle = await exportAccount(req.userId);
+    const fileName = `portfolio-export-${bundle.exportedAt.slice(0, 10)}`;
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+      return res.send(bundleToZip(bundle));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+    res.json(bundle);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Restore an export (?mode=merge|replace&dryRun=true)
+// Send the JSON bundle as the body, or the zip with Content-Type: application/zip
+router.post('/restore', authMiddleware, zipBody, async (req, res) => {
+  try {
+    const mode = String(req.query.mode || 'merge').toLowerCase();
+    const dryRun = req.query.dryRun === 'true';
+
+    const bundle = Buffer.isBuffer(req.body) ? zipToBundle(req.body) : req.body;
+    const result = await restoreAccount(req.userId, bundle, { mode, dryRun });
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Dry run - nothing was restored' : 'Account restored',
+      ...result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const Portfolio = require('../models/Portfolio');
+const Transaction = require('../models/Transaction');
+const Cash = require('../models/Cash');
+const Dividend = require('../models/Dividend');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const Alert = require('../models/Alert');
+const AlertTrigger = require('../models/AlertTrigger');
+const { FORMAT, VERSION } = require('../utils/backup');
+
+jest.mock('../utils/dividendSchedule', () => ({ regenerateSchedule: jest.fn().mockResolvedValue({}) }));
+
+const accountRoutes = require('./account');
+
+const MODELS = [Portfolio, Transaction, Cash, Dividend, PortfolioSnapshot, Alert, AlertTrigger];
+
+const userId = new mongoose.Types.ObjectId();
+const token = jwt.sign({ userId }, process.env.JWT_SECRET);
+const app = express();
+app.use(express.json());
+app.use('/api/account', accountRoutes);
+
+const ownId = new mongoose.Types.ObjectId();
+const oldId = new mongoose.Types.ObjectId();
+const newId = new mongoose.Types.ObjectId();
+
+const trade = (_id, transactionDate) => ({
+  _id: String(_id),
+  ticker: 'AAPL',
+  type: 'BUY',
+  shares: 10,
+  price: 180,
+  currency: 'USD',
+  transactionDate
+});
+
+const bundle = {
+  format: FORMAT,
+  version: VERSION,
+  data: {
+    transactions: [trade(ownId, '2024-01-10'), trade(newId, '2024-02-10')],
+    holdings: [{ ticker: 'AAPL', shares: 10, buyPrice: 180, currency: 'USD', buyDate: '2024-01-10', sourceTransaction: String(ownId) }]
+  }
+};
+
+// Stub the account's stored documents: transactions ownId and oldId, nothing else
+const stubStore = () => {
+  const stored = [{ _id: ownId, user: userId }, { _id: oldId, user: userId }];
+  const writes = {};
+
+  MODELS.forEach(Model => {
+    const docs = Model === Transaction ? stored : [];
+    jest.spyOn(Model, 'find').mockImplementation((filter) => {
+      const matching = filter._id
+        ? docs.filter(doc => filter._id.$in.some(id => String(id) === String(doc._id)))
+        : docs;
+      return {
+        select: jest.fn().mockResolvedValue(matching),
+        distinct: jest.fn().mockResolvedValue(matching.map(doc => doc._id))
+      };
+    });
+    jest.spyOn(Model, 'insertMany').mockImplementation(async (inserted) => {
+      writes[Model.modelName] = inserted;
+      return inserted;
+    });
+    jest.spyOn(Model, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  });
+  jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+
+  return writes;
+};
+
+const restore = (query) => request(app)
+  .post(`/api/account/restore?${query}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send(bundle);
+
+describe('POST /api/account/restore', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a merge adds what the account lacks and keeps what it has', async () => {
+    const writes = stubStore();
+
+    const response = await restore('mode=merge');
+
+    expect(response.status).toBe(201);
+    expect(response.body.restored.transactions).toBe(1);
+    expect(response.body.skipped.transactions).toBe(1);
+    expect(writes.Transaction.map(doc => String(doc._id))).toEqual([String(newId)]);
+    expect(String(writes.Transaction[0].user)).toBe(String(userId));
+    expect(String(writes.Portfolio[0].sourceTransaction)).toBe(String(ownId));
+    expect(Transaction.deleteMany).not.toHaveBeenCalled();
+  });
+
+  test('a replace inserts the bundle under new ids, then removes the old documents', async () => {
+    const writes = stubStore();
+
+    const response = await restore('mode=replace');
+
+    expect(response.status).toBe(201);
+    expect(response.body.restored.transactions).toBe(2);
+
+    const insertedIds = writes.Transaction.map(doc => String(doc._id));
+    expect(insertedIds).not.toContain(String(ownId));
+    expect(String(writes.Portfolio[0].sourceTransaction)).toBe(insertedIds[0]);
+
+    const [[staleFilter]] = Transaction.deleteMany.mock.calls;
+    expect(staleFilter.user).toBe(userId.toString());
+    expect(staleFilter._id.$in.map(String).sort()).toEqual([String(ownId), String(oldId)].sort());
+    expect(Transaction.insertMany.mock.invocationCallOrder[0]).toBeLessThan(Transaction.deleteMany.mock.invocationCallOrder[0]);
+  });
+
+  test('a dry run reports the restore without writing', async () => {
+    const writes = stubStore();
+
+    const response = await restore('mode=replace&dryRun=true');
+
+    expect(response.status).toBe(200);
+    expect(response.body.restored.transactions).toBe(2);
+    expect(writes).toEqual({});
+    expect(Transaction.deleteMany).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['an unknown mode', 'mode=overwrite'],
+    ['more than one mode', 'mode=merge&mode=replace']
+  ])('answers %s with a 400', async (label, query) => {
+    stubStore();
+
+    const response = await restore(query);
+
+    expect(response.status).toBe(400);
+  });
+});
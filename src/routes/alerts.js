@@ -0,0 +1,157 @@
+const express = require('express');
+const Alert = require('../models/Alert');
+const AlertTrigger = require('../models/AlertTrigger');
+const { authMiddleware } = require('../middleware/auth');
+const { ALERT_TYPES, parseAlertType, evaluateAlerts } = require('../utils/alerts');
+
+const router = express.Router();
+
+// Helper to check a threshold for an alert type; returns an error message or null
+const checkThreshold = (type, threshold) => {
+  if (threshold === undefined || threshold === null || threshold === '' || isNaN(Number(threshold))) {
+    return 'Threshold must be a number';
+  }
+  if (type !== 'POSITION_GAIN' && Number(threshold) <= 0) {
+    return type === 'DAILY_MOVE' ? 'Daily move must be a percentage greater than 0' : 'Price must be greater than 0';
+  }
+  return null;
+};
+
+// Get all alert rules
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { status, ticker } = req.query;
+
+    const filter = { user: req.userId };
+    if (status) filter.status = status.toUpperCase();
+    if (ticker) filter.ticker = ticker.toUpperCase();
+
+    const alerts = await Alert.find(filter).sort({ createdAt: -1 });
+    res.json(alerts);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Triggered alerts, newest first (?ticker=&since=&limit=)
+router.get('/triggered', authMiddleware, async (req, res) => {
+  try {
+    const { ticker, since } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const filter = { user: req.userId };
+    if (ticker) filter.ticker = ticker.toUpperCase();
+    if (since) {
+      const sinceDate = new Date(since);
+      if (isNaN(sinceDate)) {
+        return res.status(400).json({ error: 'Invalid since date' });
+      }
+      filter.triggeredAt = { $gte: sinceDate };
+    }
+
+    const triggers = await AlertTrigger.find(filter).sort({ triggeredAt: -1 }).limit(limit);
+    res.json(triggers);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create an alert rule
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const { ticker, threshold, note } = req.body;
+    const type = parseAlertType(req.body.type);
+
+    if (!ticker || !type) {
+      return res.status(400).json({ error: `Missing required fields: ticker, type (${ALERT_TYPES.join(', ')}), threshold` });
+    }
+
+    const invalid = checkThreshold(type, threshold);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const alert = await Alert.create({
+      user: req.userId,
+      ticker,
+      type,
+      threshold: Number(threshold),
+      note
+    });
+
+    res.status(201).json({
+      message: 'Alert created',
+      alert
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check the user's alerts now instead of waiting for the scheduled check
+router.post('/evaluate', authMiddleware, async (req, res) => {
+  try {
+    const result = await evaluateAlerts({ userId: req.userId });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pause or resume an alert, or change its threshold or note
+router.patch('/:id', authMiddleware, async (req, res) => {
+  try {
+    const { status, threshold, note } = req.body;
+
+    if (status !== undefined && !['ACTIVE', 'PAUSED'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const alert = await Alert.findOne({ _id: req.params.id, user: req.userId });
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    if (threshold !== undefined) {
+      const invalid = checkThreshold(alert.type, threshold);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+      alert.threshold = Number(threshold);
+    }
+    if (note !== undefined) alert.note = note;
+
+    // A resumed or changed rule fires again if its condition holds at the next check
+    if ((status === 'ACTIVE' && alert.status === 'PAUSED') || threshold !== undefined) {
+      alert.conditionMet = false;
+    }
+    if (status !== undefined) alert.status = status;
+
+    await alert.save();
+
+    res.json({
+      message: 'Alert updated',
+      alert
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete an alert rule; its trigger history is kept
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const alert = await Alert.findOneAndDelete({ _id: req.params.id, user: req.userId });
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({ message: 'Alert deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,10 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { authMiddleware } = require('../middleware/auth');
 
 const router = express.Router();
+const MAX_BENCHMARKS = 5;
 
 // Generate JWT Token
 const generateToken = (userId) => {
@@ -14,7 +16,7 @@ const generateToken = (userId) => {
 // Register
 router.post('/register', async (req, res) => {
   try {
-    const { username, email, password, name } = req.body;
+    const { username, email, password, name, baseCurrency } = req.body;
 
     // Validate input
     if (!username || !email || !password) {
@@ -32,7 +34,8 @@ router.post('/register', async (req, res) => {
       username,
       email,
       password,
-      name
+      name,
+      baseCurrency
     });
 
     await user.save();
@@ -47,7 +50,8 @@ router.post('/register', async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
-        name: user.name
+        name: user.name,
+        baseCurrency: user.baseCurrency
       }
     });
   } catch (error) {
@@ -94,7 +98,8 @@ router.post('/login', async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
-        name: user.name
+        name: user.name,
+        baseCurrency: user.baseCurrency
       }
     });
   } catch (error) {
@@ -122,7 +127,10 @@ router.get('/me', async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
-        name: user.name
+        name: user.name,
+        baseCurrency: user.baseCurrency,
+        benchmarks: user.benchmarks,
+        autoReceiveDividends: user.autoReceiveDividends
       }
     });
   } catch (error) {
@@ -130,4 +138,57 @@ router.get('/me', async (req, res) => {
   }
 });
 
+// Update preferences (reporting currency, benchmark tickers, dividend auto-receipt)
+router.put('/preferences', authMiddleware, async (req, res) => {
+  try {
+    const { baseCurrency, benchmarks, autoReceiveDividends } = req.body;
+
+    if (!baseCurrency && !benchmarks && autoReceiveDividends === undefined) {
+      return res.status(400).json({ error: 'Please provide baseCurrency, benchmarks or autoReceiveDividends' });
+    }
+
+    const update = {};
+    if (baseCurrency) update.baseCurrency = baseCurrency;
+    if (autoReceiveDividends !== undefined) {
+      if (typeof autoReceiveDividends !== 'boolean') {
+        return res.status(400).json({ error: 'autoReceiveDividends must be true or false' });
+      }
+      update.autoReceiveDividends = autoReceiveDividends;
+    }
+    if (benchmarks) {
+      if (!Array.isArray(benchmarks) || benchmarks.length > MAX_BENCHMARKS) {
+        return res.status(400).json({ error: `benchmarks must be a list of up to ${MAX_BENCHMARKS} tickers` });
+      }
+      // Accept plain tickers or { ticker, currency } for indexes whose currency the ticker does not show
+      update.benchmarks = benchmarks.map(b => (typeof b === 'string' ? { ticker: b } : b));
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      message: 'Preferences updated',
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        name: user.name,
+        baseCurrency: user.baseCurrency,
+        benchmarks: user.benchmarks,
+        autoReceiveDividends: user.autoReceiveDividends
+      }
+    });
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
 module.exports = router;
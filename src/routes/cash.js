@@ -1,27 +1,36 @@
 const express = require('express');
 const Cash = require('../models/Cash');
-const Portfolio = require('../models/Portfolio');
 const { authMiddleware } = require('../middleware/auth');
+const { fxMiddleware } = require('../middleware/fx');
+const { getBalances, consolidate } = require('../utils/cash');
+const { SUPPORTED_CURRENCIES } = require('../utils/currencyConverter');
+const { emitEvent } = require('../utils/webhooks');
 
 const router = express.Router();
 
+// Helper to describe per-currency balances and their total in the base currency
+const describeBalances = (balances, fx) => {
+  const total = consolidate(balances, fx);
+
+  return {
+    balances,
+    // Consolidated total; `balance` is kept for clients written before sub-balances
+    total,
+    balance: total,
+    currency: fx.base
+  };
+};
+
 // Get current cash balance
-router.get('/balance', authMiddleware, async (req, res) => {
+router.get('/balance', authMiddleware, fxMiddleware, async (req, res) => {
   try {
-    const transactions = await Cash.find().sort({ date: -1 });
-    
-    const balance = transactions.reduce((sum, tx) => {
-      if (tx.type === 'DEPOSIT' || tx.type === 'SALE') {
-        return sum + tx.amount;
-      } else if (tx.type === 'WITHDRAWAL') {
-        return sum - tx.amount;
-      }
-      return sum;
-    }, 0);
+    const transactions = await Cash.find({ user: req.userId }).sort({ date: -1 });
+    const balances = await getBalances(req.userId);
 
     res.json({
-      balance: parseFloat(balance.toFixed(2)),
-      transactions: transactions.slice(0, 10) // Last 10 transactions
+      ...describeBalances(balances, req.fx),
+      transactions: transactions.slice(0, 10), // Last 10 transactions
+      fx: req.fx.status()
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -29,38 +38,38 @@ router.get('/balance', authMiddleware, async (req, res) => {
 });
 
 // Deposit cash
-router.post('/deposit', authMiddleware, async (req, res) => {
+router.post('/deposit', authMiddleware, fxMiddleware, async (req, res) => {
   try {
     const { amount, description } = req.body;
+    const currency = (req.body.currency || req.fx.base).toUpperCase();
 
     if (!amount || amount <= 0) {
       return res.status(400).json({ error: 'Amount must be greater than 0' });
     }
 
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      return res.status(400).json({ error: `Unsupported currency: ${currency}` });
+    }
+
     const transaction = new Cash({
+      user: req.userId,
       amount: parseFloat(amount),
+      currency,
       type: 'DEPOSIT',
       description: description || 'Cash deposit',
       date: new Date()
     });
 
     await transaction.save();
+    emitEvent(req.userId, 'cash.deposit', { cash: transaction });
 
     // Get updated balance
-    const transactions = await Cash.find().sort({ date: -1 });
-    const balance = transactions.reduce((sum, tx) => {
-      if (tx.type === 'DEPOSIT' || tx.type === 'SALE') {
-        return sum + tx.amount;
-      } else if (tx.type === 'WITHDRAWAL') {
-        return sum - tx.amount;
-      }
-      return sum;
-    }, 0);
+    const balances = await getBalances(req.userId);
 
     res.status(201).json({
       message: 'Deposit successful',
       transaction,
-      balance: parseFloat(balance.toFixed(2))
+      ...describeBalances(balances, req.fx)
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -68,53 +77,103 @@ router.post('/deposit', authMiddleware, async (req, res) => {
 });
 
 // Withdraw cash
-router.post('/withdraw', authMiddleware, async (req, res) => {
+router.post('/withdraw', authMiddleware, fxMiddleware, async (req, res) => {
   try {
     const { amount, description } = req.body;
+    const currency = (req.body.currency || req.fx.base).toUpperCase();
 
     if (!amount || amount <= 0) {
       return res.status(400).json({ error: 'Amount must be greater than 0' });
     }
 
-    // Check if balance is sufficient
-    const transactions = await Cash.find().sort({ date: -1 });
-    const balance = transactions.reduce((sum, tx) => {
-      if (tx.type === 'DEPOSIT' || tx.type === 'SALE') {
-        return sum + tx.amount;
-      } else if (tx.type === 'WITHDRAWAL') {
-        return sum - tx.amount;
-      }
-      return sum;
-    }, 0);
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      return res.status(400).json({ error: `Unsupported currency: ${currency}` });
+    }
+
+    // Check if the balance in that currency is sufficient
+    const balances = await getBalances(req.userId);
+    const balance = balances[currency] || 0;
 
     if (balance < amount) {
-      return res.status(400).json({ error: `Insufficient cash. Balance: ${balance.toFixed(2)} DKK` });
+      return res.status(400).json({ error: `Insufficient cash. Balance: ${balance.toFixed(2)} ${currency}` });
     }
 
     const transaction = new Cash({
+      user: req.userId,
       amount: parseFloat(amount),
+      currency,
       type: 'WITHDRAWAL',
       description: description || 'Cash withdrawal',
       date: new Date()
     });
 
     await transaction.save();
+    emitEvent(req.userId, 'cash.withdrawal', { cash: transaction });
 
     // Get updated balance
-    const updatedTransactions = await Cash.find().sort({ date: -1 });
-    const updatedBalance = updatedTransactions.reduce((sum, tx) => {
-      if (tx.type === 'DEPOSIT' || tx.type === 'SALE') {
-        return sum + tx.amount;
-      } else if (tx.type === 'WITHDRAWAL') {
-        return sum - tx.amount;
-      }
-      return sum;
-    }, 0);
+    const updatedBalances = await getBalances(req.userId);
 
     res.status(201).json({
       message: 'Withdrawal successful',
       transaction,
-      balance: parseFloat(updatedBalance.toFixed(2))
+      ...describeBalances(updatedBalances, req.fx)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exchange cash between currencies at a recorded rate
+router.post('/exchange', authMiddleware, fxMiddleware, async (req, res) => {
+  try {
+    const { amount, rate, description } = req.body;
+    const fromCurrency = (req.body.fromCurrency || '').toUpperCase();
+    const toCurrency = (req.body.toCurrency || '').toUpperCase();
+
+    if (!SUPPORTED_CURRENCIES.includes(fromCurrency) || !SUPPORTED_CURRENCIES.includes(toCurrency) || fromCurrency === toCurrency) {
+      return res.status(400).json({ error: 'Provide two different supported currencies: fromCurrency, toCurrency' });
+    }
+
+    if (!amount || amount <= 0) {
+      return res.status(400).json({ error: 'Amount must be greater than 0' });
+    }
+
+    const balances = await getBalances(req.userId);
+    const balance = balances[fromCurrency] || 0;
+
+    if (balance < amount) {
+      return res.status(400).json({ error: `Insufficient cash. Balance: ${balance.toFixed(2)} ${fromCurrency}` });
+    }
+
+    // The broker's rate (toCurrency per fromCurrency) when given, otherwise today's rate
+    const appliedRate = rate ? parseFloat(rate) : req.fx.rateOf(fromCurrency) / req.fx.rateOf(toCurrency);
+    if (!appliedRate || appliedRate <= 0) {
+      return res.status(400).json({ error: 'Rate must be greater than 0' });
+    }
+
+    const toAmount = parseFloat((parseFloat(amount) * appliedRate).toFixed(2));
+
+    const transaction = new Cash({
+      user: req.userId,
+      amount: parseFloat(amount),
+      currency: fromCurrency,
+      type: 'EXCHANGE',
+      toCurrency,
+      toAmount,
+      rate: appliedRate,
+      description: description || `Exchange ${parseFloat(amount).toFixed(2)} ${fromCurrency} → ${toAmount.toFixed(2)} ${toCurrency} @ ${appliedRate.toFixed(4)}`,
+      date: new Date()
+    });
+
+    await transaction.save();
+
+    const updatedBalances = await getBalances(req.userId);
+
+    res.status(201).json({
+      message: 'Exchange successful',
+      transaction,
+      ...describeBalances(updatedBalances, req.fx),
+      fx: req.fx.status()
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -124,7 +183,13 @@ router.post('/withdraw', authMiddleware, async (req, res) => {
 // Get all transactions
 router.get('/transactions', authMiddleware, async (req, res) => {
   try {
-    const transactions = await Cash.find().sort({ date: -1 });
+    const filter = { user: req.userId };
+    if (req.query.currency) {
+      const currency = req.query.currency.toUpperCase();
+      filter.$or = [{ currency }, { toCurrency: currency }];
+    }
+
+    const transactions = await Cash.find(filter).sort({ date: -1 });
     res.json(transactions);
   } catch (error) {
     res.status(500).json({ error: error.message });
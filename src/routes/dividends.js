@@ -1,60 +1,21 @@
 const express = require('express');
-const axios = require('axios');
 const Dividend = require('../models/Dividend');
-const Portfolio = require('../models/Portfolio');
-const Cash = require('../models/Cash');
+const User = require('../models/User');
 const { authMiddleware } = require('../middleware/auth');
+const { fxMiddleware } = require('../middleware/fx');
+const { getHistoricalRate } = require('../utils/currencyConverter');
+const { refreshExpectedDividends } = require('../utils/dividendRefresh');
+const { setDividendStatus, reverseDividendCredit } = require('../utils/dividendReceipt');
+const { dividendAmounts, reclaimableAmount, treatyRate } = require('../utils/withholding');
 
 const router = express.Router();
-const STOCK_API_URL = process.env.STOCK_API_URL || 'http://localhost:5001';
-
-// Exchange rates to DKK
-const EXCHANGE_RATES = {
-  DKK: 1,
-  USD: 6.38,
-  EUR: 7.46,
-  GBP: 8.47,
-  SEK: 0.63,
-  NOK: 0.60,
-  CHF: 7.31
-};
-
-// Helper to convert to DKK
-const convertToDKK = (amount, currency) => {
-  if (!amount || amount < 0) return 0;
-  const rate = EXCHANGE_RATES[currency] || EXCHANGE_RATES['USD'];
-  return parseFloat((amount * rate).toFixed(2));
-};
-
-// Sophisticated dividend calculation with outlier detection (matches Streamlit logic)
-const calculateRegularDividend = async (ticker) => {
-  try {
-    const response = await axios.get(`${STOCK_API_URL}/api/dividend/${ticker}`, {
-      timeout: 5000
-    });
-    
-    if (!response.data) return 0.0;
-    
-    // Python API returns: { ticker, annualDividend, currency, dividendYield }
-    const annualDividend = parseFloat(response.data.annualDividend) || 0;
-    
-    if (annualDividend && annualDividend > 0) {
-      return annualDividend;
-    }
-    
-    return 0.0;
-  } catch (error) {
-    console.warn(`Error calculating dividend for ${ticker}:`, error.message);
-    return 0.0;
-  }
-};
 
 // Get all dividends
 router.get('/', authMiddleware, async (req, res) => {
   try {
     const { status } = req.query;
     
-    const filter = {};
+    const filter = { user: req.userId };
     if (status) {
       filter.status = status.toUpperCase();
     }
@@ -66,127 +27,50 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
-// Get dividend summary with sophisticated calculations
-router.get('/summary', authMiddleware, async (req, res) => {
+// Get dividend summary
+// Read-only: expected dividends come from the last refresh (POST /refresh or the scheduled job)
+router.get('/summary', authMiddleware, fxMiddleware, async (req, res) => {
   try {
     const now = new Date();
-    
-    // Calculate expected dividends from holdings using sophisticated logic
-    const portfolio = await Portfolio.find();
-    console.log(`[DIVIDENDS] Found ${portfolio.length} stocks in portfolio`);
-    
-    const expectedDividendsList = [];
-    let estimatedAnnualDividend = 0;
-    let monthlyAverage = 0;
-
-    for (const stock of portfolio) {
-      try {
-        console.log(`[DIVIDENDS] Calculating dividend for ${stock.ticker} (${stock.shares} shares)`);
-        
-        // Use sophisticated dividend calculation
-        const annualDividendPerShare = await calculateRegularDividend(stock.ticker);
-        console.log(`[DIVIDENDS] ${stock.ticker}: ${annualDividendPerShare}/share`);
-        
-        if (annualDividendPerShare && annualDividendPerShare > 0) {
-          const shares = parseFloat(stock.shares) || 0;
-          const totalDividend = annualDividendPerShare * shares;
-          const currency = stock.currency || 'USD';
-          const dividendInDKK = convertToDKK(totalDividend, currency);
-          
-          console.log(`[DIVIDENDS] ${stock.ticker}: ${totalDividend} ${currency} = ${dividendInDKK} DKK`);
-          estimatedAnnualDividend += dividendInDKK;
-          
-          // Default dates
-          let exDate = new Date(now);
-          exDate.setMonth(exDate.getMonth() + 3);
-          let payDate = new Date(exDate);
-          payDate.setMonth(payDate.getMonth() + 1);
-          
-          // Try to get real dates from API
-          try {
-            const divResponse = await axios.get(`${STOCK_API_URL}/api/dividend/${stock.ticker}`, {
-              timeout: 5000
-            });
-            
-            if (divResponse.data.nextExDate) {
-              try {
-                exDate = new Date(divResponse.data.nextExDate);
-                console.log(`[DIVIDENDS] ${stock.ticker} ex-date: ${exDate.toISOString()}`);
-              } catch (e) {
-                console.warn(`Could not parse exDate for ${stock.ticker}`);
-              }
-            }
-            
-            if (divResponse.data.nextPayDate) {
-              try {
-                payDate = new Date(divResponse.data.nextPayDate);
-                console.log(`[DIVIDENDS] ${stock.ticker} pay-date: ${payDate.toISOString()}`);
-              } catch (e) {
-                console.warn(`Could not parse payDate for ${stock.ticker}`);
-              }
-            }
-          } catch (apiError) {
-            console.warn(`Could not fetch dividend dates for ${stock.ticker}`);
-          }
-          
-          // Create or update expected dividend record
-          let dividend = await Dividend.findOne({
-            ticker: stock.ticker,
-            status: 'EXPECTED'
-          });
-
-          if (dividend) {
-            dividend.amountPerShare = annualDividendPerShare;
-            dividend.totalAmount = dividendInDKK;
-            dividend.shares = shares;
-            dividend.currency = 'DKK';
-            dividend.exDate = exDate;
-            dividend.paymentDate = payDate;
-            await dividend.save();
-          } else {
-            dividend = new Dividend({
-              ticker: stock.ticker,
-              amountPerShare: annualDividendPerShare,
-              totalAmount: dividendInDKK,
-              currency: 'DKK',
-              exDate: exDate,
-              paymentDate: payDate,
-              shares: shares,
-              status: 'EXPECTED',
-              notes: `Estimated annual: ${annualDividendPerShare.toFixed(4)}/share × ${shares} shares = ${dividendInDKK.toFixed(2)} DKK`
-            });
-            await dividend.save();
-          }
-          expectedDividendsList.push(dividend);
-        }
-      } catch (error) {
-        console.error(`[DIVIDENDS ERROR] Could not calculate dividend for ${stock.ticker}:`, error.message);
-      }
-    }
 
-    monthlyAverage = parseFloat((estimatedAnnualDividend / 12).toFixed(2));
+    const [expectedDividendsList, manualExpectedDividends, user] = await Promise.all([
+      Dividend.find({ user: req.userId, status: 'EXPECTED', projected: true }).sort({ paymentDate: 1 }),
+      Dividend.find({ user: req.userId, status: 'EXPECTED', projected: { $ne: true } }),
+      User.findById(req.userId).select('dividendsRefreshedAt')
+    ]);
 
-    // Get manually added expected dividends
-    const manualExpectedDividends = await Dividend.find({
-      status: 'EXPECTED',
-      ticker: { $nin: portfolio.map(p => p.ticker) }
-    });
+    // Projections cover the next twelve months of payments
+    const estimatedAnnualDividend = expectedDividendsList.reduce((sum, dividend) => {
+      return sum + req.fx.toBase(dividend.totalAmount, dividend.currency);
+    }, 0);
+    const monthlyAverage = parseFloat((estimatedAnnualDividend / 12).toFixed(2));
 
     // Combine all expected dividends
     const allExpectedDividends = [...expectedDividendsList, ...manualExpectedDividends];
 
     // Received dividends (past)
     const receivedDividends = await Dividend.find({
+      user: req.userId,
       status: 'RECEIVED'
     }).sort({ paymentDate: -1 });
 
     const expectedTotal = parseFloat(estimatedAnnualDividend.toFixed(2));
     
     const receivedTotal = receivedDividends.reduce((sum, div) => {
-      return sum + (parseFloat(div.totalAmount) || 0);
+      return sum + req.fx.toBase(parseFloat(div.totalAmount) || 0, div.currency);
     }, 0);
 
+    const receivedNetTotal = receivedDividends.reduce((sum, div) => {
+      return sum + req.fx.toBase(dividendAmounts(div).netAmount, div.currency);
+    }, 0);
+
+    // Net amounts reinvested through DRIP, kept apart from cash payouts
+    const reinvestedTotal = receivedDividends
+      .filter(div => div.payout === 'REINVESTED')
+      .reduce((sum, div) => sum + req.fx.toBase(dividendAmounts(div).netAmount, div.currency), 0);
+
     const thisYearDividends = await Dividend.find({
+      user: req.userId,
       paymentDate: {
         $gte: new Date(now.getFullYear(), 0, 1),
         $lte: now
@@ -195,21 +79,38 @@ router.get('/summary', authMiddleware, async (req, res) => {
     });
 
     const thisYearTotal = thisYearDividends.reduce((sum, div) => {
-      return sum + (parseFloat(div.totalAmount) || 0);
+      return sum + req.fx.toBase(parseFloat(div.totalAmount) || 0, div.currency);
+    }, 0);
+
+    const thisYearNetTotal = thisYearDividends.reduce((sum, div) => {
+      return sum + req.fx.toBase(dividendAmounts(div).netAmount, div.currency);
     }, 0);
 
+    const thisYearReinvestedTotal = thisYearDividends
+      .filter(div => div.payout === 'REINVESTED')
+      .reduce((sum, div) => sum + req.fx.toBase(dividendAmounts(div).netAmount, div.currency), 0);
+
     res.json({
+      baseCurrency: req.fx.base,
+      refreshedAt: user && user.dividendsRefreshedAt ? user.dividendsRefreshedAt : null,
       estimatedAnnualDividend: expectedTotal,
       monthlyAverage: monthlyAverage,
       expectedTotal: parseFloat(expectedTotal.toFixed(2)),
       expectedCount: allExpectedDividends.length,
       receivedTotal: parseFloat(receivedTotal.toFixed(2)),
+      receivedNetTotal: parseFloat(receivedNetTotal.toFixed(2)),
+      receivedCashTotal: parseFloat((receivedNetTotal - reinvestedTotal).toFixed(2)),
+      reinvestedTotal: parseFloat(reinvestedTotal.toFixed(2)),
       receivedCount: receivedDividends.length,
       thisYearTotal: parseFloat(thisYearTotal.toFixed(2)),
+      thisYearNetTotal: parseFloat(thisYearNetTotal.toFixed(2)),
+      thisYearCashTotal: parseFloat((thisYearNetTotal - thisYearReinvestedTotal).toFixed(2)),
+      thisYearReinvestedTotal: parseFloat(thisYearReinvestedTotal.toFixed(2)),
       dividends: {
         expected: allExpectedDividends.sort((a, b) => new Date(b.paymentDate) - new Date(a.paymentDate)),
         received: receivedDividends
-      }
+      },
+      fx: req.fx.status()
     });
   } catch (error) {
     console.error('Error in dividend summary:', error);
@@ -217,6 +118,22 @@ router.get('/summary', authMiddleware, async (req, res) => {
   }
 });
 
+// Re-project expected dividends from current market data
+router.post('/refresh', authMiddleware, async (req, res) => {
+  try {
+    const result = await refreshExpectedDividends(req.userId);
+
+    res.json({
+      message: result.failed.length > 0
+        ? `Expected dividends refreshed; ${result.failed.length} ticker(s) kept their previous projections`
+        : 'Expected dividends refreshed',
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Add dividend
 router.post('/add', authMiddleware, async (req, res) => {
   try {
@@ -228,6 +145,9 @@ router.post('/add', authMiddleware, async (req, res) => {
       shares,
       currency,
       status,
+      country,
+      withholdingRate,
+      withholdingTax,
       notes
     } = req.body;
 
@@ -235,9 +155,14 @@ router.post('/add', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    if (status !== undefined && !['EXPECTED', 'RECEIVED'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
     const totalAmount = amountPerShare * shares;
 
     const dividend = new Dividend({
+      user: req.userId,
       ticker,
       amountPerShare,
       totalAmount,
@@ -245,16 +170,100 @@ router.post('/add', authMiddleware, async (req, res) => {
       exDate: new Date(exDate),
       paymentDate: new Date(paymentDate),
       shares,
-      status: status || 'EXPECTED',
+      status: 'EXPECTED',
+      country,
+      withholdingRate: withholdingRate != null ? parseFloat(withholdingRate) : undefined,
+      withholdingTax: withholdingTax != null ? parseFloat(withholdingTax) : undefined,
       notes
     });
 
     await dividend.save();
 
+    // Added as already paid: receive it the same way a status change would, so the payout is credited
+    if (status === 'RECEIVED') {
+      const result = await setDividendStatus(dividend, status);
+      return res.status(201).json({
+        message: 'Dividend added',
+        dividend: result.dividend,
+        cash: result.cash,
+        reinvestment: result.reinvestment
+      });
+    }
+
     res.status(201).json({
       message: 'Dividend added',
       dividend
     });
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Excess withholding that can be reclaimed, per source country and year (?year=2024)
+router.get('/withholding/reclaim', authMiddleware, async (req, res) => {
+  try {
+    const filter = { user: req.userId, status: 'RECEIVED' };
+
+    if (req.query.year) {
+      const year = parseInt(req.query.year, 10);
+      if (isNaN(year)) {
+        return res.status(400).json({ error: 'Invalid year' });
+      }
+      filter.paymentDate = { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) };
+    }
+
+    const dividends = await Dividend.find(filter).sort({ paymentDate: 1 });
+    const groups = {};
+
+    for (const dividend of dividends) {
+      const amounts = dividendAmounts(dividend);
+      const reclaimable = reclaimableAmount(amounts);
+      if (reclaimable <= 0) continue;
+
+      const year = new Date(dividend.paymentDate).getUTCFullYear();
+      const key = `${amounts.country}-${year}`;
+      const { rate } = await getHistoricalRate(dividend.currency, dividend.paymentDate);
+      const group = groups[key] || (groups[key] = {
+        country: amounts.country,
+        year,
+        treatyRate: treatyRate(amounts.country),
+        grossDKK: 0,
+        withheldDKK: 0,
+        reclaimableDKK: 0,
+        dividends: []
+      });
+
+      group.grossDKK += amounts.grossAmount * rate;
+      group.withheldDKK += amounts.withholdingTax * rate;
+      group.reclaimableDKK += reclaimable * rate;
+      group.dividends.push({
+        dividendId: dividend._id,
+        ticker: dividend.ticker,
+        paymentDate: dividend.paymentDate,
+        currency: dividend.currency,
+        grossAmount: amounts.grossAmount,
+        withholdingRate: amounts.withholdingRate,
+        withholdingTax: amounts.withholdingTax,
+        reclaimable,
+        withholdingEstimated: amounts.estimated
+      });
+    }
+
+    const byCountryAndYear = Object.values(groups)
+      .map(group => ({
+        ...group,
+        grossDKK: parseFloat(group.grossDKK.toFixed(2)),
+        withheldDKK: parseFloat(group.withheldDKK.toFixed(2)),
+        reclaimableDKK: parseFloat(group.reclaimableDKK.toFixed(2))
+      }))
+      .sort((a, b) => a.year - b.year || a.country.localeCompare(b.country));
+
+    res.json({
+      currency: 'DKK',
+      totalReclaimableDKK: parseFloat(byCountryAndYear.reduce((sum, group) => sum + group.reclaimableDKK, 0).toFixed(2)),
+      byCountryAndYear
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -269,29 +278,21 @@ router.patch('/:id/status', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
-    const dividend = await Dividend.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    );
+    const dividend = await Dividend.findOne({ _id: req.params.id, user: req.userId });
 
     if (!dividend) {
       return res.status(404).json({ error: 'Dividend not found' });
     }
 
-    // If dividend is being marked as RECEIVED, add to cash balance
-    if (status === 'RECEIVED' && dividend.totalAmount > 0) {
-      const cashTransaction = new Cash({
-        amount: dividend.totalAmount,
-        type: 'DEPOSIT',
-        description: `Dividend received: ${dividend.ticker} - ${dividend.amountPerShare} per share × ${dividend.shares} shares`
-      });
-      await cashTransaction.save();
-    }
+    // RECEIVED pays out the net amount once (cash, or shares for DRIP holdings); EXPECTED takes it back
+    const result = await setDividendStatus(dividend, status);
 
     res.json({
       message: 'Dividend status updated',
-      dividend
+      dividend: result.dividend,
+      cash: result.cash,
+      reinvestment: result.reinvestment,
+      creditReversed: result.reversed
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -301,13 +302,16 @@ router.patch('/:id/status', authMiddleware, async (req, res) => {
 // Delete dividend
 router.delete('/:id', authMiddleware, async (req, res) => {
   try {
-    const dividend = await Dividend.findByIdAndDelete(req.params.id);
+    const dividend = await Dividend.findOneAndDelete({ _id: req.params.id, user: req.userId });
 
     if (!dividend) {
       return res.status(404).json({ error: 'Dividend not found' });
     }
 
-    res.json({ message: 'Dividend deleted' });
+    // A deleted payout was never received, so its cash credit goes too
+    const creditReversed = await reverseDividendCredit(dividend);
+
+    res.json({ message: 'Dividend deleted', creditReversed });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -0,0 +1,93 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Dividend = require('../models/Dividend');
+const { setDividendStatus } = require('../utils/dividendReceipt');
+
+jest.mock('../utils/dividendReceipt', () => ({
+  setDividendStatus: jest.fn(),
+  reverseDividendCredit: jest.fn()
+}));
+
+const dividendRoutes = require('./dividends');
+
+const userId = new mongoose.Types.ObjectId();
+const token = jwt.sign({ userId }, process.env.JWT_SECRET);
+const app = express();
+app.use(express.json());
+app.use('/api/dividends', dividendRoutes);
+
+const payout = {
+  ticker: 'KO',
+  amountPerShare: 0.485,
+  exDate: '2024-03-14',
+  paymentDate: '2024-04-01',
+  shares: 100,
+  currency: 'USD'
+};
+
+const add = (body) => request(app)
+  .post('/api/dividends/add')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('POST /api/dividends/add', () => {
+  let save;
+
+  beforeEach(() => {
+    save = jest.spyOn(Dividend.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setDividendStatus.mockReset();
+  });
+
+  test('a dividend added as received is credited through the status change', async () => {
+    setDividendStatus.mockImplementation(async (dividend) => ({
+      dividend: { ...dividend.toObject(), status: 'RECEIVED' },
+      cash: { balance: 48.5 },
+      reinvestment: null
+    }));
+
+    const response = await add({ ...payout, status: 'RECEIVED' });
+
+    expect(response.status).toBe(201);
+    expect(save.mock.contexts[0].status).toBe('EXPECTED');
+    expect(setDividendStatus).toHaveBeenCalledWith(expect.any(Dividend), 'RECEIVED');
+    expect(response.body.dividend.status).toBe('RECEIVED');
+    expect(response.body.cash).toEqual({ balance: 48.5 });
+  });
+
+  test('a dividend added without a status stays expected', async () => {
+    const response = await add(payout);
+
+    expect(response.status).toBe(201);
+    expect(response.body.dividend.status).toBe('EXPECTED');
+    expect(setDividendStatus).not.toHaveBeenCalled();
+  });
+
+  test('answers a dividend that fails validation with a 400', async () => {
+    save.mockRestore();
+    jest.spyOn(Dividend.prototype, 'save').mockImplementation(function save() {
+      return this.validate().then(() => this);
+    });
+
+    const response = await add({ ...payout, shares: 'a hundred' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/shares/);
+  });
+
+  test('rejects an unknown status', async () => {
+    const response = await add({ ...payout, status: 'PAID' });
+
+    expect(response.status).toBe(400);
+    expect(save).not.toHaveBeenCalled();
+  });
+});
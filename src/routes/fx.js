@@ -0,0 +1,161 @@
+const express = require('express');
+const FxRate = require('../models/FxRate');
+const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const {
+  getRateTable,
+  setRateOverride,
+  clearRateOverride,
+  getRateOverrides,
+  getRateProviderName,
+  clearCache,
+  saveHistoricalRates,
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES
+} = require('../utils/currencyConverter');
+
+const router = express.Router();
+
+// Helper to describe the current rates and where they came from
+const describeRates = async () => {
+  const table = await getRateTable();
+
+  return {
+    base: BASE_CURRENCY,
+    provider: getRateProviderName(),
+    ...table.status(),
+    rates: table.rates,
+    overrides: getRateOverrides()
+  };
+};
+
+// Inspect current exchange rates
+router.get('/rates', authMiddleware, async (req, res) => {
+  try {
+    res.json(await describeRates());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Override a rate (admin)
+router.put('/rates/:currency', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+    const rate = parseFloat(req.body.rate);
+
+    if (!SUPPORTED_CURRENCIES.includes(currency) || currency === BASE_CURRENCY) {
+      return res.status(400).json({ error: `Unsupported currency: ${currency}` });
+    }
+
+    if (!rate || rate <= 0) {
+      return res.status(400).json({ error: 'Rate must be greater than 0' });
+    }
+
+    setRateOverride(currency, rate);
+    console.log(`[FX] ${currency}/${BASE_CURRENCY} overridden to ${rate}`);
+
+    res.json({
+      message: `${currency} rate overridden`,
+      ...(await describeRates())
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove an override (admin)
+router.delete('/rates/:currency', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+
+    if (!clearRateOverride(currency)) {
+      return res.status(404).json({ error: `No override set for ${currency}` });
+    }
+
+    res.json({
+      message: `${currency} override removed`,
+      ...(await describeRates())
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Drop cached rates and fetch fresh ones from the provider (admin)
+router.post('/refresh', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    clearCache();
+
+    res.json({
+      message: 'Exchange rates refreshed',
+      ...(await describeRates())
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Historical rates for a currency and date range
+router.get('/history', authMiddleware, async (req, res) => {
+  try {
+    const { currency, from, to } = req.query;
+
+    if (currency && typeof currency !== 'string') {
+      return res.status(400).json({ error: 'currency must be a single currency code' });
+    }
+
+    if ([from, to].some(date => date && (typeof date !== 'string' || isNaN(new Date(date))))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const filter = { base: BASE_CURRENCY };
+    if (currency) filter.currency = currency.toUpperCase();
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = new Date(from);
+      if (to) filter.date.$lte = new Date(to);
+    }
+
+    const rates = await FxRate.find(filter).sort({ currency: 1, date: 1 });
+    res.json(rates);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import historical rates, e.g. from a central bank series (admin)
+router.post('/history', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { rates } = req.body;
+
+    if (!Array.isArray(rates) || rates.length === 0) {
+      return res.status(400).json({ error: 'Provide rates as [{ currency, date, rate }]' });
+    }
+
+    const invalid = rates.find(({ currency, date, rate }) => {
+      return !SUPPORTED_CURRENCIES.includes(String(currency).toUpperCase())
+        || isNaN(new Date(date))
+        || !(parseFloat(rate) > 0);
+    });
+
+    if (invalid) {
+      return res.status(400).json({ error: `Invalid rate entry: ${JSON.stringify(invalid)}` });
+    }
+
+    const stored = await saveHistoricalRates(rates.map(({ currency, date, rate, source }) => ({
+      currency,
+      date: new Date(date),
+      rate: parseFloat(rate),
+      source
+    })));
+
+    res.status(201).json({
+      message: 'Historical rates imported',
+      stored
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { fxMiddleware } = require('../middleware/fx');
+const { importCsv, PRESETS } = require('../utils/importer');
+
+const router = express.Router();
+
+// Accept the CSV as the raw request body (Content-Type: text/csv) or as `csv` in a JSON body
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+// Helper to read a boolean from the query string or a JSON body
+const flag = (value, fallback) => {
+  if (value === undefined) return fallback;
+  return value === true || value === 'true' || value === '1';
+};
+
+// Helper to read an object option, given as JSON in the query string or as an object in a JSON body
+const objectOption = (value) => {
+  if (!value) return {};
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+// List the column-mapping presets
+router.get('/presets', authMiddleware, (req, res) => {
+  res.json(Object.entries(PRESETS).map(([key, preset]) => ({
+    key,
+    name: preset.name,
+    decimal: preset.decimal,
+    columns: preset.columns,
+    types: preset.types
+  })));
+});
+
+// Import a broker export (?preset=nordnet|saxo|generic&dryRun=true)
+router.post('/', authMiddleware, csvBody, fxMiddleware, async (req, res) => {
+  try {
+    const fromJson = typeof req.body === 'object' && req.body !== null;
+    const options = fromJson ? { ...req.query, ...req.body } : req.query;
+    const csv = fromJson ? req.body.csv : req.body;
+
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ error: 'Send the CSV as a text/csv body or as csv in a JSON body' });
+    }
+
+    if (options.preset !== undefined && typeof options.preset !== 'string') {
+      return res.status(400).json({ error: 'preset must be a preset name' });
+    }
+
+    let mapping;
+    let symbols;
+    try {
+      mapping = objectOption(options.mapping);
+      symbols = objectOption(options.symbols);
+    } catch (error) {
+      return res.status(400).json({ error: 'mapping and symbols must be JSON objects' });
+    }
+
+    const dryRun = flag(options.dryRun, false);
+    const result = await importCsv(req.userId, csv, {
+      preset: (options.preset || 'generic').toLowerCase(),
+      dryRun,
+      mapping,
+      symbols,
+      bookCash: flag(options.bookCash, true),
+      defaultCurrency: req.baseCurrency,
+      decimal: options.decimal
+    });
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Dry run - nothing was imported' : 'Import finished',
+      ...result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
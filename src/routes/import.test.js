@@ -0,0 +1,96 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Transaction = require('../models/Transaction');
+const Cash = require('../models/Cash');
+const Dividend = require('../models/Dividend');
+
+jest.mock('../middleware/fx', () => ({
+  fxMiddleware: (req, res, next) => {
+    req.baseCurrency = 'DKK';
+    next();
+  }
+}));
+
+const importRoutes = require('./import');
+
+const userId = new mongoose.Types.ObjectId();
+const token = jwt.sign({ userId }, process.env.JWT_SECRET);
+const app = express();
+app.use(express.json());
+app.use('/api/import', importRoutes);
+
+const HEADER = 'id,date,type,ticker,shares,price,currency';
+
+const importCsv = (body) => request(app)
+  .post('/api/import')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+// Stub the two queries the importer makes: import keys already booked, and a ticker's ledger
+const stubStore = ({ importKeys = [], ledger = [] } = {}) => {
+  jest.spyOn(Transaction, 'find').mockImplementation((filter) => ({
+    distinct: jest.fn().mockResolvedValue(filter.importKey ? importKeys : []),
+    sort: jest.fn().mockResolvedValue(ledger.filter(tx => tx.ticker === filter.ticker))
+  }));
+  [Cash, Dividend].forEach(Model => {
+    jest.spyOn(Model, 'find').mockReturnValue({ distinct: jest.fn().mockResolvedValue([]) });
+  });
+  return jest.spyOn(Transaction, 'create');
+};
+
+describe('POST /api/import', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a dry run reports every row without booking any', async () => {
+    const create = stubStore();
+    const csv = [HEADER, 't1,2024-01-10,BUY,AAPL,10,180,USD', 't2,2024-02-10,SELL,AAPL,4,190,USD'].join('\n');
+
+    const response = await importCsv({ csv, dryRun: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.summary).toEqual({ total: 2, accepted: 2, skipped: 0, rejected: 0 });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('skips rows an earlier import already booked', async () => {
+    stubStore({ importKeys: ['generic:t1#1'] });
+    const csv = [HEADER, 't1,2024-01-10,BUY,AAPL,10,180,USD', 't2,2024-01-11,BUY,AAPL,5,181,USD'].join('\n');
+
+    const response = await importCsv({ csv, dryRun: true });
+
+    expect(response.body.rows.map(row => row.status)).toEqual(['skipped', 'accepted']);
+    expect(response.body.rows[0].reason).toBe('Already imported');
+  });
+
+  test('rejects a back-dated sell of shares a later sale already sold', async () => {
+    stubStore({
+      ledger: [
+        { ticker: 'AAPL', type: 'BUY', shares: 10, transactionDate: new Date('2024-01-10') },
+        { ticker: 'AAPL', type: 'SELL', shares: 8, transactionDate: new Date('2024-06-10') }
+      ]
+    });
+    const csv = [HEADER, 't3,2024-03-10,SELL,AAPL,5,185,USD'].join('\n');
+
+    const response = await importCsv({ csv, dryRun: true });
+
+    expect(response.body.rows[0].status).toBe('rejected');
+    expect(response.body.rows[0].reason).toMatch(/only 2 can be sold/);
+  });
+
+  test.each([
+    ['a preset that is not a name', { preset: ['nordnet'] }],
+    ['a mapping to something other than a header name', { mapping: { date: 3 } }],
+    ['symbols given as a list', { symbols: ['AAPL'] }]
+  ])('answers %s with a 400', async (label, options) => {
+    stubStore();
+    const csv = [HEADER, 't1,2024-01-10,BUY,AAPL,10,180,USD'].join('\n');
+
+    const response = await importCsv({ csv, dryRun: true, ...options });
+
+    expect(response.status).toBe(400);
+  });
+});
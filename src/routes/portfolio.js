@@ -1,166 +1,63 @@
 const express = require('express');
-const axios = require('axios');
 const Portfolio = require('../models/Portfolio');
 const Transaction = require('../models/Transaction');
 const Cash = require('../models/Cash');
+const User = require('../models/User');
 const { authMiddleware } = require('../middleware/auth');
+const { fxMiddleware } = require('../middleware/fx');
+const { getHistoricalRate } = require('../utils/currencyConverter');
+const { getCurrencyFromTicker, enrichPortfolioWithPrices } = require('../utils/valuation');
+const { getQuote } = require('../utils/quotes');
+const { matchLots } = require('../utils/lotMatching');
+const { rebuildHoldings, checkConsistency } = require('../utils/holdings');
+const { regenerateSchedule } = require('../utils/dividendSchedule');
+const { scheduleNewTicker } = require('../utils/dividendRefresh');
+const { recordSale } = require('../utils/sales');
+const { takeSnapshot, getHistory } = require('../utils/snapshots');
+const { calculatePerformance, compareBenchmarks } = require('../utils/performance');
+const { emitEvent } = require('../utils/webhooks');
 
 const router = express.Router();
-const STOCK_API_URL = process.env.STOCK_API_URL || 'http://localhost:5001';
 
-// Create axios instance with timeout
-const apiClient = axios.create({
-  timeout: 5000 // 5 second timeout to prevent hanging
-});
-
-// Exchange rates to DKK (cache these)
-const EXCHANGE_RATES = {
-  DKK: 1,
-  USD: 6.38,
-  EUR: 7.46,
-  GBP: 8.47,
-  SEK: 0.63,
-  NOK: 0.60,
-  CHF: 7.31
-};
-
-// Helper function to determine stock currency from ticker
-const getCurrencyFromTicker = (ticker) => {
-  if (ticker.includes('.CO')) return 'DKK';   // Copenhagen
-  if (ticker.includes('.ST')) return 'SEK';   // Stockholm
-  if (ticker.includes('.OL')) return 'NOK';   // Oslo
-  if (ticker.includes('.HE')) return 'EUR';   // Helsinki
-  if (ticker.includes('.SW')) return 'CHF';   // Swiss
-  return 'USD'; // Default to USD (T, KO, MSFT, etc.)
-};
-
-// Helper function to convert any currency to DKK
-const convertToDKK = (amount, currency) => {
-  if (!amount || amount < 0) return 0;
-  const rate = EXCHANGE_RATES[currency] || EXCHANGE_RATES['USD'];
-  return parseFloat((amount * rate).toFixed(2));
-};
-
-// Helper function to fetch current price for a ticker
-const getCurrentPrice = async (ticker) => {
-  try {
-    const response = await apiClient.get(`${STOCK_API_URL}/api/stock/${ticker}`);
-    return response.data.price || 0;
-  } catch (error) {
-    console.warn(`[WARN] Error fetching price for ${ticker}:`, error.message);
-    return 0;
-  }
-};
-
-// Helper function to enrich portfolio with real-time prices in DKK
-const enrichPortfolioWithPrices = async (stocks) => {
-  const tickers = stocks.map(s => s.ticker);
-  console.log(`[PORTFOLIO] Fetching prices for: ${tickers.join(', ')}`);
-  console.log(`[PORTFOLIO] API URL: ${STOCK_API_URL}`);
-  
-  try {
-    // Fetch prices
-    console.log(`[PORTFOLIO] Making request to: ${STOCK_API_URL}/api/batch-price`);
-    const priceResponse = await apiClient.post(`${STOCK_API_URL}/api/batch-price`, { tickers });
-    const priceData = priceResponse.data;
-    console.log(`[PORTFOLIO] Received price data:`, JSON.stringify(priceData).substring(0, 200));
-    
-    return stocks.map(stock => {
-      const priceInStockCurrency = priceData[stock.ticker]?.price || 0;
-      
-      // Determine the currency of the stock based on ticker
-      const stockCurrency = getCurrencyFromTicker(stock.ticker);
-      
-      // Convert to DKK
-      const currentPriceDKK = convertToDKK(priceInStockCurrency, stockCurrency);
-      const buyPriceDKK = convertToDKK(stock.buyPrice, stockCurrency);
-      
-      // Calculate totals in DKK
-      const costDKK = buyPriceDKK * stock.shares;
-      const valueDKK = currentPriceDKK * stock.shares;
-      const gainDKK = valueDKK - costDKK;
-      const gainPercent = costDKK > 0 ? ((gainDKK / costDKK) * 100).toFixed(2) : 0;
-      
-      console.log(`[DEBUG] ${stock.ticker}: Native=${priceInStockCurrency}${stockCurrency} → DKK=${currentPriceDKK} | Value=${valueDKK}DKK`);
-      
-      return {
-        ...stock.toObject(),
-        // Prices in NATIVE currency
-        currentPrice: parseFloat(priceInStockCurrency.toFixed(2)),
-        buyPrice: parseFloat(stock.buyPrice.toFixed(2)),
-        
-        // Value/Gain in DKK
-        currentValue: parseFloat(valueDKK.toFixed(2)),
-        cost: parseFloat(costDKK.toFixed(2)),
-        gain: parseFloat(gainDKK.toFixed(2)),
-        gainPercent: parseFloat(gainPercent),
-        
-        // Also include native values for reference
-        priceNative: parseFloat(priceInStockCurrency.toFixed(2)),
-        buyPriceNative: parseFloat(stock.buyPrice.toFixed(2)),
-        nativeCurrency: stockCurrency,
-        
-        // DKK values
-        priceDKK: currentPriceDKK,
-        buyPriceDKK: buyPriceDKK,
-        valueDKK: parseFloat(valueDKK.toFixed(2)),
-        costDKK: parseFloat(costDKK.toFixed(2))
-      };
-    });
-  } catch (error) {
-    console.error('[ERROR] Failed to fetch prices from stock API:', error.message);
-    console.error('[ERROR] URL was:', `${STOCK_API_URL}/api/batch-price`);
-    console.error('[ERROR] Error details:', error.code || error.response?.status || 'unknown');
-    // Return stocks with current values if API fails
-    return stocks.map(stock => {
-      const stockCurrency = getCurrencyFromTicker(stock.ticker);
-      const buyPriceDKK = convertToDKK(stock.buyPrice, stockCurrency);
-      const valueDKK = buyPriceDKK * stock.shares;
-      
-      return {
-        ...stock.toObject(),
-        // Prices in NATIVE currency
-        currentPrice: parseFloat(stock.buyPrice.toFixed(2)),
-        buyPrice: parseFloat(stock.buyPrice.toFixed(2)),
-        
-        // Value/Gain in DKK
-        currentValue: parseFloat(valueDKK.toFixed(2)),
-        cost: parseFloat(valueDKK.toFixed(2)),
-        gain: 0,
-        gainPercent: 0,
-        
-        // Native reference
-        priceNative: parseFloat(stock.buyPrice.toFixed(2)),
-        buyPriceNative: parseFloat(stock.buyPrice.toFixed(2)),
-        nativeCurrency: stockCurrency,
-        priceDKK: buyPriceDKK,
-        buyPriceDKK: buyPriceDKK,
-        valueDKK: parseFloat(valueDKK.toFixed(2)),
-        costDKK: parseFloat(valueDKK.toFixed(2))
-      };
-    });
-  }
+// Helper function to report a booked sale in the user's base currency
+const describeSale = (sale, fx) => {
+  const toBase = (amountDKK) => fx.convert(amountDKK, 'DKK', fx.base);
+  const { proceedsDKK, realizedGainDKK, priceEffectDKK, currencyEffectDKK, ...rest } = sale;
+
+  return {
+    ...rest,
+    currency: fx.base,
+    proceeds: toBase(proceedsDKK),
+    realizedGainBase: toBase(realizedGainDKK),
+    priceEffect: toBase(priceEffectDKK),
+    currencyEffect: toBase(currencyEffectDKK),
+    ...(fx.base === 'DKK' && { realizedGainDKK, priceEffectDKK, currencyEffectDKK })
+  };
 };
 
 // Get all portfolio stocks with real-time prices
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, fxMiddleware, async (req, res) => {
   try {
-    const portfolio = await Portfolio.find().sort({ createdAt: -1 });
-    const enriched = await enrichPortfolioWithPrices(portfolio);
-    res.json(enriched);
+    const [portfolio, user] = await Promise.all([
+      Portfolio.find({ user: req.userId }).sort({ createdAt: -1 }),
+      User.findById(req.userId).select('dripTickers')
+    ]);
+    const enriched = await enrichPortfolioWithPrices(portfolio, req.fx);
+    const dripTickers = (user && user.dripTickers) || [];
+    res.json(enriched.map(stock => ({ ...stock, drip: dripTickers.includes(stock.ticker) })));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Get portfolio summary with real-time calculations
-router.get('/summary', authMiddleware, async (req, res) => {
+router.get('/summary', authMiddleware, fxMiddleware, async (req, res) => {
   try {
-    const portfolio = await Portfolio.find();
-    const enriched = await enrichPortfolioWithPrices(portfolio);
+    const portfolio = await Portfolio.find({ user: req.userId });
+    const enriched = await enrichPortfolioWithPrices(portfolio, req.fx);
     
     const totalCost = enriched.reduce((sum, stock) => {
-      return sum + stock.cost;  // Use cost in DKK, not native price
+      return sum + stock.cost;  // Use cost in the base currency, not native price
     }, 0);
     
     const totalValue = enriched.reduce((sum, stock) => {
@@ -169,14 +66,20 @@ router.get('/summary', authMiddleware, async (req, res) => {
     
     const totalGain = totalValue - totalCost;
     const gainPercent = totalCost > 0 ? ((totalGain / totalCost) * 100).toFixed(2) : 0;
+    const totalPriceEffect = enriched.reduce((sum, stock) => sum + stock.priceEffect, 0);
+    const totalCurrencyEffect = enriched.reduce((sum, stock) => sum + stock.currencyEffect, 0);
     
     res.json({
+      baseCurrency: req.fx.base,
       totalCost: parseFloat(totalCost.toFixed(2)),
       totalValue: parseFloat(totalValue.toFixed(2)),
       totalGain: parseFloat(totalGain.toFixed(2)),
       gainPercent: parseFloat(gainPercent),
+      priceEffect: parseFloat(totalPriceEffect.toFixed(2)),
+      currencyEffect: parseFloat(totalCurrencyEffect.toFixed(2)),
       holdingsCount: enriched.length,
-      stocks: enriched
+      stocks: enriched,
+      fx: req.fx.status()
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -185,62 +88,86 @@ router.get('/summary', authMiddleware, async (req, res) => {
 
 // Add stock to portfolio
 // Add stock to portfolio (auto-detects currency from Stock API)
-router.post('/add', authMiddleware, async (req, res) => {
+router.post('/add', authMiddleware, fxMiddleware, async (req, res) => {
   try {
-    const { ticker, shares, buyPrice, buyDate, notes, deductFromCash } = req.body;
+    const { ticker, shares, buyPrice, buyDate, notes, deductFromCash, cashCurrency } = req.body;
 
     if (!ticker || !shares || !buyPrice) {
       return res.status(400).json({ error: 'Missing required fields: ticker, shares, buyPrice' });
     }
 
-    // Fetch stock data to get currency automatically
-    let currency = 'USD'; // default fallback
-    try {
-      const response = await axios.get(`${STOCK_API_URL}/api/stock/${ticker.toUpperCase()}`);
-      if (response.data && response.data.currency) {
-        currency = response.data.currency;
-      }
-    } catch (error) {
-      console.warn(`Could not fetch currency for ${ticker}, using default USD`);
+    // The quote gives the stock's currency (and primes the cache for the response below)
+    const quote = await getQuote(ticker);
+    let currency = quote.currency;
+    if (!currency) {
+      currency = getCurrencyFromTicker(ticker.toUpperCase());
+      console.warn(`Could not fetch currency for ${ticker}, using ${currency} from its exchange suffix`);
     }
 
-    const portfolio = new Portfolio({
+    // The rate on the buy date fixes the lot's DKK cost basis
+    const tradeDate = buyDate ? new Date(buyDate) : new Date();
+    const buyRate = await getHistoricalRate(currency, tradeDate);
+
+    // The BUY transaction is the source of truth; the lot is its projection
+    const transaction = new Transaction({
+      user: req.userId,
       ticker: ticker.toUpperCase(),
+      type: 'BUY',
       shares: parseFloat(shares),
-      buyPrice: parseFloat(buyPrice),
-      currency: currency || getCurrencyFromTicker(ticker.toUpperCase()),
-      buyDate: buyDate || new Date(),
+      price: parseFloat(buyPrice),
+      currency,
+      transactionDate: tradeDate,
+      fxRate: buyRate.rate,
+      fxRateEstimated: buyRate.stale,
       notes
     });
 
-    await portfolio.save();
+    await transaction.save();
 
-    // Also create transaction record
-    const transaction = new Transaction({
+    const portfolio = new Portfolio({
+      user: req.userId,
       ticker: ticker.toUpperCase(),
-      type: 'BUY',
       shares: parseFloat(shares),
-      price: parseFloat(buyPrice),
-      currency: currency || getCurrencyFromTicker(ticker.toUpperCase()),
-      transactionDate: buyDate || new Date()
+      buyPrice: parseFloat(buyPrice),
+      currency,
+      buyDate: tradeDate,
+      fxRate: buyRate.rate,
+      sourceTransaction: transaction._id,
+      notes
     });
 
-    await transaction.save();
+    await portfolio.save();
+    await regenerateSchedule(req.userId, [portfolio.ticker]);
+    emitEvent(req.userId, 'trade.recorded', { transaction });
+
+    // A first buy gets its expected dividends now rather than at the next refresh
+    try {
+      await scheduleNewTicker(req.userId, portfolio.ticker, portfolio.currency);
+    } catch (error) {
+      console.warn(`Could not project dividends for ${portfolio.ticker}:`, error.message);
+    }
 
-    // If user chose to deduct from cash, create a cash withdrawal in DKK
+    // If user chose to deduct from cash, withdraw from the sub-balance in the stock's currency
+    // (or from `cashCurrency`, converted at the buy-date rate)
     if (deductFromCash) {
       try {
         // Determine stock currency
-        const stockCurrency = currency || getCurrencyFromTicker(ticker.toUpperCase());
-        
-        // Convert cost to DKK
+        const stockCurrency = currency;
+        const payCurrency = (cashCurrency || stockCurrency).toUpperCase();
+
         const costNative = parseFloat(shares) * parseFloat(buyPrice);
-        const costDKK = convertToDKK(costNative, stockCurrency);
-        
+        let amount = parseFloat(costNative.toFixed(2));
+        if (payCurrency !== stockCurrency) {
+          const payRate = await getHistoricalRate(payCurrency, tradeDate);
+          amount = parseFloat((costNative * buyRate.rate / payRate.rate).toFixed(2));
+        }
+
         const cashTransaction = new Cash({
-          amount: costDKK,
-          type: 'WITHDRAWAL',
-          description: `Stock purchase: ${ticker.toUpperCase()} - ${parseFloat(shares)} shares @ ${parseFloat(buyPrice)} ${stockCurrency} (${costDKK.toFixed(2)} DKK)`
+          user: req.userId,
+          amount,
+          currency: payCurrency,
+          type: 'PURCHASE',
+          description: `Stock purchase: ${ticker.toUpperCase()} - ${parseFloat(shares)} shares @ ${parseFloat(buyPrice)} ${stockCurrency} (${amount.toFixed(2)} ${payCurrency})`
         });
         await cashTransaction.save();
       } catch (error) {
@@ -249,11 +176,50 @@ router.post('/add', authMiddleware, async (req, res) => {
     }
 
     // Return with enriched price data
-    const enriched = await enrichPortfolioWithPrices([portfolio]);
+    const enriched = await enrichPortfolioWithPrices([portfolio], req.fx);
 
     res.status(201).json({
       message: 'Stock added to portfolio',
-      portfolio: enriched[0]
+      portfolio: enriched[0],
+      fx: req.fx.status()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the holdings whose dividends are reinvested (DRIP)
+router.get('/drip', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('dripTickers');
+    res.json({ tickers: (user && user.dripTickers) || [] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Turn dividend reinvestment on or off for a holding ({ enabled: true|false })
+router.put('/drip/:ticker', authMiddleware, async (req, res) => {
+  try {
+    const ticker = req.params.ticker.toUpperCase();
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+    if (enabled && !await Portfolio.exists({ user: req.userId, ticker })) {
+      return res.status(404).json({ error: `No holding in ${ticker}` });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      enabled ? { $addToSet: { dripTickers: ticker } } : { $pull: { dripTickers: ticker } },
+      { new: true }
+    ).select('dripTickers');
+
+    res.json({
+      message: enabled ? `Dividends on ${ticker} will be reinvested` : `Dividends on ${ticker} will be paid out as cash`,
+      tickers: user.dripTickers
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -261,37 +227,126 @@ router.post('/add', authMiddleware, async (req, res) => {
 });
 
 // Update stock quantity
-router.put('/:id', authMiddleware, async (req, res) => {
+// A share change corrects the lot's BUY transaction, then the lot is rebuilt from the ledger
+router.put('/:id', authMiddleware, fxMiddleware, async (req, res) => {
   try {
     const { shares, notes } = req.body;
 
-    const portfolio = await Portfolio.findByIdAndUpdate(
-      req.params.id,
-      { shares, notes },
-      { new: true, runValidators: true }
-    );
+    let portfolio = await Portfolio.findOne({ _id: req.params.id, user: req.userId });
 
     if (!portfolio) {
       return res.status(404).json({ error: 'Stock not found' });
     }
 
+    if (shares !== undefined && !(parseFloat(shares) > 0)) {
+      return res.status(400).json({ error: 'Shares must be positive' });
+    }
+
+    if (shares !== undefined && parseFloat(shares) !== portfolio.shares) {
+      const source = portfolio.sourceTransaction
+        && await Transaction.findOne({ _id: portfolio.sourceTransaction, user: req.userId });
+
+      if (!source) {
+        return res.status(409).json({
+          error: 'This lot is not linked to a BUY transaction. Rebuild holdings (POST /api/portfolio/rebuild) before editing shares.'
+        });
+      }
+
+      // Shares already sold from the lot stay sold; only the bought quantity changes
+      source.shares += parseFloat(shares) - portfolio.shares;
+      if (source.shares <= 0) {
+        return res.status(400).json({ error: 'Shares must be positive' });
+      }
+      source.totalValue = undefined;
+      await source.save();
+      await rebuildHoldings(req.userId, [portfolio.ticker]);
+    }
+
+    if (notes !== undefined) {
+      await Portfolio.updateOne({ _id: portfolio._id }, { notes });
+    }
+
+    portfolio = await Portfolio.findOne({ _id: portfolio._id });
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Stock not found' });
+    }
+
     // Enrich with current price
-    const enriched = await enrichPortfolioWithPrices([portfolio]);
+    const enriched = await enrichPortfolioWithPrices([portfolio], req.fx);
     
     res.json({
       message: 'Stock updated',
-      portfolio: enriched[0]
+      portfolio: enriched[0],
+      fx: req.fx.status()
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Sell shares of a ticker, drawing down lots by FIFO, average cost or specific lots
+router.post('/sell', authMiddleware, fxMiddleware, async (req, res) => {
+  try {
+    const { ticker, shares, sellPrice, method, lots, sellDate, commission, notes } = req.body;
+
+    if (!ticker || !sellPrice) {
+      return res.status(400).json({ error: 'Missing required fields: ticker, sellPrice' });
+    }
+
+    if (typeof ticker !== 'string') {
+      return res.status(400).json({ error: 'ticker must be a string' });
+    }
+
+    if (sellDate && (typeof sellDate !== 'string' || isNaN(new Date(sellDate)))) {
+      return res.status(400).json({ error: 'sellDate must be a valid date' });
+    }
+
+    if (!(Number(sellPrice) > 0)) {
+      return res.status(400).json({ error: 'sellPrice must be a number greater than 0' });
+    }
+
+    if (shares !== undefined && shares !== null && shares !== '' && !(Number(shares) > 0)) {
+      return res.status(400).json({ error: 'shares must be a number greater than 0' });
+    }
+
+    const openLots = await Portfolio.find({ user: req.userId, ticker: ticker.toUpperCase() })
+      .sort({ buyDate: 1, createdAt: 1 });
+
+    if (openLots.length === 0) {
+      return res.status(404).json({ error: `No holdings found for ${ticker.toUpperCase()}` });
+    }
+
+    const costMethod = (method || 'FIFO').toUpperCase();
+    const currency = openLots[0].currency || getCurrencyFromTicker(openLots[0].ticker);
+    const currentRate = req.fx.rateOf(currency);
+    const match = matchLots(openLots, shares ? parseFloat(shares) : null, costMethod, lots, currentRate);
+
+    const sale = await recordSale(req.userId, match, {
+      ticker: ticker.toUpperCase(),
+      currency,
+      sellPrice: parseFloat(sellPrice),
+      commission: parseFloat(commission) || 0,
+      sellDate: sellDate ? new Date(sellDate) : new Date(),
+      costMethod,
+      notes
+    });
+    emitEvent(req.userId, 'trade.recorded', { transaction: sale.transaction });
+
+    res.status(201).json({
+      message: 'Sale recorded',
+      ...describeSale(sale, req.fx),
+      fx: req.fx.status()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // Remove stock from portfolio (or sell partial)
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, fxMiddleware, async (req, res) => {
   try {
     const { sellPrice, sellShares } = req.body;
-    const portfolio = await Portfolio.findById(req.params.id);
+    const portfolio = await Portfolio.findOne({ _id: req.params.id, user: req.userId });
 
     if (!portfolio) {
       return res.status(404).json({ error: 'Stock not found' });
@@ -305,87 +360,207 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Cannot sell more shares than you own' });
     }
 
-    // Determine stock currency and convert to DKK
-    const stockCurrency = getCurrencyFromTicker(portfolio.ticker);
-    const sellPriceDKK = convertToDKK(sellPriceNative, stockCurrency);
-    const saleProceeds = sharesToSell * sellPriceDKK;
-
-    // Create cash transaction for sale proceeds in DKK
-    const cashTransaction = new Cash({
-      amount: parseFloat(saleProceeds.toFixed(2)),
-      type: 'SALE',
-      description: `Sale of ${sharesToSell} shares of ${portfolio.ticker} @ ${sellPriceNative.toFixed(2)} ${stockCurrency} = ${sellPriceDKK.toFixed(2)} DKK/share`,
-      date: new Date()
-    });
-    await cashTransaction.save();
-
-    // Create transaction record
-    const transaction = new Transaction({
+    // Selling from one named lot is a specific-lot sale
+    const lotCurrency = portfolio.currency || getCurrencyFromTicker(portfolio.ticker);
+    const currentRate = req.fx.rateOf(lotCurrency);
+    const match = matchLots([portfolio], sharesToSell, 'SPECIFIC', [{ lotId: portfolio._id, shares: sharesToSell }], currentRate);
+    const sale = await recordSale(req.userId, match, {
       ticker: portfolio.ticker,
-      type: 'SELL',
-      shares: sharesToSell,
-      price: sellPriceNative,
-      currency: stockCurrency,
-      transactionDate: new Date()
+      currency: lotCurrency,
+      sellPrice: sellPriceNative,
+      commission: 0,
+      sellDate: new Date(),
+      costMethod: 'SPECIFIC'
     });
-    await transaction.save();
+    emitEvent(req.userId, 'trade.recorded', { transaction: sale.transaction });
+
+    // If selling all shares, the rebuild has removed the lot
+    const { proceeds, currency, realizedGain, realizedGainBase, realizedGainDKK } = describeSale(sale, req.fx);
 
-    // If selling all shares, delete the stock
     if (sharesToSell === portfolio.shares) {
-      await Portfolio.findByIdAndDelete(req.params.id);
       res.json({ 
         message: 'Stock sold completely',
-        proceeds: parseFloat(saleProceeds.toFixed(2)),
+        proceeds,
         shares: sharesToSell,
-        currency: 'DKK'
+        currency,
+        realizedGain,
+        realizedGainBase,
+        ...(realizedGainDKK !== undefined && { realizedGainDKK }),
+        fx: req.fx.status()
       });
     } else {
-      // Otherwise, update shares
-      portfolio.shares -= sharesToSell;
-      await portfolio.save();
-      
       res.json({ 
         message: 'Partial sale recorded',
-        proceeds: parseFloat(saleProceeds.toFixed(2)),
+        proceeds,
+        currency,
         sharesSold: sharesToSell,
-        sharesRemaining: portfolio.shares
+        sharesRemaining: parseFloat((portfolio.shares - sharesToSell).toFixed(4)),
+        realizedGain,
+        realizedGainBase,
+        ...(realizedGainDKK !== undefined && { realizedGainDKK }),
+        fx: req.fx.status()
       });
     }
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Rebuild all holdings from the transaction ledger
+router.post('/rebuild', authMiddleware, async (req, res) => {
+  try {
+    const { tickers } = req.body;
+    const result = await rebuildHoldings(req.userId, Array.isArray(tickers) && tickers.length > 0 ? tickers : null);
+
+    res.json({
+      message: 'Holdings rebuilt from transactions',
+      ...result
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update all stock prices from Stock API (no longer needed - fetched on-demand)
+// List tickers where stored shares differ from the transaction ledger
+router.get('/consistency', authMiddleware, async (req, res) => {
+  try {
+    const mismatches = await checkConsistency(req.userId);
+
+    res.json({
+      consistent: mismatches.length === 0,
+      mismatches
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Refresh prices from Stock API and record them in today's snapshot
 // Kept for backward compatibility and triggering price refreshes
-router.post('/update-prices', authMiddleware, async (req, res) => {
+router.post('/update-prices', authMiddleware, fxMiddleware, async (req, res) => {
   try {
-    const portfolio = await Portfolio.find();
+    const portfolio = await Portfolio.find({ user: req.userId });
     
     if (portfolio.length === 0) {
       return res.json({ message: 'No stocks to update' });
     }
 
-    const enriched = await enrichPortfolioWithPrices(portfolio);
+    const enriched = await enrichPortfolioWithPrices(portfolio, req.fx, { refresh: true });
+    const snapshot = await takeSnapshot(req.userId, { source: 'MANUAL', fx: req.fx });
     
     res.json({
-      message: 'Prices fetched (not stored - calculated on-demand)',
-      stocks: enriched
+      message: 'Prices fetched and today\'s snapshot updated',
+      stocks: enriched,
+      snapshot,
+      fx: req.fx.status()
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Record today's portfolio value snapshot now (replaces an earlier one from today)
+router.post('/snapshots', authMiddleware, fxMiddleware, async (req, res) => {
+  try {
+    const snapshot = await takeSnapshot(req.userId, { source: 'MANUAL', fx: req.fx });
+
+    res.status(201).json({
+      message: 'Snapshot recorded',
+      snapshot,
+      fx: req.fx.status()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Portfolio value over time from stored snapshots, in the user's base currency
+router.get('/history', authMiddleware, fxMiddleware, async (req, res) => {
+  try {
+    const { from, to, interval = 'daily' } = req.query;
+
+    if ([from, to].some(date => date && (typeof date !== 'string' || isNaN(new Date(date))))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const points = await getHistory(req.userId, { from, to, interval, fx: req.fx });
+
+    res.json({
+      baseCurrency: req.fx.base,
+      interval,
+      from: from || null,
+      to: to || null,
+      points,
+      fx: req.fx.status()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Time-weighted and money-weighted (XIRR) returns, in percent
+// One period (?period=ytd|1y|3y|inception, or custom with from/to) or, by default, all standard periods
+router.get('/performance', authMiddleware, fxMiddleware, async (req, res) => {
+  try {
+    const { period, from, to } = req.query;
+    const periods = period ? [period] : (from ? ['custom'] : ['ytd', '1y', '3y', 'inception']);
+
+    const results = [];
+    for (const name of periods) {
+      results.push(await calculatePerformance(req.userId, name, { from, to, fx: req.fx }));
+    }
+
+    res.json({
+      baseCurrency: req.fx.base,
+      performance: results,
+      fx: req.fx.status()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Compare performance with benchmark tickers (the user's benchmarks, or ?tickers=SPY,^OMXC25)
+// Over ?period=ytd|1y|3y|inception (default inception) or a custom from/to range
+router.get('/benchmarks', authMiddleware, fxMiddleware, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const period = req.query.period || (from ? 'custom' : 'inception');
+
+    const user = await User.findById(req.userId).select('benchmarks');
+    const configured = (user && user.benchmarks) || [];
+    const benchmarks = req.query.tickers
+      ? req.query.tickers.split(',').map(t => t.trim().toUpperCase()).filter(Boolean).map(ticker => {
+        const known = configured.find(b => b.ticker === ticker);
+        return { ticker, currency: known ? known.currency : undefined };
+      })
+      : configured.map(({ ticker, currency }) => ({ ticker, currency }));
+
+    if (benchmarks.length === 0) {
+      return res.status(400).json({ error: 'No benchmarks configured. Set them with PUT /api/auth/preferences or pass ?tickers=' });
+    }
+
+    const comparison = await compareBenchmarks(req.userId, period, { from, to, fx: req.fx, benchmarks });
+
+    res.json({
+      ...comparison,
+      fx: req.fx.status()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // Get allocation breakdown with real-time prices
-router.get('/allocation', authMiddleware, async (req, res) => {
+router.get('/allocation', authMiddleware, fxMiddleware, async (req, res) => {
   try {
-    const portfolio = await Portfolio.find();
-    const enriched = await enrichPortfolioWithPrices(portfolio);
+    const portfolio = await Portfolio.find({ user: req.userId });
+    const enriched = await enrichPortfolioWithPrices(portfolio, req.fx);
     
     const allocation = enriched.map(stock => ({
       ticker: stock.ticker,
       value: stock.currentValue,
+      currency: stock.baseCurrency,
       shares: stock.shares,
       buyPrice: stock.buyPrice,
       currentPrice: stock.currentPrice,
@@ -0,0 +1,87 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Portfolio = require('../models/Portfolio');
+const { recordSale } = require('../utils/sales');
+
+jest.mock('../middleware/fx', () => ({
+  fxMiddleware: (req, res, next) => {
+    req.fx = {
+      base: 'DKK',
+      rateOf: () => 7,
+      convert: (amount) => amount,
+      status: () => ({ stale: false, fallbackCurrencies: [] })
+    };
+    next();
+  }
+}));
+jest.mock('../utils/sales', () => ({ recordSale: jest.fn() }));
+jest.mock('../utils/webhooks', () => ({ emitEvent: jest.fn() }));
+
+const portfolioRoutes = require('./portfolio');
+
+const userId = new mongoose.Types.ObjectId();
+const token = jwt.sign({ userId }, process.env.JWT_SECRET);
+const app = express();
+app.use(express.json());
+app.use('/api/portfolio', portfolioRoutes);
+
+const sell = (body) => request(app)
+  .post('/api/portfolio/sell')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('POST /api/portfolio/sell', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test.each([
+    ['a missing sellPrice', { ticker: 'AAPL' }],
+    ['a non-string ticker', { ticker: ['AAPL'], sellPrice: 150 }],
+    ['an unparseable sellDate', { ticker: 'AAPL', sellPrice: 150, sellDate: 'last tuesday' }],
+    ['a non-string sellDate', { ticker: 'AAPL', sellPrice: 150, sellDate: { $gt: 0 } }],
+    ['a zero sellPrice', { ticker: 'AAPL', sellPrice: '0' }],
+    ['negative shares', { ticker: 'AAPL', sellPrice: 150, shares: -2 }]
+  ])('rejects %s with a 400', async (label, body) => {
+    const find = jest.spyOn(Portfolio, 'find');
+
+    const response = await sell(body);
+
+    expect(response.status).toBe(400);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('answers a ticker the user does not hold with a 404', async () => {
+    const find = jest.spyOn(Portfolio, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+
+    const response = await sell({ ticker: 'msft', sellPrice: 300 });
+
+    expect(response.status).toBe(404);
+    expect(find).toHaveBeenCalledWith({ user: userId.toString(), ticker: 'MSFT' });
+  });
+
+  test('books a valid sale against the lots in their recorded currency', async () => {
+    const lot = new Portfolio({
+      user: userId,
+      ticker: 'NOVO-B.CO',
+      shares: 10,
+      buyPrice: 700,
+      currency: 'DKK',
+      buyDate: new Date('2024-01-10')
+    });
+    jest.spyOn(Portfolio, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([lot]) });
+    recordSale.mockResolvedValue({ transaction: {}, proceedsDKK: 8000, realizedGainDKK: 1000 });
+
+    const response = await sell({ ticker: 'novo-b.co', sellPrice: 800, shares: 10, sellDate: '2024-06-03' });
+
+    expect(response.status).toBe(201);
+    expect(recordSale).toHaveBeenCalledWith(userId.toString(), expect.any(Object), expect.objectContaining({
+      ticker: 'NOVO-B.CO',
+      currency: 'DKK',
+      sellPrice: 800,
+      sellDate: new Date('2024-06-03')
+    }));
+  });
+});
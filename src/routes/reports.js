@@ -0,0 +1,202 @@
+const express = require('express');
+const Transaction = require('../models/Transaction');
+const { authMiddleware } = require('../middleware/auth');
+const { replayLedger } = require('../utils/ledger');
+const { fxMiddleware } = require('../middleware/fx');
+const { splitFxGain } = require('../utils/currencyConverter');
+const { buildTaxReport } = require('../utils/tax');
+const { toCsv } = require('../utils/csv');
+
+const router = express.Router();
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// Helper to add one sale to a group, keeping native amounts separate per currency
+const addToGroup = (groups, key, sale) => {
+  const group = groups[key] || (groups[key] = {
+    key,
+    salesCount: 0,
+    proceedsDKK: 0,
+    costBasisDKK: 0,
+    realizedGainDKK: 0,
+    priceEffectDKK: 0,
+    currencyEffectDKK: 0,
+    native: {}
+  });
+
+  const native = group.native[sale.currency] || (group.native[sale.currency] = {
+    proceeds: 0,
+    costBasis: 0,
+    realizedGain: 0
+  });
+
+  group.salesCount += 1;
+  group.proceedsDKK += sale.proceedsDKK;
+  group.costBasisDKK += sale.costBasisDKK;
+  group.realizedGainDKK += sale.realizedGainDKK;
+  group.priceEffectDKK += sale.priceEffectDKK;
+  group.currencyEffectDKK += sale.currencyEffectDKK;
+  native.proceeds += sale.proceeds;
+  native.costBasis += sale.costBasis;
+  native.realizedGain += sale.realizedGain;
+};
+
+// Helper to round a grouping and return it as a sorted list
+const finalizeGroups = (groups) => {
+  return Object.values(groups)
+    .map(group => ({
+      ...group,
+      proceedsDKK: round2(group.proceedsDKK),
+      costBasisDKK: round2(group.costBasisDKK),
+      realizedGainDKK: round2(group.realizedGainDKK),
+      priceEffectDKK: round2(group.priceEffectDKK),
+      currencyEffectDKK: round2(group.currencyEffectDKK),
+      native: Object.fromEntries(Object.entries(group.native).map(([currency, values]) => [currency, {
+        proceeds: round2(values.proceeds),
+        costBasis: round2(values.costBasis),
+        realizedGain: round2(values.realizedGain)
+      }]))
+    }))
+    .sort((a, b) => String(a.key).localeCompare(String(b.key)));
+};
+
+// Realized profit and loss replayed from the transaction ledger
+router.get('/realized', authMiddleware, fxMiddleware, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    // A date-only "to" includes the whole day
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate.setUTCHours(23, 59, 59, 999);
+    }
+
+    // Replay the full history so sales in the range are matched against earlier buys
+    const transactions = await Transaction.find({ user: req.userId });
+    const { sales } = replayLedger(transactions);
+
+    const inRange = sales.filter(sale => {
+      const date = new Date(sale.date);
+      return (!fromDate || date >= fromDate) && (!toDate || date <= toDate);
+    });
+
+    const enrichedSales = [];
+    for (const sale of inRange) {
+      // Sale-date rate for proceeds, purchase-date rates for cost when the ledger has them
+      const rate = sale.fxRate || req.fx.rateOf(sale.currency);
+      const proceedsDKK = round2(sale.proceeds * rate);
+      const costBasisDKK = round2(sale.costBasisDKK != null ? sale.costBasisDKK : sale.costBasis * rate);
+      const { priceEffect, currencyEffect } = splitFxGain(sale.proceeds, sale.costBasis, costBasisDKK, rate);
+
+      enrichedSales.push({
+        ...sale,
+        proceeds: round2(sale.proceeds),
+        costBasis: round2(sale.costBasis),
+        realizedGain: round2(round2(sale.proceeds) - round2(sale.costBasis)),
+        proceedsDKK,
+        costBasisDKK,
+        // Derived from the two figures above, so proceeds minus cost always equals the gain
+        realizedGainDKK: round2(proceedsDKK - costBasisDKK),
+        priceEffectDKK: priceEffect,
+        currencyEffectDKK: currencyEffect
+      });
+    }
+
+    const byTicker = {};
+    const byYear = {};
+    const byMonth = {};
+
+    enrichedSales.forEach(sale => {
+      const date = new Date(sale.date);
+      const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+
+      addToGroup(byTicker, sale.ticker, sale);
+      addToGroup(byYear, String(date.getUTCFullYear()), sale);
+      addToGroup(byMonth, `${date.getUTCFullYear()}-${month}`, sale);
+    });
+
+    const totalGainDKK = enrichedSales.reduce((sum, sale) => sum + sale.realizedGainDKK, 0);
+    const totalGains = enrichedSales.filter(s => s.realizedGainDKK > 0).reduce((sum, s) => sum + s.realizedGainDKK, 0);
+    const totalLosses = enrichedSales.filter(s => s.realizedGainDKK < 0).reduce((sum, s) => sum + s.realizedGainDKK, 0);
+
+    res.json({
+      from: fromDate,
+      to: toDate,
+      currency: 'DKK',
+      totalRealizedGainDKK: round2(totalGainDKK),
+      totalGainsDKK: round2(totalGains),
+      totalLossesDKK: round2(totalLosses),
+      salesCount: enrichedSales.length,
+      byTicker: finalizeGroups(byTicker),
+      byYear: finalizeGroups(byYear),
+      byMonth: finalizeGroups(byMonth),
+      sales: enrichedSales.sort((a, b) => new Date(b.date) - new Date(a.date)),
+      fx: req.fx.status()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper to flatten the tax report's audit lines into one spreadsheet
+const taxAuditCsv = (report) => {
+  const headers = ['kind', 'id', 'ticker', 'date', 'type', 'shares', 'price', 'commission', 'currency', 'fxRate',
+    'amountDKK', 'averageCostDKK', 'costBasisDKK', 'gainDKK', 'withholdingTax', 'withheldDKK', 'creditableDKK',
+    'poolShares', 'poolCostDKK'];
+  const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+  const trades = report.audit.trades.flatMap(({ trades: lines }) => lines.map(line => ({
+    ...line,
+    kind: 'trade',
+    id: line.transactionId,
+    date: day(line.date)
+  })));
+  const dividends = report.audit.dividends.map(line => ({
+    ...line,
+    kind: 'dividend',
+    id: line.dividendId,
+    date: day(line.paymentDate),
+    type: 'DIVIDEND',
+    price: line.amountPerShare,
+    amountDKK: line.grossDKK
+  }));
+
+  return toCsv(headers, [...trades, ...dividends]);
+};
+
+// Danish share income (aktieindkomst) for one year (?married=true&carriedLoss=12000&format=csv)
+router.get('/tax/:year', authMiddleware, async (req, res) => {
+  try {
+    const year = parseInt(req.params.year, 10);
+    const carriedLoss = req.query.carriedLoss ? parseFloat(req.query.carriedLoss) : 0;
+
+    if (!/^\d{4}$/.test(req.params.year) || year < 1990 || year > new Date().getUTCFullYear()) {
+      return res.status(400).json({ error: 'Invalid year' });
+    }
+    if (isNaN(carriedLoss) || carriedLoss < 0) {
+      return res.status(400).json({ error: 'carriedLoss must be a positive amount in DKK' });
+    }
+
+    const report = await buildTaxReport(req.userId, year, {
+      married: req.query.married === 'true',
+      carriedLoss
+    });
+
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="tax-${year}.csv"`);
+      return res.send(taxAuditCsv(report));
+    }
+
+    res.json(report);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,41 @@
 const express = require('express');
-const axios = require('axios');
 const { authMiddleware } = require('../middleware/auth');
+const { getRateTable, SUPPORTED_CURRENCIES } = require('../utils/currencyConverter');
+const { getMarketData } = require('../utils/marketData');
+const { getPriceHistory } = require('../utils/priceHistory');
 
 const router = express.Router();
-const STOCK_API_URL = process.env.STOCK_API_URL || 'http://localhost:5001';
 
 // Get single stock data
 router.get('/:ticker', authMiddleware, async (req, res) => {
+  const { ticker } = req.params;
   try {
-    const { ticker } = req.params;
+    res.json(await getMarketData().getStock(ticker));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: `Failed to fetch stock data for ${ticker}` });
+  }
+});
+
+// Daily prices for a date range; days already fetched are served from MongoDB
+router.get('/:ticker/history', authMiddleware, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
 
-    const response = await axios.get(`${STOCK_API_URL}/api/stock/${ticker}`);
-    res.json(response.data);
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate)) || (fromDate && toDate && fromDate > toDate)) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const history = await getPriceHistory(req.params.ticker, { from: fromDate, to: toDate });
+
+    if (history.prices.length === 0 && !history.complete) {
+      return res.status(500).json({ error: `Failed to fetch price history for ${history.ticker}`, details: history.warnings });
+    }
+
+    res.json(history);
   } catch (error) {
-    res.status(500).json({ error: `Failed to fetch stock data for ${ticker}` });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -26,26 +48,30 @@ router.post('/batch-price', async (req, res) => {
       return res.status(400).json({ error: 'No tickers provided' });
     }
 
-    const response = await axios.post(`${STOCK_API_URL}/api/batch-price`, {
-      tickers
-    });
-
-    res.json(response.data);
+    res.json(await getMarketData().getPrices(tickers));
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch batch stock data' });
   }
 });
 
-// Get exchange rate
+// Get exchange rate (served by the shared FX module)
 router.get('/rate/:from/:to', async (req, res) => {
   try {
-    const { from, to } = req.params;
+    const from = req.params.from.toUpperCase();
+    const to = req.params.to.toUpperCase();
+
+    if (!SUPPORTED_CURRENCIES.includes(from) || !SUPPORTED_CURRENCIES.includes(to)) {
+      return res.status(400).json({ error: `Unsupported currency pair: ${from}/${to}` });
+    }
 
-    const response = await axios.get(
-      `${STOCK_API_URL}/api/exchange-rate/${from}/${to}`
-    );
+    const table = await getRateTable([from, to]);
 
-    res.json(response.data);
+    res.json({
+      from,
+      to,
+      rate: parseFloat((table.rateOf(from) / table.rateOf(to)).toFixed(6)),
+      ...table.status()
+    });
   } catch (error) {
     res.status(500).json({ error: `Failed to fetch exchange rate` });
   }
@@ -53,16 +79,11 @@ router.get('/rate/:from/:to', async (req, res) => {
 
 // Get dividend for stock
 router.get('/dividend/:ticker', authMiddleware, async (req, res) => {
+  const { ticker } = req.params;
   try {
-    const { ticker } = req.params;
-
-    const response = await axios.get(
-      `${STOCK_API_URL}/api/dividend/${ticker}`
-    );
-
-    res.json(response.data);
+    res.json(await getMarketData().getDividend(ticker));
   } catch (error) {
-    res.status(500).json({ error: `Failed to fetch dividend data for ${ticker}` });
+    res.status(error.status || 500).json({ error: `Failed to fetch dividend data for ${ticker}` });
   }
 });
 
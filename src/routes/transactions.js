@@ -0,0 +1,229 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const { authMiddleware } = require('../middleware/auth');
+const { rebuildHoldings } = require('../utils/holdings');
+const { getHistoricalRate } = require('../utils/currencyConverter');
+const { emitEvent } = require('../utils/webhooks');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['ticker', 'type', 'shares', 'price', 'currency', 'commission', 'transactionDate', 'fxRate', 'notes'];
+const TEXT_FIELDS = ['ticker', 'type', 'currency', 'notes'];
+// Figures lot matching fixed when a sale was booked, and the fields they were worked out from
+const DERIVED_SALE_FIELDS = ['costBasis', 'costBasisDKK', 'realizedGain', 'realizedGainDKK', 'priceEffectDKK', 'currencyEffectDKK', 'matchedLots'];
+const SALE_INPUT_FIELDS = ['ticker', 'type', 'shares', 'price', 'currency', 'commission', 'transactionDate', 'fxRate'];
+const MAX_PAGE_SIZE = 200;
+
+// Helper to fix the DKK rate on the trade date unless the broker's rate was given
+const applyTradeRate = async (transaction, explicitRate) => {
+  if (explicitRate) {
+    transaction.fxRateEstimated = false;
+    return;
+  }
+
+  const rate = await getHistoricalRate(transaction.currency, transaction.transactionDate);
+  transaction.fxRate = rate.rate;
+  transaction.fxRateEstimated = rate.stale;
+};
+
+// Helper to pick the editable fields present in a request body
+const pickEditable = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+};
+
+// Helper to find a text field that was sent as something other than a string
+const nonTextField = (values) => TEXT_FIELDS.find(field => values[field] !== undefined && typeof values[field] !== 'string');
+
+// List transactions with filtering, sorting and pagination
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { ticker, type, currency, from, to, sort, order } = req.query;
+
+    const invalid = nonTextField({ ticker, type, currency });
+    if (invalid) {
+      return res.status(400).json({ error: `${invalid} must be a single value` });
+    }
+
+    const filter = { user: req.userId };
+    if (ticker) filter.ticker = ticker.toUpperCase();
+    if (type) filter.type = type.toUpperCase();
+    if (currency) filter.currency = currency.toUpperCase();
+    if ([from, to].some(date => date && isNaN(new Date(date)))) {
+      return res.status(400).json({ error: 'from and to must be dates' });
+    }
+    if (from || to) {
+      filter.transactionDate = {};
+      if (from) filter.transactionDate.$gte = new Date(from);
+      if (to) filter.transactionDate.$lte = new Date(to);
+    }
+
+    // Sort on any schema field, e.g. ?sort=price&order=asc or ?sort=-price
+    let sortField = sort || '-transactionDate';
+    let sortDirection = order === 'asc' ? 1 : -1;
+    if (sortField.startsWith('-')) {
+      sortField = sortField.slice(1);
+      sortDirection = -1;
+    } else if (sort && !order) {
+      sortDirection = 1;
+    }
+
+    if (!Transaction.schema.path(sortField)) {
+      return res.status(400).json({ error: `Cannot sort on unknown field: ${sortField}` });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find(filter)
+        .sort({ [sortField]: sortDirection, _id: sortDirection })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Transaction.countDocuments(filter)
+    ]);
+
+    res.json({
+      transactions,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single transaction
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const transaction = await Transaction.findOne({ _id: req.params.id, user: req.userId });
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    res.json(transaction);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Holdings are rebuilt from the ledger after every change below
+
+// Record a trade (back-dated trades included)
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const { ticker, type, shares, price } = req.body;
+
+    if (!ticker || !type || !shares || price === undefined) {
+      return res.status(400).json({ error: 'Missing required fields: ticker, type, shares, price' });
+    }
+
+    const invalid = nonTextField(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: `${invalid} must be a string` });
+    }
+
+    const transaction = new Transaction({
+      ...pickEditable(req.body),
+      user: req.userId,
+      type: type.toUpperCase(),
+      transactionDate: req.body.transactionDate || new Date()
+    });
+
+    await applyTradeRate(transaction, req.body.fxRate);
+    await transaction.save();
+    await rebuildHoldings(req.userId, [transaction.ticker]);
+    emitEvent(req.userId, 'trade.recorded', { transaction });
+
+    res.status(201).json({
+      message: 'Transaction recorded',
+      transaction
+    });
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Correct a trade
+router.put('/:id', authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const invalid = nonTextField(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: `${invalid} must be a string` });
+    }
+
+    const transaction = await Transaction.findOne({ _id: req.params.id, user: req.userId });
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const previousTicker = transaction.ticker;
+    const wasSell = transaction.type === 'SELL';
+    const updates = pickEditable(req.body);
+    if (updates.type) updates.type = updates.type.toUpperCase();
+    transaction.set(updates);
+
+    if (transaction.isModified('currency') || transaction.isModified('transactionDate') || updates.fxRate) {
+      await applyTradeRate(transaction, updates.fxRate);
+    }
+
+    // Replay keeps a sale's stored cost basis and gain, so a corrected sale drops them to be matched again
+    if ((wasSell || transaction.type === 'SELL') && SALE_INPUT_FIELDS.some(field => transaction.isModified(field))) {
+      DERIVED_SALE_FIELDS.forEach(field => transaction.set(field, undefined));
+    }
+
+    // Let the pre-save hook recompute the total from the corrected values
+    transaction.totalValue = undefined;
+    await transaction.save();
+    await rebuildHoldings(req.userId, [...new Set([previousTicker, transaction.ticker])]);
+
+    res.json({
+      message: 'Transaction updated',
+      transaction
+    });
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Delete a trade
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const transaction = await Transaction.findOneAndDelete({ _id: req.params.id, user: req.userId });
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    await rebuildHoldings(req.userId, [transaction.ticker]);
+
+    res.json({ message: 'Transaction deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Transaction = require('../models/Transaction');
+const { replayLedger } = require('../utils/ledger');
+
+jest.mock('../utils/holdings', () => ({ rebuildHoldings: jest.fn().mockResolvedValue({}) }));
+jest.mock('../utils/currencyConverter', () => ({ getHistoricalRate: jest.fn().mockResolvedValue({ rate: 7, stale: false }) }));
+jest.mock('../utils/webhooks', () => ({ emitEvent: jest.fn() }));
+
+const { rebuildHoldings } = require('../utils/holdings');
+const transactionRoutes = require('./transactions');
+
+const userId = new mongoose.Types.ObjectId();
+const token = jwt.sign({ userId }, process.env.JWT_SECRET);
+const app = express();
+app.use(express.json());
+app.use('/api/transactions', transactionRoutes);
+
+const buy = new Transaction({
+  user: userId,
+  ticker: 'AAPL',
+  type: 'BUY',
+  shares: 10,
+  price: 100,
+  currency: 'USD',
+  transactionDate: new Date('2024-01-10'),
+  fxRate: 7
+});
+
+// A stored sale as recordSale booked it, with the cost basis and gain fixed at the time
+const bookedSale = () => Transaction.hydrate(new Transaction({
+  user: userId,
+  ticker: 'AAPL',
+  type: 'SELL',
+  shares: 5,
+  price: 150,
+  currency: 'USD',
+  transactionDate: new Date('2024-03-10'),
+  fxRate: 7,
+  costMethod: 'FIFO',
+  costBasis: 500,
+  costBasisDKK: 3500,
+  realizedGain: 250,
+  realizedGainDKK: 1750,
+  matchedLots: [{ transaction: buy._id, shares: 5, buyPrice: 100, costBasis: 500 }]
+}).toObject());
+
+describe('PUT /api/transactions/:id', () => {
+  beforeEach(() => {
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a corrected sale is matched again, so its realized gain follows the new figures', async () => {
+    const sale = bookedSale();
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(sale);
+
+    const response = await request(app)
+      .put(`/api/transactions/${sale._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ shares: 4, price: 200 });
+
+    expect(response.status).toBe(200);
+    expect(sale.costBasis).toBeUndefined();
+    expect(sale.realizedGain).toBeUndefined();
+
+    const { sales } = replayLedger([buy, sale]);
+    expect(sales[0].costBasis).toBe(400);
+    expect(sales[0].realizedGain).toBe(4 * 200 - 400);
+  });
+
+  test('editing only the notes keeps the booked figures', async () => {
+    const sale = bookedSale();
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(sale);
+
+    await request(app)
+      .put(`/api/transactions/${sale._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ notes: 'Sold for the house deposit' });
+
+    expect(sale.realizedGain).toBe(250);
+    expect(sale.matchedLots).toHaveLength(1);
+  });
+
+  test('rejects a non-string ticker', async () => {
+    const response = await request(app)
+      .put(`/api/transactions/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ticker: ['AAPL'] });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('answers a malformed id with a 404', async () => {
+    const response = await request(app)
+      .put('/api/transactions/not-an-id')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ shares: 1 });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('per-user access', () => {
+  const otherUserId = new mongoose.Types.ObjectId();
+  const otherToken = jwt.sign({ userId: otherUserId }, process.env.JWT_SECRET);
+
+  // Stored rows only match a query scoped to their owner
+  const ownedBy = (owner, doc) => (filter) => Promise.resolve(filter.user === owner.toString() ? doc : null);
+
+  beforeEach(() => rebuildHoldings.mockClear());
+  afterEach(() => jest.restoreAllMocks());
+
+  test('requires a token', async () => {
+    const response = await request(app).get('/api/transactions');
+
+    expect(response.status).toBe(401);
+  });
+
+  test('lists only the caller\'s transactions', async () => {
+    const query = { sort: jest.fn().mockReturnThis(), skip: jest.fn().mockReturnThis(), limit: jest.fn().mockResolvedValue([buy]) };
+    const find = jest.spyOn(Transaction, 'find').mockReturnValue(query);
+    const count = jest.spyOn(Transaction, 'countDocuments').mockResolvedValue(1);
+
+    const response = await request(app)
+      .get('/api/transactions?ticker=aapl')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(find).toHaveBeenCalledWith({ user: userId.toString(), ticker: 'AAPL' });
+    expect(count).toHaveBeenCalledWith({ user: userId.toString(), ticker: 'AAPL' });
+  });
+
+  test('answers another user\'s transaction with a 404', async () => {
+    jest.spyOn(Transaction, 'findOne').mockImplementation(ownedBy(userId, buy));
+
+    const own = await request(app)
+      .get(`/api/transactions/${buy._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    const other = await request(app)
+      .get(`/api/transactions/${buy._id}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(own.status).toBe(200);
+    expect(other.status).toBe(404);
+  });
+
+  test('does not let another user edit or delete a transaction', async () => {
+    jest.spyOn(Transaction, 'findOne').mockImplementation(ownedBy(userId, bookedSale()));
+    jest.spyOn(Transaction, 'findOneAndDelete').mockImplementation(ownedBy(userId, buy));
+
+    const edit = await request(app)
+      .put(`/api/transactions/${buy._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ shares: 1 });
+    const remove = await request(app)
+      .delete(`/api/transactions/${buy._id}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(edit.status).toBe(404);
+    expect(remove.status).toBe(404);
+    expect(rebuildHoldings).not.toHaveBeenCalled();
+  });
+
+  test('answers an unknown transaction with a 404', async () => {
+    jest.spyOn(Transaction, 'findOneAndDelete').mockResolvedValue(null);
+
+    const missing = await request(app)
+      .delete(`/api/transactions/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', `Bearer ${token}`);
+    const malformed = await request(app)
+      .get('/api/transactions/not-an-id')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(missing.status).toBe(404);
+    expect(malformed.status).toBe(404);
+  });
+});
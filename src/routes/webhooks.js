@@ -0,0 +1,192 @@
+const express = require('express');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { authMiddleware } = require('../middleware/auth');
+const { WEBHOOK_EVENTS, generateSecret, checkWebhookUrl, sendTestDelivery } = require('../utils/webhooks');
+
+const router = express.Router();
+
+// Helper to check a subscription list; returns an error message or null
+const checkEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return `Provide events to subscribe to: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  return unknown.length > 0 ? `Unknown events: ${unknown.join(', ')}` : null;
+};
+
+// Helper to show a delivery without its raw body
+const describeDelivery = (delivery) => {
+  const { body, ...rest } = delivery.toObject();
+  return { ...rest, payload: JSON.parse(body) };
+};
+
+// Get all webhooks
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ user: req.userId }).sort({ createdAt: -1 });
+    res.json({ events: WEBHOOK_EVENTS, webhooks });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Register a webhook; the signing secret is only returned here
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ error: 'Missing required field: url' });
+    }
+
+    const invalid = checkEvents(events);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await checkWebhookUrl(url);
+
+    const webhook = new Webhook({
+      user: req.userId,
+      url,
+      events: [...new Set(events)],
+      secret: generateSecret(),
+      description
+    });
+
+    await webhook.save();
+    const { secret, ...registered } = webhook.toObject();
+
+    res.status(201).json({
+      message: 'Webhook registered',
+      webhook: registered,
+      secret
+    });
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : error.status || 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Change a webhook's URL, events or description, or switch it on or off
+router.patch('/:id', authMiddleware, async (req, res) => {
+  try {
+    const { url, events, active, description } = req.body;
+
+    if (events !== undefined) {
+      const invalid = checkEvents(events);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be true or false' });
+    }
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, user: req.userId });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (url !== undefined) {
+      await checkWebhookUrl(url);
+      webhook.url = url;
+    }
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (active !== undefined) webhook.active = active;
+    if (description !== undefined) webhook.description = description;
+
+    await webhook.save();
+
+    res.json({
+      message: 'Webhook updated',
+      webhook
+    });
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : error.status || 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Issue a new signing secret; the old one stops working at once
+router.post('/:id/secret', authMiddleware, async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({ _id: req.params.id, user: req.userId });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    webhook.secret = generateSecret();
+    await webhook.save();
+
+    res.json({
+      message: 'Webhook secret rotated',
+      secret: webhook.secret
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a test event now and report how the receiver answered
+router.post('/:id/test', authMiddleware, async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({ _id: req.params.id, user: req.userId });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = await sendTestDelivery(webhook);
+
+    res.json({
+      message: delivery.status === 'DELIVERED' ? 'Test delivery succeeded' : 'Test delivery failed',
+      delivery: describeDelivery(delivery)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delivery log for a webhook, newest first (?status=&limit=)
+router.get('/:id/deliveries', authMiddleware, async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({ _id: req.params.id, user: req.userId });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const filter = { webhook: webhook._id };
+    if (req.query.status) filter.status = req.query.status.toUpperCase();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+    const deliveries = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json(deliveries.map(describeDelivery));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a webhook and its delivery log
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const webhook = await Webhook.findOneAndDelete({ _id: req.params.id, user: req.userId });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
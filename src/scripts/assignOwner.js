@@ -0,0 +1,54 @@
+/**
+ * Assign Owner Migration
+ * Assigns every holding, transaction, cash entry and dividend without an owner
+ * to a single user. Run once after upgrading from the single-user schema.
+ *
+ * Usage: npm run migrate:assign-owner -- <username|email>
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const Portfolio = require('../models/Portfolio');
+const Transaction = require('../models/Transaction');
+const Cash = require('../models/Cash');
+const Dividend = require('../models/Dividend');
+
+const MODELS = [Portfolio, Transaction, Cash, Dividend];
+
+const run = async () => {
+  const identifier = process.argv[2];
+
+  if (!identifier) {
+    console.error('Usage: npm run migrate:assign-owner -- <username|email>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const user = await User.findOne({
+      $or: [{ username: identifier.toLowerCase() }, { email: identifier.toLowerCase() }]
+    });
+
+    if (!user) {
+      throw new Error(`User not found: ${identifier}`);
+    }
+
+    console.log(`[MIGRATE] Assigning unowned documents to ${user.username} (${user._id})`);
+
+    for (const Model of MODELS) {
+      // { user: null } matches documents where the field is missing as well as null
+      const result = await Model.updateMany({ user: null }, { $set: { user: user._id } });
+      console.log(`[MIGRATE] ${Model.modelName}: ${result.modifiedCount} updated`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('✗ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+/**
+ * Backfill FX Rates
+ * Stores the trade-date DKK rate on transactions and lots recorded before rates
+ * were captured. Rows that could only be given today's rate are flagged as
+ * estimated and retried on the next run, so import history first
+ * (POST /api/fx/history) and run this again.
+ *
+ * Usage: npm run fx:backfill
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Transaction = require('../models/Transaction');
+const Portfolio = require('../models/Portfolio');
+const { getHistoricalRate } = require('../utils/currencyConverter');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const transactions = await Transaction.find({
+      $or: [{ fxRate: null }, { fxRateEstimated: true }]
+    });
+
+    let estimated = 0;
+    for (const transaction of transactions) {
+      const rate = await getHistoricalRate(transaction.currency, transaction.transactionDate);
+      transaction.fxRate = rate.rate;
+      transaction.fxRateEstimated = rate.stale;
+      if (rate.stale) estimated += 1;
+      await transaction.save();
+    }
+    console.log(`[BACKFILL] Transactions: ${transactions.length} updated (${estimated} estimated from today's rate)`);
+
+    // Lots take the rate of the BUY that opened them
+    const lots = await Portfolio.find().populate('sourceTransaction');
+    let lotsUpdated = 0;
+    for (const lot of lots) {
+      const rate = lot.sourceTransaction
+        ? lot.sourceTransaction.fxRate
+        : lot.fxRate || (await getHistoricalRate(lot.currency, lot.buyDate)).rate;
+
+      if (rate && rate !== lot.fxRate) {
+        await Portfolio.updateOne({ _id: lot._id }, { fxRate: rate });
+        lotsUpdated += 1;
+      }
+    }
+    console.log(`[BACKFILL] Lots: ${lotsUpdated} updated`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('✗ Backfill failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+/**
+ * Classify Cash Entries Migration
+ * Stock purchases and dividends used to be booked as plain WITHDRAWAL and
+ * DEPOSIT entries, which performance reporting would count as money moved in
+ * or out of the account. Retypes them as PURCHASE and DIVIDEND. Safe to rerun.
+ *
+ * Usage: npm run migrate:cash-types
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Cash = require('../models/Cash');
+
+// Entries written by POST /api/portfolio/add and PATCH /api/dividends/:id/status
+const RULES = [
+  { from: 'WITHDRAWAL', to: 'PURCHASE', description: /^Stock purchase:/ },
+  { from: 'DEPOSIT', to: 'DIVIDEND', description: /^Dividend received:/ }
+];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    for (const rule of RULES) {
+      const result = await Cash.updateMany(
+        { type: rule.from, description: rule.description },
+        { $set: { type: rule.to } }
+      );
+      console.log(`[MIGRATE] ${rule.from} → ${rule.to}: ${result.modifiedCount} updated`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('✗ Migration failed:', error.message);
+  process.exit(1);
+});
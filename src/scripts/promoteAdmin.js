@@ -0,0 +1,49 @@
+/**
+ * Promote Admin
+ * Gives a user the admin role, which the FX override, refresh and history
+ * import routes require. There is no route for this, so the first admin has
+ * to be made here.
+ *
+ * Usage: npm run admin:promote -- <username|email>
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+const run = async () => {
+  const identifier = process.argv[2];
+
+  if (!identifier) {
+    console.error('Usage: npm run admin:promote -- <username|email>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const user = await User.findOne({
+      $or: [{ username: identifier.toLowerCase() }, { email: identifier.toLowerCase() }]
+    });
+
+    if (!user) {
+      throw new Error(`User not found: ${identifier}`);
+    }
+
+    if (user.role === 'admin') {
+      console.log(`[ADMIN] ${user.username} (${user._id}) is already an admin`);
+      return;
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { role: 'admin' } });
+    console.log(`[ADMIN] ${user.username} (${user._id}) is now an admin`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('✗ Promotion failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,239 @@
+/**
+ * Price Alerts Utility
+ * Checks users' alert rules against current quotes and records each firing;
+ * runs on demand and on a schedule
+ */
+
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const AlertTrigger = require('../models/AlertTrigger');
+const Portfolio = require('../models/Portfolio');
+const { getRateTable, BASE_CURRENCY } = require('./currencyConverter');
+const { getQuotes, isFallbackQuote } = require('./quotes');
+const { enrichPortfolioWithPrices, getCurrencyFromTicker } = require('./valuation');
+const { closeOnOrBefore } = require('./priceHistory');
+const { emitEvent } = require('./webhooks');
+
+const ALERT_TYPES = ['PRICE_ABOVE', 'PRICE_BELOW', 'DAILY_MOVE', 'POSITION_GAIN'];
+const CHECK_INTERVAL = 300000; // Check alerts every 5 minutes
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Read an alert type
+ * @param {string} value - 'PRICE_ABOVE', 'price-above', ...
+ * @returns {string|null} Alert type, or null when unrecognised
+ */
+const parseAlertType = (value) => {
+  const type = String(value || '').trim().toUpperCase().replace(/[\s-]/g, '_');
+  return ALERT_TYPES.includes(type) ? type : null;
+};
+
+// Helper to describe a firing for the trigger record
+const describe = (alert, measured, price, currency) => {
+  switch (alert.type) {
+    case 'PRICE_ABOVE':
+      return `${alert.ticker} is at ${price} ${currency}, above ${alert.threshold}`;
+    case 'PRICE_BELOW':
+      return `${alert.ticker} is at ${price} ${currency}, below ${alert.threshold}`;
+    case 'DAILY_MOVE':
+      return `${alert.ticker} moved ${measured > 0 ? '+' : ''}${measured}% today (limit ±${alert.threshold}%)`;
+    default:
+      return `${alert.ticker} position is up ${measured}% (target ${alert.threshold}%)`;
+  }
+};
+
+// Helper to measure an alert: { value, met }, or null when it cannot be checked now
+const measure = async (alert, quote, context) => {
+  switch (alert.type) {
+    case 'PRICE_ABOVE':
+      return { value: quote.price, met: quote.price >= alert.threshold };
+    case 'PRICE_BELOW':
+      return { value: quote.price, met: quote.price <= alert.threshold };
+    case 'DAILY_MOVE': {
+      const previous = await context.previousClose(alert.ticker);
+      if (!previous) return null;
+      const move = round2((quote.price - previous) / previous * 100);
+      return { value: move, met: Math.abs(move) >= Math.abs(alert.threshold) };
+    }
+    default: {
+      const gain = await context.positionGain(alert.user, alert.ticker);
+      if (gain === null) return null;
+      return { value: gain, met: gain >= alert.threshold };
+    }
+  }
+};
+
+// Helper to build per-run lookups shared by every alert checked in the run
+const createContext = () => {
+  const closes = new Map();
+  const gains = new Map();
+
+  // Last close before today, from the stored price history
+  const previousClose = (ticker) => {
+    if (!closes.has(ticker)) {
+      const yesterday = new Date(startOfDay(new Date()).getTime() - 86400000);
+      closes.set(ticker, closeOnOrBefore(ticker, yesterday)
+        .then(close => (close ? close.close : null))
+        .catch(() => null));
+    }
+    return closes.get(ticker);
+  };
+
+  // Gain on the user's lots of a ticker, in percent of their cost in the user's base currency
+  const positionGain = (userId, ticker) => {
+    const key = `${userId}:${ticker}`;
+    if (!gains.has(key)) {
+      gains.set(key, (async () => {
+        const lots = await Portfolio.find({ user: userId, ticker });
+        if (lots.length === 0) return null;
+
+        const user = await User.findById(userId).select('baseCurrency');
+        const fx = await getRateTable(undefined, (user && user.baseCurrency) || BASE_CURRENCY);
+        const valued = await enrichPortfolioWithPrices(lots, fx);
+        if (valued.some(lot => isFallbackQuote(lot.quote))) return null;
+
+        const cost = valued.reduce((sum, lot) => sum + lot.cost, 0);
+        const gain = valued.reduce((sum, lot) => sum + lot.gain, 0);
+        return cost > 0 ? round2(gain / cost * 100) : null;
+      })().catch(() => null));
+    }
+    return gains.get(key);
+  };
+
+  return { previousClose, positionGain };
+};
+
+/**
+ * Record an alert's firing once
+ * The alert is claimed with a conditional update, so a rule checked twice at the
+ * same time fires once. Price rules and position gains fire when their condition
+ * starts to hold; daily moves fire at most once per day.
+ * @param {Object} alert - Alert document
+ * @param {Object} quote - Quote that set it off
+ * @param {number} value - Measured value
+ * @returns {Promise<Object|null>} The trigger record, or null when already fired
+ */
+const fireAlert = async (alert, quote, value) => {
+  const now = new Date();
+  const claim = alert.type === 'DAILY_MOVE'
+    ? { $or: [{ lastTriggeredAt: null }, { lastTriggeredAt: { $lt: startOfDay(now) } }] }
+    : { conditionMet: { $ne: true } };
+
+  const claimed = await Alert.findOneAndUpdate(
+    { _id: alert._id, status: 'ACTIVE', ...claim },
+    { conditionMet: true, lastTriggeredAt: now, lastCheckedAt: now, lastPrice: quote.price, $inc: { triggerCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const currency = quote.currency || getCurrencyFromTicker(alert.ticker);
+  const trigger = await AlertTrigger.create({
+    user: alert.user,
+    alert: alert._id,
+    ticker: alert.ticker,
+    type: alert.type,
+    threshold: alert.threshold,
+    price: quote.price,
+    currency,
+    value,
+    message: describe(alert, value, quote.price, currency),
+    quoteAsOf: quote.asOf,
+    triggeredAt: now
+  });
+
+  emitEvent(alert.user, 'alert.triggered', { alert: claimed, trigger });
+  return trigger;
+};
+
+/**
+ * Check active alerts against current quotes
+ * Quotes are fetched fresh for each check. Last known prices are not acted on;
+ * those alerts are skipped until a current price arrives.
+ * @param {Object} options - { userId } to check one user's alerts (all users when omitted)
+ * @returns {Promise<Object>} { checked, skipped, triggered: [AlertTrigger], failed }
+ */
+const evaluateAlerts = async ({ userId } = {}) => {
+  const filter = { status: 'ACTIVE' };
+  if (userId) {
+    filter.user = userId;
+  }
+
+  const alerts = await Alert.find(filter);
+  const result = { checked: 0, skipped: 0, triggered: [], failed: 0 };
+  if (alerts.length === 0) return result;
+
+  const quotes = await getQuotes(alerts.map(alert => alert.ticker), { refresh: true });
+  const context = createContext();
+
+  for (const alert of alerts) {
+    try {
+      const quote = quotes[alert.ticker];
+      const measured = !isFallbackQuote(quote) && quote.price > 0 ? await measure(alert, quote, context) : null;
+      if (!measured) {
+        result.skipped += 1;
+        continue;
+      }
+
+      result.checked += 1;
+      if (measured.met) {
+        const trigger = await fireAlert(alert, quote, measured.value);
+        if (trigger) {
+          result.triggered.push(trigger);
+          continue;
+        }
+      }
+
+      await Alert.updateOne(
+        { _id: alert._id },
+        { lastCheckedAt: new Date(), lastPrice: quote.price, ...(!measured.met && { conditionMet: false }) }
+      );
+    } catch (error) {
+      console.error(`[ALERTS] Could not check alert ${alert._id}:`, error.message);
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Check everyone's alerts now and then every few minutes
+ * @returns {NodeJS.Timeout} The interval timer (unref'd so it never keeps the process alive)
+ */
+const startAlertScheduler = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { triggered, failed } = await evaluateAlerts();
+      if (triggered.length > 0 || failed > 0) {
+        console.log(`[ALERTS] ${triggered.length} triggered, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('[ALERTS] Scheduled check failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  ALERT_TYPES,
+  parseAlertType,
+  evaluateAlerts,
+  startAlertScheduler
+};
@@ -0,0 +1,365 @@
+/**
+ * Account Backup Utility
+ * Exports everything a user owns as a versioned bundle (JSON, or a zip of CSVs)
+ * and restores a bundle into an account, replacing or merging with what is there
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Portfolio = require('../models/Portfolio');
+const Transaction = require('../models/Transaction');
+const Cash = require('../models/Cash');
+const Dividend = require('../models/Dividend');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const Alert = require('../models/Alert');
+const AlertTrigger = require('../models/AlertTrigger');
+const { parseCsv, toCsv } = require('./csv');
+const { createZip, readZip } = require('./zip');
+const { regenerateSchedule } = require('./dividendSchedule');
+
+const FORMAT = 'portfolio-tracker-export';
+const VERSION = 1;
+
+// Restored in this order; references (lots → BUY transactions, cash → dividends,
+// triggers → alerts) are rewritten
+const COLLECTIONS = {
+  transactions: Transaction,
+  holdings: Portfolio,
+  cash: Cash,
+  dividends: Dividend,
+  snapshots: PortfolioSnapshot,
+  alerts: Alert,
+  alertTriggers: AlertTrigger
+};
+
+// Profile settings carried in a bundle; credentials and roles never are
+const PROFILE_FIELDS = ['username', 'email', 'name', 'baseCurrency', 'benchmarks', 'autoReceiveDividends', 'dripTickers'];
+const RESTORABLE_PROFILE_FIELDS = ['baseCurrency', 'benchmarks', 'autoReceiveDividends', 'dripTickers'];
+
+const badRequest = (message, details) => {
+  const error = new Error(message);
+  error.status = 400;
+  if (details) error.details = details;
+  return error;
+};
+
+// Helper to turn a document into plain exported data
+const serialize = (doc) => {
+  const data = JSON.parse(JSON.stringify(doc.toObject({ flattenMaps: true, versionKey: false })));
+  delete data.user;
+  return data;
+};
+
+/**
+ * Collect everything a user owns
+ * @param {string} userId - Owner of the data
+ * @returns {Promise<Object>} { format, version, exportedAt, profile, counts, data: { collection: [...] } }
+ */
+const exportAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    const error = new Error('User not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const data = {};
+  for (const [name, Model] of Object.entries(COLLECTIONS)) {
+    const docs = await Model.find({ user: userId }).sort({ createdAt: 1 });
+    data[name] = docs.map(serialize);
+  }
+
+  return {
+    format: FORMAT,
+    version: VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: Object.fromEntries(PROFILE_FIELDS.map(field => [field, serialize(user)[field]])),
+    counts: Object.fromEntries(Object.entries(data).map(([name, docs]) => [name, docs.length])),
+    data
+  };
+};
+
+/**
+ * Write a bundle as a zip: manifest.json plus one CSV per collection
+ * Nested values (matched lots, snapshot holdings) are written as JSON inside their cell.
+ * @param {Object} bundle - Result of exportAccount
+ * @returns {Buffer} The zip archive
+ */
+const bundleToZip = (bundle) => {
+  const { data, ...manifest } = bundle;
+
+  const files = Object.entries(data).map(([name, docs]) => {
+    const headers = [...new Set(docs.flatMap(doc => Object.keys(doc)))];
+    const rows = docs.map(doc => Object.fromEntries(Object.entries(doc).map(([key, value]) => [
+      key,
+      value !== null && typeof value === 'object' ? JSON.stringify(value) : value
+    ])));
+    return { name: `${name}.csv`, data: toCsv(headers, rows) };
+  });
+
+  return createZip([{ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) }, ...files]);
+};
+
+// Helper to turn a CSV cell back into the type its schema path expects
+const fromCell = (Model, key, value) => {
+  if (value === '') return undefined;
+
+  const path = Model.schema.path(key);
+  switch (path ? path.instance : 'Mixed') {
+    case 'Number':
+      return parseFloat(value);
+    case 'Boolean':
+      return value === 'true';
+    case 'String':
+    case 'ObjectId':
+    case 'ObjectID':
+    case 'Date':
+      return value;
+    default:
+      // Arrays, maps and nested objects were written as JSON
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+  }
+};
+
+/**
+ * Read a zip written by bundleToZip back into a bundle
+ * @param {Buffer} buffer - The zip archive
+ * @returns {Object} The bundle
+ */
+const zipToBundle = (buffer) => {
+  const files = Object.fromEntries(readZip(buffer).map(file => [file.name.split('/').pop(), file.data.toString('utf8')]));
+
+  if (!files['manifest.json']) {
+    throw badRequest('The archive has no manifest.json');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(files['manifest.json']);
+  } catch (error) {
+    throw badRequest('manifest.json is not valid JSON');
+  }
+
+  const data = {};
+  Object.entries(COLLECTIONS).forEach(([name, Model]) => {
+    const csv = files[`${name}.csv`];
+    if (!csv) return;
+
+    data[name] = parseCsv(csv, ',').rows.map(({ values }) => {
+      const doc = {};
+      Object.entries(values).forEach(([key, value]) => {
+        const parsed = fromCell(Model, key, value);
+        if (parsed !== undefined) doc[key] = parsed;
+      });
+      return doc;
+    });
+  });
+
+  return { ...manifest, data };
+};
+
+// Helper to check a bundle's envelope before looking at its documents
+const checkEnvelope = (bundle) => {
+  if (!bundle || bundle.format !== FORMAT) {
+    throw badRequest(`Not a ${FORMAT} bundle`);
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version > VERSION) {
+    throw badRequest(`Unsupported bundle version ${bundle.version}; this server reads up to version ${VERSION}`);
+  }
+  if (!bundle.data || typeof bundle.data !== 'object') {
+    throw badRequest('The bundle has no data');
+  }
+
+  const unknown = Object.keys(bundle.data).filter(name => !COLLECTIONS[name]);
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown collections in bundle: ${unknown.join(', ')}`);
+  }
+  Object.entries(bundle.data).forEach(([name, docs]) => {
+    if (!Array.isArray(docs)) throw badRequest(`${name} must be a list`);
+  });
+};
+
+// Helper to swap an account's documents for validated replacements
+// The new documents go in first; a failed insert removes them again and leaves the old ones.
+// Snapshots are overwritten in place per day, and projected dividends are regenerated after
+// the restore, so the old projections are cleared up front to make room for the bundle's.
+const replaceDocuments = async (userId, writes) => {
+  const previous = {};
+  for (const [name, Model] of Object.entries(COLLECTIONS)) {
+    previous[name] = await Model.find({ user: userId }).distinct('_id');
+  }
+  await Dividend.deleteMany({ user: userId, projected: true, status: 'EXPECTED' });
+
+  const staged = Object.keys(COLLECTIONS).filter(name => name !== 'snapshots');
+  try {
+    for (const name of staged) {
+      if (writes[name].length > 0) {
+        await COLLECTIONS[name].insertMany(writes[name], { ordered: true });
+      }
+    }
+  } catch (error) {
+    for (const name of staged) {
+      await COLLECTIONS[name].deleteMany({ _id: { $in: writes[name].map(doc => doc._id) } });
+    }
+    throw error;
+  }
+
+  if (writes.snapshots.length > 0) {
+    await PortfolioSnapshot.bulkWrite(writes.snapshots.map(doc => ({
+      replaceOne: { filter: { _id: doc._id }, replacement: doc.toObject(), upsert: true }
+    })));
+  }
+
+  for (const [name, Model] of Object.entries(COLLECTIONS)) {
+    const kept = new Set(writes[name].map(doc => String(doc._id)));
+    const stale = previous[name].filter(id => !kept.has(String(id)));
+    if (stale.length > 0) {
+      await Model.deleteMany({ user: userId, _id: { $in: stale } });
+    }
+  }
+};
+
+/**
+ * Restore a bundle into an account
+ * Everything is validated before anything is written. Documents keep their ids unless
+ * another account already uses them; then they get new ids and references to them
+ * are rewritten. When merging, documents already in the account are skipped.
+ * Replacing inserts the bundle under new ids before deleting the account's old documents,
+ * so a failed restore leaves the old data in place rather than an empty account.
+ * @param {string} userId - Account to restore into
+ * @param {Object} bundle - Result of exportAccount or zipToBundle
+ * @param {Object} options - { mode: 'merge'|'replace', dryRun }
+ * @returns {Promise<Object>} Per-collection restored/skipped counts
+ */
+const restoreAccount = async (userId, bundle, { mode = 'merge', dryRun = false } = {}) => {
+  if (!['merge', 'replace'].includes(mode)) {
+    throw badRequest('Mode must be merge or replace');
+  }
+  checkEnvelope(bundle);
+
+  const ids = {};
+  const plans = {};
+  const errors = [];
+
+  // Decide each document's id: keep it, skip it (already ours when merging) or give it a new one
+  for (const [name, Model] of Object.entries(COLLECTIONS)) {
+    const docs = bundle.data[name] || [];
+    const exportedIds = docs.map(doc => doc._id).filter(id => mongoose.isValidObjectId(id));
+    const taken = await Model.find({ _id: { $in: exportedIds } }).select('user');
+    const owners = new Map(taken.map(doc => [String(doc._id), String(doc.user)]));
+
+    // Snapshots are unique per day: a merge keeps the account's own snapshot for a day,
+    // a replace overwrites it in place
+    const snapshotDays = name === 'snapshots'
+      ? new Map((await Model.find({ user: userId }).select('date')).map(doc => [doc.date.getTime(), String(doc._id)]))
+      : new Map();
+
+    ids[name] = new Map();
+    plans[name] = docs.map((doc, index) => {
+      const original = doc._id && mongoose.isValidObjectId(doc._id) ? String(doc._id) : null;
+      const owner = original && owners.get(original);
+
+      if (owner === String(userId) && mode === 'merge') {
+        ids[name].set(original, original);
+        return { index, skip: true };
+      }
+      const sameDay = snapshotDays.get(new Date(doc.date).getTime());
+      if (sameDay && mode === 'merge') {
+        return { index, skip: true };
+      }
+
+      let id = original && (!owner || owner === String(userId)) ? original : String(new mongoose.Types.ObjectId());
+      if (mode === 'replace') id = sameDay || String(new mongoose.Types.ObjectId());
+      if (original) ids[name].set(original, id);
+      return { index, id, reassigned: Boolean(owner) && owner !== String(userId) };
+    });
+  }
+
+  // Rewrite references to restored documents
+  const remap = (name, id) => (id && ids[name].has(String(id)) ? ids[name].get(String(id)) : id);
+  const prepare = (name, doc, id) => {
+    const prepared = { ...doc, _id: id, user: userId };
+    if (name === 'holdings') {
+      prepared.sourceTransaction = remap('transactions', doc.sourceTransaction);
+    }
+    if ((name === 'cash' || name === 'transactions') && doc.dividend) {
+      prepared.dividend = remap('dividends', doc.dividend);
+    }
+    if (name === 'alertTriggers') {
+      prepared.alert = remap('alerts', doc.alert);
+    }
+    if (name === 'transactions' && Array.isArray(doc.matchedLots)) {
+      prepared.matchedLots = doc.matchedLots.map(lot => ({
+        ...lot,
+        lot: remap('holdings', lot.lot),
+        transaction: remap('transactions', lot.transaction)
+      }));
+    }
+    return prepared;
+  };
+
+  const writes = {};
+  for (const [name, Model] of Object.entries(COLLECTIONS)) {
+    writes[name] = plans[name].filter(plan => !plan.skip).map(plan => {
+      const doc = new Model(prepare(name, bundle.data[name][plan.index], plan.id));
+      const invalid = doc.validateSync();
+      if (invalid) errors.push(`${name}[${plan.index}]: ${invalid.message}`);
+      return doc;
+    });
+  }
+
+  const profile = Object.fromEntries(RESTORABLE_PROFILE_FIELDS
+    .filter(field => bundle.profile && bundle.profile[field] !== undefined)
+    .map(field => [field, bundle.profile[field]]));
+  if (Object.keys(profile).length > 0) {
+    const invalid = new User(profile).validateSync(RESTORABLE_PROFILE_FIELDS);
+    if (invalid) errors.push(`profile: ${invalid.message}`);
+  }
+
+  if (errors.length > 0) {
+    throw badRequest(`The bundle has ${errors.length} invalid document(s)`, errors.slice(0, 50));
+  }
+
+  const result = {
+    mode,
+    dryRun,
+    restored: Object.fromEntries(Object.entries(writes).map(([name, docs]) => [name, docs.length])),
+    skipped: Object.fromEntries(Object.entries(plans).map(([name, list]) => [name, list.filter(plan => plan.skip).length])),
+    reassignedIds: Object.values(plans).flat().filter(plan => plan.reassigned).length,
+    profile
+  };
+
+  if (dryRun) return result;
+
+  if (mode === 'replace') {
+    await replaceDocuments(userId, writes);
+  } else {
+    for (const [name, Model] of Object.entries(COLLECTIONS)) {
+      if (writes[name].length > 0) {
+        await Model.insertMany(writes[name], { ordered: true });
+      }
+    }
+  }
+
+  if (Object.keys(profile).length > 0) {
+    await User.findByIdAndUpdate(userId, profile, { runValidators: true });
+  }
+
+  // Restored trades can change the shares behind expected dividends
+  await regenerateSchedule(userId);
+
+  return result;
+};
+
+module.exports = {
+  exportAccount,
+  bundleToZip,
+  zipToBundle,
+  restoreAccount,
+  FORMAT,
+  VERSION
+};
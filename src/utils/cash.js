@@ -0,0 +1,69 @@
+/**
+ * Cash Balance Utility
+ * Cash is held per currency, like a brokerage account; these helpers sum the
+ * ledger into sub-balances and consolidate them into one currency.
+ * DEPOSIT and WITHDRAWAL are money moved in or out of the account; SALE,
+ * PURCHASE, DIVIDEND and EXCHANGE are movements inside it.
+ */
+
+const Cash = require('../models/Cash');
+
+/**
+ * Sum cash entries into one balance per currency
+ * @param {Array} entries - Cash documents
+ * @returns {Object} { DKK: 1000, USD: 250, ... }
+ */
+const calculateBalances = (entries) => {
+  const balances = {};
+  const add = (currency, amount) => {
+    const code = currency || 'DKK';
+    balances[code] = (balances[code] || 0) + amount;
+  };
+
+  entries.forEach(entry => {
+    if (['DEPOSIT', 'SALE', 'DIVIDEND'].includes(entry.type)) {
+      add(entry.currency, entry.amount);
+    } else if (['WITHDRAWAL', 'PURCHASE'].includes(entry.type)) {
+      add(entry.currency, -entry.amount);
+    } else if (entry.type === 'EXCHANGE') {
+      add(entry.currency, -entry.amount);
+      add(entry.toCurrency, entry.toAmount);
+    }
+  });
+
+  Object.keys(balances).forEach(currency => {
+    balances[currency] = parseFloat(balances[currency].toFixed(2));
+  });
+
+  return balances;
+};
+
+/**
+ * Current per-currency balances for a user
+ * @param {string} userId - Owner of the cash ledger
+ * @returns {Promise<Object>} { DKK: 1000, USD: 250, ... }
+ */
+const getBalances = async (userId) => {
+  const entries = await Cash.find({ user: userId });
+  return calculateBalances(entries);
+};
+
+/**
+ * Consolidate sub-balances into one currency
+ * @param {Object} balances - Per-currency balances
+ * @param {Object} fx - Rate table from getRateTable
+ * @param {string} currency - Target currency (the table's base by default)
+ * @returns {number} Total in the target currency
+ */
+const consolidate = (balances, fx, currency = fx.base) => {
+  const total = Object.entries(balances).reduce((sum, [code, amount]) => {
+    return sum + fx.convert(amount, code, currency);
+  }, 0);
+  return parseFloat(total.toFixed(2));
+};
+
+module.exports = {
+  calculateBalances,
+  getBalances,
+  consolidate
+};
@@ -0,0 +1,108 @@
+/**
+ * CSV Utility
+ * Parses delimited text as exported by brokers and spreadsheets (quoted fields,
+ * embedded newlines, a byte-order mark and comma, semicolon or tab delimiters)
+ * and writes comma-separated files
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Guess the delimiter from the header line
+const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/, 1)[0];
+  return DELIMITERS.reduce((best, delimiter) => {
+    return header.split(delimiter).length > header.split(best).length ? delimiter : best;
+  }, DELIMITERS[0]);
+};
+
+/**
+ * Parse CSV text into records keyed by header
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Field delimiter (detected from the header when omitted)
+ * @returns {Object} { headers, delimiter, rows: [{ line, values: { header: value } }] }
+ */
+const parseCsv = (text, delimiter = null) => {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(content);
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = '';
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+
+  // Blank lines carry no data
+  const nonEmpty = records.filter(r => r.fields.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { headers: [], delimiter: separator, rows: [] };
+  }
+
+  const headers = nonEmpty[0].fields.map(h => h.trim());
+  const rows = nonEmpty.slice(1).map(({ line: rowLine, fields }) => ({
+    line: rowLine,
+    values: Object.fromEntries(headers.map((header, i) => [header, (fields[i] || '').trim()]))
+  }));
+
+  return { headers, delimiter: separator, rows };
+};
+
+// Quote a field when it contains a delimiter, quote or line break
+const escapeField = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write records as CSV
+ * @param {Array<string>} headers - Column names, in order
+ * @param {Array<Object>} rows - Records keyed by header
+ * @returns {string} CSV content with a header line
+ */
+const toCsv = (headers, rows) => {
+  const lines = [headers, ...rows.map(row => headers.map(header => row[header]))]
+    .map(fields => fields.map(escapeField).join(','));
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -1,71 +1,256 @@
 /**
  * Currency Converter Utility
- * Handles conversion of prices from multiple currencies to DKK
+ * Single source of exchange rates for every route: a pluggable rate provider,
+ * a per-pair cache, admin overrides and fallback rates flagged as stale
  */
 
-const axios = require('axios');
+const mongoose = require('mongoose');
+const FxRate = require('../models/FxRate');
+const { getMarketData } = require('./marketData');
 
-const STOCK_API_URL = process.env.STOCK_API_URL || 'http://localhost:5001';
-
-// Cache for exchange rates (in-memory, update every hour)
-let exchangeRateCache = {
-  rates: {},
-  lastUpdate: 0
-};
+const BASE_CURRENCY = 'DKK';
+const SUPPORTED_CURRENCIES = ['DKK', 'USD', 'EUR', 'GBP', 'SEK', 'NOK', 'CHF'];
 
 const CACHE_DURATION = 3600000; // 1 hour in milliseconds
+const FALLBACK_RETRY = 300000; // Retry the provider 5 minutes after a failure
+const HISTORY_LOOKBACK_DAYS = 7; // Weekends and holidays have no rate of their own
 
-// Exchange rates fallback (if API fails)
+// Exchange rates to DKK used when the provider is unavailable
 const FALLBACK_RATES = {
   DKK: 1,
-  USD: 6.8,
-  EUR: 7.5,
-  GBP: 8.5,
-  SEK: 0.65,
-  NOK: 0.65,
-  CHF: 7.6
+  USD: 6.38,
+  EUR: 7.46,
+  GBP: 8.47,
+  SEK: 0.63,
+  NOK: 0.60,
+  CHF: 7.31
 };
 
 /**
- * Get exchange rate from a currency to DKK
- * @param {string} fromCurrency - Currency code (e.g., 'USD', 'EUR')
- * @returns {number} Exchange rate to DKK
+ * Default provider: the configured market data provider (see marketData.js)
+ * A provider is any object with a name and getRate(from, to) resolving to a number.
+ * It may also implement getHistoricalRate(from, to, date); the stock API does not,
+ * so past rates come from the FxRate store (recorded daily and backfilled).
  */
-const getExchangeRate = async (fromCurrency) => {
-  if (!fromCurrency || fromCurrency === 'DKK') {
-    return 1;
+let rateProvider = getMarketData();
+
+// Cache keyed by pair ("USD/DKK") → { rate, source, stale, asOf, expiresAt }
+let rateCache = new Map();
+
+// Admin overrides keyed by currency → rate to DKK
+const rateOverrides = new Map();
+
+/**
+ * Replace the rate provider
+ * @param {Object} provider - { name, getRate(from, to) }
+ */
+const setRateProvider = (provider) => {
+  if (!provider || typeof provider.getRate !== 'function') {
+    throw new Error('Rate provider must implement getRate(from, to)');
   }
+  rateProvider = provider;
+  clearCache();
+};
 
-  // Check cache
+/**
+ * Get the rate from a currency to DKK with its provenance
+ * @param {string} currency - Currency code (e.g., 'USD', 'EUR')
+ * @returns {Promise<Object>} { currency, rate, source, stale, asOf }
+ */
+const getRateInfo = async (currency) => {
+  const code = (currency || BASE_CURRENCY).toUpperCase();
   const now = Date.now();
-  if (exchangeRateCache.lastUpdate > now - CACHE_DURATION && exchangeRateCache.rates[fromCurrency]) {
-    return exchangeRateCache.rates[fromCurrency];
+
+  if (code === BASE_CURRENCY) {
+    return { currency: code, rate: 1, source: 'base', stale: false, asOf: new Date(now) };
+  }
+
+  if (rateOverrides.has(code)) {
+    return { currency: code, ...rateOverrides.get(code), source: 'override', stale: false };
+  }
+
+  const pair = `${code}/${BASE_CURRENCY}`;
+  const cached = rateCache.get(pair);
+  if (cached && cached.expiresAt > now) {
+    const { expiresAt, ...info } = cached;
+    return { currency: code, ...info };
   }
 
   try {
-    // Try to fetch from stock API
-    const response = await axios.get(
-      `${STOCK_API_URL}/api/exchange-rate/DKK/${fromCurrency}`,
-      { timeout: 3000 }
-    );
-    
-    const rate = response.data.rate || FALLBACK_RATES[fromCurrency];
-    
-    // Update cache
-    exchangeRateCache.rates[fromCurrency] = rate;
-    exchangeRateCache.lastUpdate = now;
-    
-    return rate;
+    const rate = await rateProvider.getRate(code, BASE_CURRENCY);
+    if (!rate || isNaN(rate) || rate <= 0) {
+      throw new Error(`Provider returned invalid rate: ${rate}`);
+    }
+
+    const entry = { rate, source: rateProvider.name, stale: false, asOf: new Date(now), expiresAt: now + CACHE_DURATION };
+    rateCache.set(pair, entry);
+    recordDailyRate(code, rate, rateProvider.name);
+    const { expiresAt, ...info } = entry;
+    return { currency: code, ...info };
   } catch (error) {
-    console.warn(`[WARN] Failed to fetch exchange rate for ${fromCurrency}:`, error.message);
-    
-    // Use fallback rate
-    const fallbackRate = FALLBACK_RATES[fromCurrency] || 1;
-    exchangeRateCache.rates[fromCurrency] = fallbackRate;
-    exchangeRateCache.lastUpdate = now;
-    
-    return fallbackRate;
+    console.warn(`[WARN] Failed to fetch exchange rate for ${code}:`, error.message);
+
+    // Prefer the last rate the provider gave us over the static table
+    const entry = cached
+      ? { ...cached, source: 'cache', stale: true, expiresAt: now + FALLBACK_RETRY }
+      : { rate: FALLBACK_RATES[code] || FALLBACK_RATES.USD, source: 'fallback', stale: true, asOf: null, expiresAt: now + FALLBACK_RETRY };
+    rateCache.set(pair, entry);
+    const { expiresAt, ...info } = entry;
+    return { currency: code, ...info };
+  }
+};
+
+// Helper to truncate a date to its UTC day
+const toDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Every rate fetched from the provider becomes that day's historical rate
+const recordDailyRate = (currency, rate, source) => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  FxRate.updateOne(
+    { currency, base: BASE_CURRENCY, date: toDay(new Date()) },
+    { $set: { rate, source } },
+    { upsert: true }
+  ).catch(error => console.warn(`[WARN] Could not record ${currency} rate:`, error.message));
+};
+
+/**
+ * Get the rate from a currency to DKK on a given date
+ * Uses the latest stored rate within a week before the date, then the provider's
+ * history if it has one. Falls back to today's rate, flagged as stale.
+ * @param {string} currency - Currency code
+ * @param {Date|string} date - Trade date
+ * @returns {Promise<Object>} { currency, rate, source, stale, date }
+ */
+const getHistoricalRate = async (currency, date) => {
+  const code = (currency || BASE_CURRENCY).toUpperCase();
+  const day = toDay(date || new Date());
+
+  if (code === BASE_CURRENCY) {
+    return { currency: code, rate: 1, source: 'base', stale: false, date: day };
+  }
+
+  // Today's rate is the current rate
+  if (day >= toDay(new Date())) {
+    const info = await getRateInfo(code);
+    return { ...info, date: day };
+  }
+
+  const earliest = new Date(day);
+  earliest.setUTCDate(earliest.getUTCDate() - HISTORY_LOOKBACK_DAYS);
+
+  const stored = await FxRate.findOne({
+    currency: code,
+    base: BASE_CURRENCY,
+    date: { $gte: earliest, $lte: day }
+  }).sort({ date: -1 });
+
+  if (stored) {
+    return { currency: code, rate: stored.rate, source: 'history', stale: false, date: stored.date };
   }
+
+  if (typeof rateProvider.getHistoricalRate === 'function') {
+    try {
+      const rate = await rateProvider.getHistoricalRate(code, BASE_CURRENCY, day);
+      if (rate > 0) {
+        await saveHistoricalRates([{ currency: code, date: day, rate, source: rateProvider.name }]);
+        return { currency: code, rate, source: rateProvider.name, stale: false, date: day };
+      }
+    } catch (error) {
+      console.warn(`[WARN] Failed to fetch historical ${code} rate for ${day.toISOString().slice(0, 10)}:`, error.message);
+    }
+  }
+
+  const current = await getRateInfo(code);
+  return { ...current, source: 'current', stale: true, date: day };
+};
+
+/**
+ * Store historical rates (one per currency and day; later values replace earlier ones)
+ * @param {Array} rates - [{ currency, date, rate, source }]
+ * @returns {Promise<number>} Number of rates stored
+ */
+const saveHistoricalRates = async (rates) => {
+  if (rates.length === 0) return 0;
+
+  const result = await FxRate.bulkWrite(rates.map(({ currency, date, rate, source }) => ({
+    updateOne: {
+      filter: { currency: currency.toUpperCase(), base: BASE_CURRENCY, date: toDay(date) },
+      update: { $set: { rate, source: source || 'import' } },
+      upsert: true
+    }
+  })));
+
+  return result.upsertedCount + result.modifiedCount;
+};
+
+/**
+ * Split a converted gain into the part caused by the price move and the part caused by the exchange rate
+ * priceEffect + currencyEffect = value × rate − convertedCost
+ * @param {number} value - Current value or sale proceeds in native currency
+ * @param {number} cost - Cost basis in native currency
+ * @param {number} convertedCost - Cost basis in the target currency at purchase-date rates
+ * @param {number} rate - Current (or sale-date) rate to the target currency
+ * @returns {{ priceEffect: number, currencyEffect: number }} Both in the target currency
+ */
+const splitFxGain = (value, cost, convertedCost, rate) => {
+  const buyRate = cost > 0 ? convertedCost / cost : rate;
+
+  return {
+    priceEffect: parseFloat(((value - cost) * buyRate).toFixed(2)),
+    currencyEffect: parseFloat((value * (rate - buyRate)).toFixed(2))
+  };
+};
+
+/**
+ * Get exchange rate from a currency to DKK
+ * @param {string} fromCurrency - Currency code (e.g., 'USD', 'EUR')
+ * @returns {Promise<number>} Exchange rate to DKK
+ */
+const getExchangeRate = async (fromCurrency) => {
+  const info = await getRateInfo(fromCurrency);
+  return info.rate;
+};
+
+/**
+ * Build a rate table for synchronous conversions within one request
+ * @param {Array<string>} currencies - Currencies to load (all supported by default)
+ * @param {string} baseCurrency - The user's reporting currency (DKK by default)
+ * @returns {Promise<Object>} { base, rates, rateOf, baseRateOf, convert, toDKK, toBase, status() }
+ */
+const getRateTable = async (currencies = SUPPORTED_CURRENCIES, baseCurrency = BASE_CURRENCY) => {
+  const base = baseCurrency.toUpperCase();
+  const codes = currencies.includes(base) ? currencies : [...currencies, base];
+  const infos = await Promise.all(codes.map(getRateInfo));
+  const rates = Object.fromEntries(infos.map(info => [info.currency, info]));
+
+  const rateOf = (currency) => {
+    const info = rates[(currency || BASE_CURRENCY).toUpperCase()] || rates.USD;
+    return info ? info.rate : FALLBACK_RATES.USD;
+  };
+
+  const convert = (amount, from, to = BASE_CURRENCY) => {
+    if (!amount) return 0;
+    return parseFloat((amount * rateOf(from) / rateOf(to)).toFixed(2));
+  };
+
+  return {
+    base,
+    rates,
+    rateOf,
+    baseRateOf: (currency) => rateOf(currency) / rateOf(base),
+    convert,
+    toDKK: (amount, currency) => convert(amount, currency, BASE_CURRENCY),
+    toBase: (amount, currency) => convert(amount, currency, base),
+    status: () => {
+      const fallbackCurrencies = infos.filter(info => info.stale).map(info => info.currency);
+      return { stale: fallbackCurrencies.length > 0, fallbackCurrencies };
+    }
+  };
 };
 
 /**
@@ -75,8 +260,8 @@ const getExchangeRate = async (fromCurrency) => {
  * @returns {Promise<number>} Amount converted to DKK
  */
 const convertToDKK = async (amount, fromCurrency) => {
-  if (!amount || amount < 0) return 0;
-  
+  if (!amount) return 0;
+
   const rate = await getExchangeRate(fromCurrency);
   return parseFloat((amount * rate).toFixed(2));
 };
@@ -95,7 +280,7 @@ const convertPricesToDKK = async (items, priceField = 'price', currencyField = '
         const price = item[priceField];
         const currency = item[currencyField] || 'DKK';
         const dkkPrice = await convertToDKK(price, currency);
-        
+
         return {
           ...item,
           dkkPrice,
@@ -104,7 +289,7 @@ const convertPricesToDKK = async (items, priceField = 'price', currencyField = '
         };
       })
     );
-    
+
     return converted;
   } catch (error) {
     console.error('[ERROR] Error converting prices to DKK:', error.message);
@@ -112,20 +297,59 @@ const convertPricesToDKK = async (items, priceField = 'price', currencyField = '
   }
 };
 
+/**
+ * Pin a currency's rate to DKK, bypassing the provider
+ * @param {string} currency - Currency code
+ * @param {number} rate - Rate to DKK
+ */
+const setRateOverride = (currency, rate) => {
+  rateOverrides.set(currency.toUpperCase(), { rate, asOf: new Date() });
+};
+
+/**
+ * Remove an override so the provider is used again
+ * @param {string} currency - Currency code
+ * @returns {boolean} Whether an override was removed
+ */
+const clearRateOverride = (currency) => {
+  return rateOverrides.delete(currency.toUpperCase());
+};
+
+/**
+ * Current overrides keyed by currency
+ * @returns {Object} { USD: { rate, asOf }, ... }
+ */
+const getRateOverrides = () => Object.fromEntries(rateOverrides);
+
+/**
+ * Name of the active rate provider
+ * @returns {string}
+ */
+const getRateProviderName = () => rateProvider.name;
+
 /**
  * Clear exchange rate cache
  */
 const clearCache = () => {
-  exchangeRateCache = {
-    rates: {},
-    lastUpdate: 0
-  };
+  rateCache = new Map();
 };
 
 module.exports = {
+  getRateInfo,
   getExchangeRate,
+  getHistoricalRate,
+  saveHistoricalRates,
+  splitFxGain,
+  getRateTable,
   convertToDKK,
   convertPricesToDKK,
+  setRateProvider,
+  setRateOverride,
+  clearRateOverride,
+  getRateOverrides,
+  getRateProviderName,
   clearCache,
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
   FALLBACK_RATES
 };
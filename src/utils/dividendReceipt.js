@@ -0,0 +1,211 @@
+/**
+ * Dividend Receipt Utility
+ * Moves dividends between EXPECTED and RECEIVED with exactly one linked payout per
+ * received dividend (a cash credit, or a reinvestment for DRIP holdings), and
+ * receives due dividends in the background
+ */
+
+const User = require('../models/User');
+const Dividend = require('../models/Dividend');
+const Cash = require('../models/Cash');
+const { isDripEnabled, reinvestDividend, reverseReinvestment } = require('./drip');
+const { emitEvent } = require('./webhooks');
+
+const CHECK_INTERVAL = 3600000; // Look for due dividends every hour
+
+/**
+ * Credit a received dividend's net amount to cash, once
+ * The cash entry links back to the dividend; a unique index on that link means a
+ * second call (or a concurrent one) returns the existing entry instead of adding one.
+ * @param {Object} dividend - RECEIVED dividend document
+ * @param {Object} options - { date, importKey } for the cash entry
+ * @returns {Promise<Object|null>} The linked cash entry (null when nothing is paid out)
+ */
+const creditDividend = async (dividend, { date, importKey } = {}) => {
+  const existing = await Cash.findOne({ user: dividend.user, dividend: dividend._id });
+  if (existing) return existing;
+  if (!(dividend.netAmount > 0)) return null;
+
+  try {
+    return await Cash.create({
+      user: dividend.user,
+      amount: parseFloat(dividend.netAmount.toFixed(2)),
+      currency: dividend.currency,
+      type: 'DIVIDEND',
+      description: `Dividend received: ${dividend.ticker} - ${dividend.amountPerShare} per share × ${dividend.shares} shares, ${dividend.withholdingTax} ${dividend.currency} withheld`,
+      dividend: dividend._id,
+      date: date || dividend.paymentDate,
+      importKey
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return Cash.findOne({ user: dividend.user, dividend: dividend._id });
+  }
+};
+
+/**
+ * Pay out a received dividend once: reinvest it when the holding is in DRIP,
+ * otherwise (or when no pay-date price is known) credit it to cash
+ * @param {Object} dividend - RECEIVED dividend document
+ * @returns {Promise<{ cash: Object|null, reinvestment: Object|null }>}
+ */
+const payOutDividend = async (dividend) => {
+  let reinvestment = null;
+  if (dividend.payout !== 'CASH' && (dividend.payout === 'REINVESTED' || await isDripEnabled(dividend.user, dividend.ticker))) {
+    reinvestment = await reinvestDividend(dividend);
+  }
+
+  if (reinvestment) {
+    await Dividend.updateOne({ _id: dividend._id }, { payout: 'REINVESTED', reinvestedShares: reinvestment.shares });
+    dividend.set({ payout: 'REINVESTED', reinvestedShares: reinvestment.shares });
+    return { cash: null, reinvestment };
+  }
+
+  const cash = await creditDividend(dividend);
+  if (cash) {
+    await Dividend.updateOne({ _id: dividend._id }, { payout: 'CASH' });
+    dividend.set({ payout: 'CASH' });
+  }
+  return { cash, reinvestment: null };
+};
+
+/**
+ * Remove the cash credit or reinvestment linked to a dividend
+ * Credits booked before entries were linked to their dividend cannot be found and are left alone.
+ * @param {Object} dividend - Dividend document
+ * @returns {Promise<boolean>} Whether a payout was removed
+ */
+const reverseDividendCredit = async (dividend) => {
+  const [credit, reinvested] = await Promise.all([
+    Cash.deleteOne({ user: dividend.user, dividend: dividend._id }),
+    reverseReinvestment(dividend)
+  ]);
+
+  await Dividend.updateOne({ _id: dividend._id }, { $unset: { payout: 1, reinvestedShares: 1 } });
+  return credit.deletedCount > 0 || reinvested;
+};
+
+/**
+ * Receive one dividend: switch it to RECEIVED and pay it out
+ * The switch is a conditional update, so only one caller wins a race; the payout is
+ * idempotent, so a dividend that is already RECEIVED gets its missing payout at most.
+ * @param {Object} dividend - Dividend document
+ * @returns {Promise<{ dividend: Object, cash: Object|null, reinvestment: Object|null, changed: boolean }>}
+ */
+const receiveDividend = async (dividend) => {
+  const updated = await Dividend.findOneAndUpdate(
+    { _id: dividend._id, status: 'EXPECTED' },
+    { status: 'RECEIVED' },
+    { new: true }
+  );
+
+  const received = updated || await Dividend.findById(dividend._id);
+  if (!received || received.status !== 'RECEIVED') {
+    return { dividend: received, cash: null, reinvestment: null, changed: false };
+  }
+
+  // Saving fills in the withholding fields on dividends recorded before they existed
+  if (received.netAmount == null) {
+    await received.save();
+  }
+
+  const { cash, reinvestment } = await payOutDividend(received);
+  if (updated) {
+    emitEvent(received.user, 'dividend.received', { dividend: received, cash, reinvestment });
+  }
+  return { dividend: received, cash, reinvestment, changed: Boolean(updated) };
+};
+
+/**
+ * Apply a status change made by hand
+ * Marking a dividend EXPECTED reverses its payout. Either way the dividend is
+ * taken out of automatic receipt, since the user has decided its status.
+ * @param {Object} dividend - Dividend document
+ * @param {string} status - 'EXPECTED' or 'RECEIVED'
+ * @returns {Promise<Object>} { dividend, cash, reinvestment, reversed }
+ */
+const setDividendStatus = async (dividend, status) => {
+  await Dividend.updateOne({ _id: dividend._id }, { autoReceive: false });
+
+  if (status === 'RECEIVED') {
+    const { dividend: received, cash, reinvestment } = await receiveDividend(dividend);
+    return { dividend: received, cash, reinvestment, reversed: false };
+  }
+
+  const updated = await Dividend.findOneAndUpdate(
+    { _id: dividend._id, status: 'RECEIVED' },
+    { status: 'EXPECTED', projected: false },
+    { new: true }
+  );
+  const reversed = updated ? await reverseDividendCredit(updated) : false;
+  return { dividend: await Dividend.findById(dividend._id), cash: null, reinvestment: null, reversed };
+};
+
+/**
+ * Receive every expected dividend whose payment date has passed
+ * Skips users who turned auto-receipt off, dividends whose status was set by hand and
+ * projections whose dates were only estimated from past payments, which may never be paid.
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { received, failed }
+ */
+const receiveDueDividends = async (now = new Date()) => {
+  const optedOut = await User.find({ autoReceiveDividends: false }).distinct('_id');
+  const due = await Dividend.find({
+    status: 'EXPECTED',
+    autoReceive: { $ne: false },
+    paymentDate: { $lte: now },
+    user: { $nin: optedOut },
+    $nor: [{ projected: true, estimatedDates: true }]
+  }).sort({ paymentDate: 1 });
+
+  const result = { received: 0, failed: 0 };
+  for (const dividend of due) {
+    try {
+      const { changed } = await receiveDividend(dividend);
+      if (changed) result.received += 1;
+    } catch (error) {
+      console.error(`[DIVIDENDS] Could not receive dividend ${dividend._id}:`, error.message);
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Receive due dividends now and then every hour
+ * @returns {NodeJS.Timeout} The interval timer (unref'd so it never keeps the process alive)
+ */
+const startDividendReceiptScheduler = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { received, failed } = await receiveDueDividends();
+      if (received > 0 || failed > 0) {
+        console.log(`[DIVIDENDS] Auto-receipt: ${received} received, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('[DIVIDENDS] Scheduled receipt failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  creditDividend,
+  payOutDividend,
+  reverseDividendCredit,
+  receiveDividend,
+  setDividendStatus,
+  receiveDueDividends,
+  startDividendReceiptScheduler
+};
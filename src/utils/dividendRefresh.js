@@ -0,0 +1,181 @@
+/**
+ * Dividend Refresh Utility
+ * Fetches dividend data for held tickers concurrently and rewrites the projected
+ * expected dividends; runs on demand and on a schedule
+ */
+
+const User = require('../models/User');
+const Portfolio = require('../models/Portfolio');
+const Dividend = require('../models/Dividend');
+const { scheduleTicker } = require('./dividendSchedule');
+const { getCurrencyFromTicker } = require('./valuation');
+const { getMarketData } = require('./marketData');
+
+const FETCH_CONCURRENCY = 5;
+const REFRESH_INTERVAL = 6 * 3600000; // Every 6 hours
+
+// Refreshes in progress per user; a second request joins the running one
+const inFlight = new Map();
+
+/**
+ * Fetch a ticker's dividend data from the market data provider
+ * @param {string} ticker - Stock ticker
+ * @returns {Promise<Object>} { annualDividend, frequency, nextExDate, nextPayDate }
+ */
+const fetchDividendInfo = async (ticker) => {
+  const data = await getMarketData().getDividend(ticker) || {};
+
+  return {
+    annualDividend: parseFloat(data.annualDividend) || 0,
+    frequency: data.frequency,
+    nextExDate: data.nextExDate,
+    nextPayDate: data.nextPayDate
+  };
+};
+
+/**
+ * Fetch dividend data for many tickers, a few requests at a time
+ * @param {Array<string>} tickers - Stock tickers
+ * @returns {Promise<Map>} ticker → { info } or { error }
+ */
+const fetchAll = async (tickers) => {
+  const results = new Map();
+  const queue = [...new Set(tickers)];
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const ticker = queue.shift();
+      try {
+        results.set(ticker, { info: await fetchDividendInfo(ticker) });
+      } catch (error) {
+        results.set(ticker, { error: error.message });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(FETCH_CONCURRENCY, queue.length) }, worker));
+  return results;
+};
+
+// Helper to rewrite one user's projections from fetched data
+const applyRefresh = async (userId, fetched) => {
+  const holdings = await Portfolio.find({ user: userId }).select('ticker currency');
+  const tickers = [...new Set(holdings.map(holding => holding.ticker))];
+  const data = fetched || await fetchAll(tickers);
+  const result = { tickers: tickers.length, projected: 0, failed: [] };
+
+  for (const ticker of tickers) {
+    const { info, error } = data.get(ticker) || { error: 'Not fetched' };
+
+    // Keep the ticker's previous projections when the stock API is unavailable
+    if (error) {
+      result.failed.push({ ticker, error });
+      continue;
+    }
+
+    try {
+      const currency = holdings.find(holding => holding.ticker === ticker).currency || getCurrencyFromTicker(ticker);
+      const projected = await scheduleTicker(userId, ticker, { ...info, currency });
+      result.projected += projected.length;
+    } catch (scheduleError) {
+      result.failed.push({ ticker, error: scheduleError.message });
+    }
+  }
+
+  result.refreshedAt = new Date();
+  await User.updateOne({ _id: userId }, { dividendsRefreshedAt: result.refreshedAt });
+  return result;
+};
+
+/**
+ * Refresh one user's expected dividends
+ * Safe to call repeatedly: projections are matched by ticker and ex-date, and a
+ * call made while a refresh for the user is running gets that refresh's result.
+ * @param {string} userId - Owner of the holdings
+ * @returns {Promise<Object>} { tickers, projected, failed: [{ ticker, error }], refreshedAt }
+ */
+const refreshExpectedDividends = (userId, fetched = null) => {
+  const key = String(userId);
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const refresh = applyRefresh(userId, fetched).finally(() => inFlight.delete(key));
+  inFlight.set(key, refresh);
+  return refresh;
+};
+
+/**
+ * Project a ticker's dividends right away when the user has no projections for it yet
+ * A first buy would otherwise wait for the next scheduled refresh. Tickers that already
+ * have projections only need their share counts updated (regenerateSchedule).
+ * @param {string} userId - Owner of the holdings
+ * @param {string} ticker - Stock ticker
+ * @param {string} currency - The stock's currency
+ * @returns {Promise<Array|null>} The new projections, or null when the ticker already had some
+ */
+const scheduleNewTicker = async (userId, ticker, currency) => {
+  const projected = await Dividend.exists({ user: userId, ticker, status: 'EXPECTED', projected: true });
+  if (projected) return null;
+
+  const info = await fetchDividendInfo(ticker);
+  return scheduleTicker(userId, ticker, { ...info, currency: currency || getCurrencyFromTicker(ticker) });
+};
+
+/**
+ * Refresh every user with holdings; each ticker is fetched once for all of them
+ * @returns {Promise<Object>} { users, tickers, failed }
+ */
+const refreshAllExpectedDividends = async () => {
+  const [userIds, tickers] = await Promise.all([
+    Portfolio.distinct('user'),
+    Portfolio.distinct('ticker')
+  ]);
+
+  const fetched = await fetchAll(tickers);
+  const result = { users: 0, tickers: tickers.length, failed: 0 };
+
+  for (const userId of userIds) {
+    try {
+      await refreshExpectedDividends(userId, fetched);
+      result.users += 1;
+    } catch (error) {
+      console.error(`[DIVIDENDS] Refresh failed for user ${userId}:`, error.message);
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Refresh everyone's expected dividends now and then every few hours
+ * @returns {NodeJS.Timeout} The interval timer (unref'd so it never keeps the process alive)
+ */
+const startDividendRefreshScheduler = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { users, tickers, failed } = await refreshAllExpectedDividends();
+      console.log(`[DIVIDENDS] Refreshed expected dividends: ${users} users, ${tickers} tickers, ${failed} failed`);
+    } catch (error) {
+      console.error('[DIVIDENDS] Scheduled refresh failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, REFRESH_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  fetchDividendInfo,
+  refreshExpectedDividends,
+  scheduleNewTicker,
+  refreshAllExpectedDividends,
+  startDividendRefreshScheduler
+};
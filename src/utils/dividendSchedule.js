@@ -0,0 +1,305 @@
+/**
+ * Dividend Schedule Utility
+ * Projects expected dividends as individual payments from each ticker's payout
+ * frequency, and keeps their share counts in step with the holdings on each ex-date
+ */
+
+const Dividend = require('../models/Dividend');
+const Transaction = require('../models/Transaction');
+const { SHARE_EPSILON } = require('./lotMatching');
+
+// Payments per year
+const FREQUENCIES = {
+  MONTHLY: 12,
+  QUARTERLY: 4,
+  SEMI_ANNUAL: 2,
+  ANNUAL: 1
+};
+
+// Names the stock API (or a user) may give a frequency under
+const FREQUENCY_ALIASES = {
+  MONTHLY: 'MONTHLY',
+  M: 'MONTHLY',
+  QUARTERLY: 'QUARTERLY',
+  Q: 'QUARTERLY',
+  SEMI_ANNUAL: 'SEMI_ANNUAL',
+  SEMIANNUAL: 'SEMI_ANNUAL',
+  'SEMI-ANNUAL': 'SEMI_ANNUAL',
+  BIANNUAL: 'SEMI_ANNUAL',
+  ANNUAL: 'ANNUAL',
+  ANNUALLY: 'ANNUAL',
+  YEARLY: 'ANNUAL',
+  A: 'ANNUAL'
+};
+
+// Usual payout frequency by exchange suffix; US listings without a suffix pay quarterly
+const MARKET_FREQUENCIES = {
+  '.CO': 'ANNUAL',
+  '.ST': 'ANNUAL',
+  '.OL': 'QUARTERLY',
+  '.HE': 'ANNUAL',
+  '.SW': 'ANNUAL',
+  '.L': 'SEMI_ANNUAL',
+  '.DE': 'ANNUAL',
+  '.PA': 'ANNUAL',
+  '.AS': 'SEMI_ANNUAL'
+};
+
+const DEFAULT_PAY_LAG_DAYS = 30;
+const DAY = 86400000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Add months without spilling into the next month (31 Jan + 1 month = 28/29 Feb)
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+/**
+ * Read a payout frequency
+ * @param {string|number} value - A frequency name ('quarterly', 'Q') or payments per year (4)
+ * @returns {string|null} Frequency key, or null when unrecognised
+ */
+const parseFrequency = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const count = Number(value);
+  if (!isNaN(count)) {
+    return Object.keys(FREQUENCIES).find(key => FREQUENCIES[key] === count) || null;
+  }
+  return FREQUENCY_ALIASES[String(value).trim().toUpperCase()] || null;
+};
+
+/**
+ * Guess the frequency from the payouts received over the last year
+ * @param {Array} received - RECEIVED dividends for one ticker
+ * @param {Date} now - Reference date
+ * @returns {string|null} Frequency key, or null with fewer than two payouts to go on
+ */
+const inferFrequency = (received, now = new Date()) => {
+  // Just short of a year, so an annual payer's last two payouts don't both fall inside
+  const since = new Date(now.getTime() - 350 * DAY);
+  const count = received.filter(dividend => new Date(dividend.exDate) >= since).length;
+
+  if (count < 2) return null;
+  if (count >= 10) return 'MONTHLY';
+  if (count >= 3) return 'QUARTERLY';
+  return 'SEMI_ANNUAL';
+};
+
+/**
+ * Usual frequency for a ticker's market
+ * @param {string} ticker - Stock ticker
+ * @returns {string} Frequency key
+ */
+const defaultFrequency = (ticker) => {
+  const suffix = Object.keys(MARKET_FREQUENCIES).find(market => String(ticker).toUpperCase().endsWith(market));
+  return suffix ? MARKET_FREQUENCIES[suffix] : 'QUARTERLY';
+};
+
+/**
+ * Project the next year of payments
+ * Dates anchor on the stock API's next ex-date, then on the last received payout
+ * stepped forward; without either the first ex-date is a guess and flagged as such.
+ * @param {Object} info - { annualDividend, frequency, nextExDate, nextPayDate }
+ * @param {Array} received - RECEIVED dividends for the ticker, newest first
+ * @param {Date} now - Reference date
+ * @returns {{ frequency: string, payments: Array }} payments are [{ exDate, paymentDate, amountPerShare, estimatedDates }]
+ */
+const projectPayments = (info, received = [], now = new Date()) => {
+  const frequency = parseFrequency(info.frequency) || inferFrequency(received, now) || defaultFrequency(info.ticker);
+  const count = FREQUENCIES[frequency];
+  const interval = 12 / count;
+  const today = startOfDay(now);
+  const last = received[0];
+
+  const validDate = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? startOfDay(date) : null;
+  };
+  const nextExDate = validDate(info.nextExDate);
+  const nextPayDate = validDate(info.nextPayDate);
+
+  let payLagDays = DEFAULT_PAY_LAG_DAYS;
+  if (nextExDate && nextPayDate && nextPayDate >= nextExDate) {
+    payLagDays = Math.round((nextPayDate - nextExDate) / DAY);
+  } else if (last) {
+    payLagDays = Math.max(Math.round((startOfDay(last.paymentDate) - startOfDay(last.exDate)) / DAY), 0);
+  }
+
+  // Later ex-dates step from the anchor (not from each other) so month-end dates don't drift
+  let anchor;
+  let offset = 0;
+  let estimatedDates = false;
+  if (nextExDate && nextExDate >= today) {
+    anchor = nextExDate;
+  } else if (last) {
+    anchor = startOfDay(last.exDate);
+    while (addMonths(anchor, offset * interval) < today) {
+      offset += 1;
+    }
+    estimatedDates = true;
+  } else {
+    anchor = addMonths(today, Math.min(interval, 3));
+    estimatedDates = true;
+  }
+
+  const amountPerShare = parseFloat((info.annualDividend / count).toFixed(6));
+  const payments = Array.from({ length: count }, (_, index) => {
+    const exDate = addMonths(anchor, (offset + index) * interval);
+    const paymentDate = index === 0 && nextPayDate && !estimatedDates && nextPayDate >= exDate
+      ? nextPayDate
+      : new Date(exDate.getTime() + payLagDays * DAY);
+    return { exDate, paymentDate, amountPerShare, estimatedDates };
+  });
+
+  return { frequency, payments };
+};
+
+/**
+ * Shares of a ticker held going into an ex-date (trades before that day count)
+ * @param {Array} transactions - The ticker's transactions
+ * @param {Date} exDate - Ex-dividend date
+ * @returns {number} Shares eligible for the payout
+ */
+const sharesOnExDate = (transactions, exDate) => {
+  const cutoff = startOfDay(exDate);
+  const shares = transactions
+    .filter(tx => new Date(tx.transactionDate) < cutoff)
+    .reduce((sum, tx) => sum + (tx.type === 'BUY' ? tx.shares : -tx.shares), 0);
+  return shares > SHARE_EPSILON ? parseFloat(shares.toFixed(6)) : 0;
+};
+
+// Helper to set a projected dividend's shares and amounts
+const applyShares = (dividend, shares) => {
+  dividend.shares = shares;
+  dividend.totalAmount = parseFloat((shares * dividend.amountPerShare).toFixed(2));
+};
+
+/**
+ * Replace a ticker's projected dividends with a new schedule
+ * Projections are matched to existing ones by ex-date, so their ids survive when dates hold.
+ * Manually added expected dividends are left alone.
+ * @param {string} userId - Owner of the holdings
+ * @param {string} ticker - Stock ticker
+ * @param {Object} info - { annualDividend, currency, frequency, nextExDate, nextPayDate }
+ * @returns {Promise<Array>} The ticker's projected dividends
+ */
+const scheduleTicker = async (userId, ticker, info) => {
+  const [transactions, received, existing] = await Promise.all([
+    Transaction.find({ user: userId, ticker }),
+    Dividend.find({ user: userId, ticker, status: 'RECEIVED' }).sort({ exDate: -1 }),
+    Dividend.find({ user: userId, ticker, status: 'EXPECTED', projected: true })
+  ]);
+
+  const { frequency, payments } = info.annualDividend > 0
+    ? projectPayments({ ...info, ticker }, received)
+    : { frequency: null, payments: [] };
+
+  const kept = [];
+  for (const payment of payments) {
+    const shares = sharesOnExDate(transactions, payment.exDate);
+    if (shares <= 0) continue;
+
+    const fields = {
+      amountPerShare: payment.amountPerShare,
+      currency: info.currency,
+      exDate: payment.exDate,
+      paymentDate: payment.paymentDate,
+      frequency,
+      estimatedDates: payment.estimatedDates,
+      notes: `Projected ${frequency.toLowerCase().replace('_', '-')} payment: ${payment.amountPerShare.toFixed(4)}/share`
+    };
+    const projection = { user: userId, ticker, status: 'EXPECTED', projected: true };
+
+    let dividend = existing.find(d => startOfDay(d.exDate).getTime() === payment.exDate.getTime())
+      || new Dividend(projection);
+    dividend.set(fields);
+    applyShares(dividend, shares);
+
+    try {
+      await dividend.save();
+    } catch (error) {
+      // Another refresh created this projection first; update theirs instead
+      if (error.code !== 11000) throw error;
+      dividend = await Dividend.findOne({ ...projection, exDate: payment.exDate });
+      dividend.set(fields);
+      applyShares(dividend, shares);
+      await dividend.save();
+    }
+    kept.push(dividend);
+  }
+
+  // Drop projections no longer in the schedule, and the single annual estimates written before per-payment projections
+  await Dividend.deleteMany({
+    user: userId,
+    ticker,
+    status: 'EXPECTED',
+    $or: [
+      { projected: true, _id: { $nin: kept.map(d => d._id) } },
+      { projected: { $ne: true }, notes: /^Estimated annual:/ }
+    ]
+  });
+
+  return kept;
+};
+
+/**
+ * Bring projected dividends in line with the ledger after share counts change
+ * Each projection takes the shares held going into its ex-date; projections with
+ * no eligible shares are removed. No market data is fetched.
+ * @param {string} userId - Owner of the holdings
+ * @param {Array<string>} tickers - Limit to these tickers (all when omitted)
+ * @returns {Promise<{ updated: number, removed: number }>}
+ */
+const regenerateSchedule = async (userId, tickers = null) => {
+  const filter = { user: userId };
+  if (tickers) {
+    filter.ticker = { $in: tickers.map(t => t.toUpperCase()) };
+  }
+
+  const [projected, transactions] = await Promise.all([
+    Dividend.find({ ...filter, status: 'EXPECTED', projected: true }),
+    Transaction.find(filter)
+  ]);
+
+  let updated = 0;
+  const removed = [];
+  for (const dividend of projected) {
+    const shares = sharesOnExDate(transactions.filter(tx => tx.ticker === dividend.ticker), dividend.exDate);
+
+    if (shares <= 0) {
+      removed.push(dividend._id);
+    } else if (Math.abs(shares - dividend.shares) > SHARE_EPSILON) {
+      applyShares(dividend, shares);
+      await dividend.save();
+      updated += 1;
+    }
+  }
+
+  if (removed.length > 0) {
+    await Dividend.deleteMany({ _id: { $in: removed } });
+  }
+
+  return { updated, removed: removed.length };
+};
+
+module.exports = {
+  FREQUENCIES,
+  parseFrequency,
+  defaultFrequency,
+  projectPayments,
+  sharesOnExDate,
+  scheduleTicker,
+  regenerateSchedule
+};
@@ -0,0 +1,144 @@
+/**
+ * Dividend Reinvestment Utility
+ * Buys shares with a received dividend instead of crediting cash, for holdings
+ * the user has put in a dividend reinvestment programme (DRIP)
+ */
+
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const { getHistoricalRate } = require('./currencyConverter');
+const { getCurrencyFromTicker } = require('./valuation');
+const { rebuildHoldings } = require('./holdings');
+const { getQuote, isFallbackQuote } = require('./quotes');
+const { closeOnOrBefore } = require('./priceHistory');
+
+const CURRENT_PRICE_DAYS = 5; // A quote stands in for a pay date this close to it
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Whether a user reinvests a ticker's dividends
+ * @param {string} userId - Owner of the holding
+ * @param {string} ticker - Stock ticker
+ * @returns {Promise<boolean>}
+ */
+const isDripEnabled = async (userId, ticker) => {
+  const user = await User.findById(userId).select('dripTickers');
+  return Boolean(user && user.dripTickers && user.dripTickers.includes(ticker.toUpperCase()));
+};
+
+/**
+ * Price of a ticker on a dividend's payment date
+ * Uses the closing price recorded in that day's portfolio snapshot, then the stored
+ * daily close (the last trading day up to a few days before), then a quote when the
+ * payment date is recent and the quote (possibly a last known price) is from within
+ * a few days of it.
+ * @param {string} userId - Owner of the holding
+ * @param {string} ticker - Stock ticker
+ * @param {Date} date - Payment date
+ * @returns {Promise<{ price: number, source: string }|null>} null when no price is known
+ */
+const priceOnDate = async (userId, ticker, date) => {
+  const snapshot = await PortfolioSnapshot.findOne({ user: userId, date: startOfDay(date), 'holdings.ticker': ticker });
+  const holding = snapshot && snapshot.holdings.find(h => h.ticker === ticker);
+  if (holding && holding.price > 0) {
+    return { price: holding.price, source: 'snapshot' };
+  }
+
+  try {
+    const close = await closeOnOrBefore(ticker, date, CURRENT_PRICE_DAYS);
+    if (close) {
+      return { price: close.close, source: 'close' };
+    }
+  } catch (error) {
+    console.warn(`[DRIP] Could not load price history for ${ticker}:`, error.message);
+  }
+
+  const recent = CURRENT_PRICE_DAYS * 86400000;
+  if (Date.now() - startOfDay(date).getTime() <= recent) {
+    const quote = await getQuote(ticker);
+    if (quote.price > 0 && Math.abs(new Date(quote.asOf) - startOfDay(date)) <= recent) {
+      return { price: quote.price, source: isFallbackQuote(quote) ? 'last-known' : 'quote' };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Reinvest a received dividend's net amount in its ticker
+ * Writes a BUY transaction linked to the dividend (at most one per dividend) and
+ * rebuilds the ticker's lots so the new shares appear as a Portfolio lot.
+ * @param {Object} dividend - RECEIVED dividend document
+ * @returns {Promise<Object|null>} The BUY transaction, or null when no pay-date price is known
+ */
+const reinvestDividend = async (dividend) => {
+  const existing = await Transaction.findOne({ user: dividend.user, dividend: dividend._id });
+  if (existing) return existing;
+  if (!(dividend.netAmount > 0)) return null;
+
+  const quote = await priceOnDate(dividend.user, dividend.ticker, dividend.paymentDate);
+  if (!quote) return null;
+
+  // The dividend may be paid in another currency than the stock trades in; the ticker's
+  // earlier buys record that currency, and the suffix only covers legacy rows without one
+  const lastBuy = await Transaction.findOne({ user: dividend.user, ticker: dividend.ticker, type: 'BUY' })
+    .sort({ transactionDate: -1 })
+    .select('currency');
+  const stockCurrency = (lastBuy && lastBuy.currency) || getCurrencyFromTicker(dividend.ticker);
+  const [stockRate, dividendRate] = await Promise.all([
+    getHistoricalRate(stockCurrency, dividend.paymentDate),
+    getHistoricalRate(dividend.currency, dividend.paymentDate)
+  ]);
+  const amount = dividend.netAmount * dividendRate.rate / stockRate.rate;
+  const shares = parseFloat((amount / quote.price).toFixed(6));
+  if (!(shares > 0)) return null;
+
+  let transaction;
+  try {
+    transaction = await Transaction.create({
+      user: dividend.user,
+      ticker: dividend.ticker,
+      type: 'BUY',
+      shares,
+      price: quote.price,
+      currency: stockCurrency,
+      transactionDate: dividend.paymentDate,
+      fxRate: stockRate.rate,
+      fxRateEstimated: stockRate.stale,
+      dividend: dividend._id,
+      notes: `Dividend reinvestment: ${dividend.netAmount} ${dividend.currency} at ${quote.price} (${quote.source} price)`
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return Transaction.findOne({ user: dividend.user, dividend: dividend._id });
+  }
+
+  await rebuildHoldings(dividend.user, [dividend.ticker]);
+  return transaction;
+};
+
+/**
+ * Undo a dividend's reinvestment: remove its BUY and rebuild the ticker's lots
+ * @param {Object} dividend - Dividend document
+ * @returns {Promise<boolean>} Whether a reinvestment was removed
+ */
+const reverseReinvestment = async (dividend) => {
+  const result = await Transaction.deleteOne({ user: dividend.user, dividend: dividend._id });
+  if (result.deletedCount === 0) return false;
+
+  await rebuildHoldings(dividend.user, [dividend.ticker]);
+  return true;
+};
+
+module.exports = {
+  isDripEnabled,
+  priceOnDate,
+  reinvestDividend,
+  reverseReinvestment
+};
@@ -0,0 +1,152 @@
+/**
+ * Historical Valuation Utility
+ * Values an account on past days that have no snapshot: holdings replayed from the
+ * transaction ledger and priced at stored daily closes, plus the cash ledger, all
+ * converted at each day's historical rates
+ */
+
+const Transaction = require('../models/Transaction');
+const Cash = require('../models/Cash');
+const { getHistoricalRate } = require('./currencyConverter');
+const { getPriceHistory } = require('./priceHistory');
+const { getCurrencyFromTicker } = require('./valuation');
+const { replayLedger } = require('./ledger');
+const { calculateBalances } = require('./cash');
+const { SHARE_EPSILON } = require('./lotMatching');
+
+const DAY = 86400000;
+const CLOSE_LOOKBACK_DAYS = 7; // A close this many days old still prices a day (weekends, holidays)
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Load daily closes for several tickers, a week before `from` included
+ * A ticker whose history cannot be loaded gets an empty series.
+ * @param {Array<string>} tickers - Stock tickers
+ * @param {Date} from - First day to price
+ * @param {Date} to - Last day to price
+ * @returns {Promise<Map>} ticker → { currency, closes: [{ time, close }] } sorted by time
+ */
+const loadCloses = async (tickers, from, to) => {
+  const series = new Map();
+  const start = new Date(startOfDay(from).getTime() - CLOSE_LOOKBACK_DAYS * DAY);
+
+  for (const ticker of [...new Set(tickers)]) {
+    try {
+      const history = await getPriceHistory(ticker, { from: start, to });
+      series.set(ticker, {
+        currency: history.currency,
+        closes: history.prices.map(bar => ({ time: new Date(bar.date).getTime(), close: bar.close }))
+      });
+    } catch (error) {
+      console.warn(`[HISTORY] Could not load closes for ${ticker}:`, error.message);
+      series.set(ticker, { currency: getCurrencyFromTicker(ticker), closes: [] });
+    }
+  }
+
+  return series;
+};
+
+/**
+ * Close on a day, or on the last trading day shortly before it
+ * @param {Object} series - Entry from loadCloses
+ * @param {Date} day - Day to price
+ * @returns {number|null} The close, or null when none is recent enough
+ */
+const closeOn = (series, day) => {
+  if (!series) return null;
+  const time = startOfDay(day).getTime();
+
+  for (let i = series.closes.length - 1; i >= 0; i--) {
+    const { time: closeTime, close } = series.closes[i];
+    if (closeTime > time) continue;
+    return time - closeTime <= CLOSE_LOOKBACK_DAYS * DAY ? close : null;
+  }
+  return null;
+};
+
+/**
+ * Converter into a reporting currency at historical rates, caching each day's rates
+ * @param {string} base - Reporting currency
+ * @returns {Function} async (amount, currency, day) → amount in the base currency
+ */
+const createHistoricalConverter = (base) => {
+  const rates = new Map();
+  const rateOn = (currency, day) => {
+    const key = `${currency}|${startOfDay(day).getTime()}`;
+    if (!rates.has(key)) {
+      rates.set(key, getHistoricalRate(currency, startOfDay(day)).then(info => info.rate));
+    }
+    return rates.get(key);
+  };
+
+  return async (amount, currency, day) => {
+    const code = currency || 'DKK';
+    if (code === base || amount === 0) return amount;
+    return amount * (await rateOn(code, day)) / (await rateOn(base, day));
+  };
+};
+
+/**
+ * Value an account at the close of each of several past days
+ * @param {string} userId - Owner of the account
+ * @param {Array<Date>} days - Days to value
+ * @param {string} base - Reporting currency
+ * @returns {Promise<Array>} [{ day, value, cash, total, missing: [tickers without a close] }];
+ *   a day with missing tickers leaves their holdings out of value
+ */
+const valueOnDays = async (userId, days, base) => {
+  if (days.length === 0) return [];
+
+  const sorted = [...days].map(startOfDay).sort((a, b) => a - b);
+  const [transactions, cashEntries] = await Promise.all([
+    Transaction.find({ user: userId }),
+    Cash.find({ user: userId })
+  ]);
+
+  const closes = await loadCloses(transactions.map(tx => tx.ticker), sorted[0], sorted[sorted.length - 1]);
+  const toBase = createHistoricalConverter(base);
+  const results = [];
+
+  for (const day of sorted) {
+    const end = new Date(day.getTime() + DAY);
+    const { lots } = replayLedger(transactions.filter(tx => new Date(tx.transactionDate) < end));
+
+    let value = 0;
+    const missing = [];
+    for (const [ticker, tickerLots] of Object.entries(lots)) {
+      const shares = tickerLots.reduce((sum, lot) => sum + lot.shares, 0);
+      if (shares <= SHARE_EPSILON) continue;
+
+      const series = closes.get(ticker);
+      const close = closeOn(series, day);
+      if (close === null) {
+        missing.push(ticker);
+        continue;
+      }
+      const currency = (series && series.currency) || tickerLots[0].currency || getCurrencyFromTicker(ticker);
+      value += await toBase(shares * close, currency, day);
+    }
+
+    const balances = calculateBalances(cashEntries.filter(entry => new Date(entry.date) < end));
+    let cash = 0;
+    for (const [currency, amount] of Object.entries(balances)) {
+      cash += await toBase(amount, currency, day);
+    }
+
+    results.push({ day, value, cash, total: value + cash, missing });
+  }
+
+  return results;
+};
+
+module.exports = {
+  loadCloses,
+  closeOn,
+  createHistoricalConverter,
+  valueOnDays
+};
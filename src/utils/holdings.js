@@ -0,0 +1,103 @@
+/**
+ * Holdings Projection Utility
+ * Portfolio lots are a projection of the Transaction ledger: these helpers
+ * rebuild them from the ledger and report where stored lots have drifted
+ */
+
+const Portfolio = require('../models/Portfolio');
+const Transaction = require('../models/Transaction');
+const { replayLedger } = require('./ledger');
+const { SHARE_EPSILON } = require('./lotMatching');
+const { regenerateSchedule } = require('./dividendSchedule');
+
+const sumShares = (lots) => lots.reduce((sum, lot) => sum + lot.shares, 0);
+
+/**
+ * Rebuild Portfolio lots from the ledger
+ * Lots are matched to their opening BUY transaction, so ids and notes survive a rebuild.
+ * @param {string} userId - Owner of the holdings
+ * @param {Array<string>} tickers - Limit the rebuild to these tickers (all when omitted)
+ * @returns {Promise<Object>} Rebuilt tickers and lot counts
+ */
+const rebuildHoldings = async (userId, tickers = null) => {
+  const filter = { user: userId };
+  if (tickers) {
+    filter.ticker = { $in: tickers.map(t => t.toUpperCase()) };
+  }
+
+  const transactions = await Transaction.find(filter);
+  const { lots } = replayLedger(transactions);
+
+  const keptIds = [];
+  for (const [ticker, tickerLots] of Object.entries(lots)) {
+    for (const lot of tickerLots) {
+      const holding = await Portfolio.findOneAndUpdate(
+        { user: userId, sourceTransaction: lot._id },
+        {
+          $set: {
+            ticker,
+            shares: lot.shares,
+            buyPrice: lot.buyPrice,
+            currency: lot.currency,
+            buyDate: lot.buyDate,
+            fxRate: lot.fxRate
+          },
+          $setOnInsert: { notes: lot.notes }
+        },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+      keptIds.push(holding._id);
+    }
+  }
+
+  // Anything not backed by an open ledger lot is stale (sold out, deleted or pre-ledger)
+  const removed = await Portfolio.deleteMany({ ...filter, _id: { $nin: keptIds } });
+
+  // Expected dividends are sized by the shares held on each ex-date
+  await regenerateSchedule(userId, tickers);
+
+  return {
+    tickers: Object.keys(lots),
+    lots: keptIds.length,
+    removed: removed.deletedCount
+  };
+};
+
+/**
+ * Compare stored Portfolio lots with the ledger
+ * @param {string} userId - Owner of the holdings
+ * @returns {Promise<Array>} One entry per ticker whose stored shares differ from ledger shares
+ */
+const checkConsistency = async (userId) => {
+  const [transactions, holdings] = await Promise.all([
+    Transaction.find({ user: userId }),
+    Portfolio.find({ user: userId })
+  ]);
+
+  const { lots, sales } = replayLedger(transactions);
+  const tickers = new Set([...Object.keys(lots), ...holdings.map(h => h.ticker)]);
+
+  return [...tickers].sort().reduce((mismatches, ticker) => {
+    const storedShares = sumShares(holdings.filter(h => h.ticker === ticker));
+    const ledgerShares = sumShares(lots[ticker] || []);
+    const unmatchedSellShares = sales
+      .filter(sale => sale.ticker === ticker)
+      .reduce((sum, sale) => sum + sale.unmatchedShares, 0);
+
+    if (Math.abs(storedShares - ledgerShares) > SHARE_EPSILON || unmatchedSellShares > 0) {
+      mismatches.push({
+        ticker,
+        storedShares: parseFloat(storedShares.toFixed(4)),
+        ledgerShares: parseFloat(ledgerShares.toFixed(4)),
+        difference: parseFloat((storedShares - ledgerShares).toFixed(4)),
+        unmatchedSellShares: parseFloat(unmatchedSellShares.toFixed(4))
+      });
+    }
+    return mismatches;
+  }, []);
+};
+
+module.exports = {
+  rebuildHoldings,
+  checkConsistency
+};
@@ -0,0 +1,558 @@
+/**
+ * Transaction Import Utility
+ * Maps broker CSV exports (Nordnet, Saxo or a generic layout) to trades, cash
+ * entries and dividends. Every row gets a fingerprint stored as `importKey` on
+ * what it creates, so importing the same file again skips rows already booked.
+ */
+
+const crypto = require('crypto');
+const Portfolio = require('../models/Portfolio');
+const Transaction = require('../models/Transaction');
+const Cash = require('../models/Cash');
+const Dividend = require('../models/Dividend');
+const { parseCsv } = require('./csv');
+const { getHistoricalRate, SUPPORTED_CURRENCIES } = require('./currencyConverter');
+const { getCurrencyFromTicker } = require('./valuation');
+const { matchLots, SHARE_EPSILON } = require('./lotMatching');
+const { replayLedger } = require('./ledger');
+const { rebuildHoldings } = require('./holdings');
+const { creditDividend } = require('./dividendReceipt');
+const { recordSale } = require('./sales');
+
+const ROW_TYPES = ['BUY', 'SELL', 'DIVIDEND', 'DEPOSIT', 'WITHDRAWAL'];
+
+// Exchange codes in Saxo symbols (e.g. NOVOb:xcse) and the ticker suffix the stock API uses
+const SAXO_EXCHANGES = {
+  xcse: '.CO',
+  xsto: '.ST',
+  xosl: '.OL',
+  xhel: '.HE',
+  xswx: '.SW',
+  xlon: '.L',
+  xetr: '.DE',
+  xpar: '.PA',
+  xams: '.AS'
+};
+
+// NOVOb:xcse → NOVO-B.CO, AAPL:xnas → AAPL
+const saxoSymbol = (symbol) => {
+  const [code, exchange] = symbol.split(':');
+  const ticker = code.replace(/^([A-Z0-9]+?)([a-z]+)$/, (_, base, shareClass) => `${base}-${shareClass.toUpperCase()}`);
+  return ticker + (SAXO_EXCHANGES[(exchange || '').toLowerCase()] || '');
+};
+
+/**
+ * Column-mapping presets
+ * `columns` lists the header names a field may appear under (first match wins),
+ * `types` maps the broker's transaction types to ours; unlisted types are skipped.
+ */
+const PRESETS = {
+  generic: {
+    name: 'Generic',
+    decimal: '.',
+    columns: {
+      id: ['id'],
+      date: ['date'],
+      type: ['type'],
+      ticker: ['ticker', 'symbol'],
+      shares: ['shares', 'quantity'],
+      price: ['price'],
+      currency: ['currency'],
+      commission: ['commission', 'fees'],
+      amount: ['amount'],
+      notes: ['notes', 'description']
+    },
+    types: Object.fromEntries(ROW_TYPES.map(type => [type, type]))
+  },
+  nordnet: {
+    name: 'Nordnet',
+    decimal: ',',
+    columns: {
+      id: ['Id'],
+      date: ['Handelsdag', 'Trade day', 'Affärsdag', 'Bogføringsdag', 'Booking day'],
+      type: ['Transaktionstype', 'Transaction type', 'Transaktionstyp'],
+      ticker: ['Værdipapirer', 'Security', 'Värdepapper'],
+      isin: ['ISIN'],
+      shares: ['Antal', 'Quantity'],
+      price: ['Kurs', 'Price'],
+      currency: ['Valuta', 'Currency'],
+      commission: ['Samlede afgifter', 'Total fees', 'Totalt avgifter', 'Kurtage', 'Courtage'],
+      amount: ['Beløb', 'Amount', 'Belopp'],
+      notes: ['Transaktionstekst', 'Transaction text', 'Transaktionstext']
+    },
+    types: {
+      'KØBT': 'BUY',
+      'KØB': 'BUY',
+      'KÖPT': 'BUY',
+      'BUY': 'BUY',
+      'SOLGT': 'SELL',
+      'SALG': 'SELL',
+      'SÅLT': 'SELL',
+      'SELL': 'SELL',
+      'UDBYTTE': 'DIVIDEND',
+      'UTDELNING': 'DIVIDEND',
+      'DIVIDEND': 'DIVIDEND',
+      'INDBETALING': 'DEPOSIT',
+      'INSÄTTNING': 'DEPOSIT',
+      'DEPOSIT': 'DEPOSIT',
+      'HÆVNING': 'WITHDRAWAL',
+      'UDBETALING': 'WITHDRAWAL',
+      'UTTAG': 'WITHDRAWAL',
+      'WITHDRAWAL': 'WITHDRAWAL'
+    }
+  },
+  saxo: {
+    name: 'Saxo',
+    decimal: '.',
+    columns: {
+      id: ['Trade ID', 'Handels-ID'],
+      date: ['Trade Date', 'Handelsdato'],
+      type: ['Buy/Sell', 'Køb/Salg', 'Trade Event', 'Event'],
+      ticker: ['Instrument Symbol', 'Symbol'],
+      isin: ['Instrument ISIN', 'ISIN'],
+      shares: ['Quantity', 'Antal'],
+      price: ['Price', 'Kurs'],
+      currency: ['Instrument currency', 'Instrument Currency', 'Valuta'],
+      commission: ['Commission', 'Kurtage'],
+      amount: ['Booked Amount', 'Bogført beløb'],
+      notes: ['Instrument', 'Instrument Description']
+    },
+    types: {
+      'BOUGHT': 'BUY',
+      'BUY': 'BUY',
+      'KØB': 'BUY',
+      'KØBT': 'BUY',
+      'SOLD': 'SELL',
+      'SELL': 'SELL',
+      'SALG': 'SELL',
+      'SOLGT': 'SELL',
+      'CASH DIVIDEND': 'DIVIDEND',
+      'DIVIDEND': 'DIVIDEND',
+      'UDBYTTE': 'DIVIDEND',
+      'CASH DEPOSIT': 'DEPOSIT',
+      'DEPOSIT': 'DEPOSIT',
+      'INDBETALING': 'DEPOSIT',
+      'CASH WITHDRAWAL': 'WITHDRAWAL',
+      'WITHDRAWAL': 'WITHDRAWAL',
+      'HÆVNING': 'WITHDRAWAL'
+    },
+    symbol: saxoSymbol
+  }
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// Parse a number in the preset's notation: "1.234,56" with a decimal comma, "1,234.56" otherwise
+const parseNumber = (value, decimal) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  let text = String(value).replace(/[\s ]/g, '');
+  text = decimal === ','
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '');
+  const number = parseFloat(text);
+  return isNaN(number) ? null : number;
+};
+
+// Parse ISO dates and day-first dates (15-03-2024, 15.03.2024, 15/03/2024)
+const parseDate = (value) => {
+  if (!value) return null;
+  const text = value.trim();
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return new Date(Date.UTC(+iso[1], +iso[2] - 1, +iso[3]));
+
+  const dayFirst = text.match(/^(\d{1,2})[-./](\d{1,2})[-./](\d{4})/);
+  if (dayFirst) return new Date(Date.UTC(+dayFirst[3], +dayFirst[2] - 1, +dayFirst[1]));
+
+  const parsed = new Date(text);
+  return isNaN(parsed) ? null : parsed;
+};
+
+// Whether an option is an object of text values, like { ticker: 'Symbol' }
+const isTextMap = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+  && Object.values(value).every(entry => typeof entry === 'string');
+
+// Resolve which header each field is read from
+const resolveColumns = (preset, headers, mapping = {}) => {
+  const lower = headers.map(h => h.toLowerCase());
+  return Object.fromEntries(Object.entries(preset.columns).map(([field, candidates]) => {
+    const wanted = mapping[field] ? [mapping[field]] : candidates;
+    const found = wanted.map(name => lower.indexOf(name.toLowerCase())).find(index => index >= 0);
+    return [field, found !== undefined ? headers[found] : null];
+  }));
+};
+
+/**
+ * Turn one CSV row into a normalized import row, or explain why it cannot be imported
+ * @returns {Object} { type, date, ticker, shares, price, currency, commission, amount, notes, externalId }
+ *   or { status: 'skipped'|'rejected', reason }
+ */
+const normalizeRow = (values, { preset, columns, symbols, defaultCurrency, decimal }) => {
+  const read = (field) => (columns[field] ? values[columns[field]] : '');
+  const number = (field) => parseNumber(read(field), decimal);
+
+  const rawType = read('type').toUpperCase();
+  const type = preset.types[rawType];
+  if (!type) {
+    return { status: 'skipped', reason: rawType ? `Unsupported transaction type: ${rawType}` : 'No transaction type' };
+  }
+
+  const date = parseDate(read('date'));
+  if (!date) {
+    return { status: 'rejected', reason: `Invalid date: ${read('date') || '(empty)'}` };
+  }
+
+  const row = {
+    type,
+    date,
+    shares: Math.abs(number('shares') || 0),
+    price: Math.abs(number('price') || 0),
+    commission: Math.abs(number('commission') || 0),
+    amount: Math.abs(number('amount') || 0),
+    notes: read('notes') || undefined,
+    externalId: read('id') || null
+  };
+
+  if (['BUY', 'SELL', 'DIVIDEND'].includes(type)) {
+    const security = read('ticker');
+    const isin = read('isin');
+    const mapped = symbols[security] || (isin && symbols[isin]);
+    const ticker = mapped || (preset.symbol && security ? preset.symbol(security) : security);
+
+    if (!ticker) {
+      return { status: 'rejected', reason: 'No ticker' };
+    }
+    if (/\s/.test(ticker)) {
+      return { status: 'rejected', reason: `No ticker for "${security}"; map it in symbols` };
+    }
+    row.ticker = ticker.toUpperCase();
+  }
+
+  const currency = (read('currency') || (row.ticker ? getCurrencyFromTicker(row.ticker) : defaultCurrency)).toUpperCase();
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    return { status: 'rejected', reason: `Unsupported currency: ${currency}` };
+  }
+  row.currency = currency;
+
+  if ((type === 'BUY' || type === 'SELL') && (!(row.shares > 0) || !(row.price > 0))) {
+    return { status: 'rejected', reason: 'Trades need a positive quantity and price' };
+  }
+  if (type === 'DIVIDEND' && !(row.amount > 0) && !(row.shares > 0 && row.price > 0)) {
+    return { status: 'rejected', reason: 'Dividends need an amount, or a quantity and amount per share' };
+  }
+  if ((type === 'DEPOSIT' || type === 'WITHDRAWAL') && !(row.amount > 0)) {
+    return { status: 'rejected', reason: 'Cash entries need a positive amount' };
+  }
+
+  return row;
+};
+
+// Fingerprint of a row: the broker's id when it has one, otherwise its content
+const fingerprint = (presetKey, row) => {
+  if (row.externalId) return `${presetKey}:${row.externalId}`;
+
+  const content = [
+    row.type,
+    row.date.toISOString().slice(0, 10),
+    row.ticker || '',
+    row.shares,
+    row.price,
+    row.amount,
+    row.currency
+  ].join('|');
+  return `${presetKey}:${crypto.createHash('sha1').update(content).digest('hex').slice(0, 16)}`;
+};
+
+// Helper to book one BUY row as a ledger transaction
+const bookBuy = async (userId, row, importKey, bookCash) => {
+  const rate = await getHistoricalRate(row.currency, row.date);
+  const transaction = await Transaction.create({
+    user: userId,
+    ticker: row.ticker,
+    type: 'BUY',
+    shares: row.shares,
+    price: row.price,
+    currency: row.currency,
+    commission: row.commission,
+    transactionDate: row.date,
+    fxRate: rate.rate,
+    fxRateEstimated: rate.stale,
+    notes: row.notes,
+    importKey
+  });
+
+  if (bookCash) {
+    const cost = round2(row.shares * row.price + row.commission);
+    await Cash.create({
+      user: userId,
+      amount: cost,
+      currency: row.currency,
+      type: 'PURCHASE',
+      description: `Stock purchase: ${row.ticker} - ${row.shares} shares @ ${row.price} ${row.currency} (${cost.toFixed(2)} ${row.currency})`,
+      date: row.date,
+      importKey
+    });
+  }
+
+  return transaction;
+};
+
+// Helper to replay one ticker's ledger up to the end of a day: the lots open on that day
+const ledgerLotsOn = async (userId, ticker, date) => {
+  const endOfDay = new Date(date);
+  endOfDay.setUTCHours(24, 0, 0, 0);
+
+  const transactions = await Transaction.find({ user: userId, ticker, transactionDate: { $lt: endOfDay } });
+  return replayLedger(transactions).lots[ticker] || [];
+};
+
+// Helper to find how many shares of a ticker a sell on a day can take: the fewest held from
+// the end of that day on, so a back-dated sell cannot use shares a later sell already sold
+const sellableOn = async (userId, ticker, date) => {
+  const endOfDay = new Date(date);
+  endOfDay.setUTCHours(24, 0, 0, 0);
+
+  const transactions = await Transaction.find({ user: userId, ticker }).sort({ transactionDate: 1, createdAt: 1 });
+  let held = 0;
+  let sellable = Infinity;
+  for (const tx of transactions) {
+    if (tx.transactionDate >= endOfDay) sellable = Math.min(sellable, held);
+    held += tx.type === 'BUY' ? tx.shares : -tx.shares;
+  }
+  return Math.min(sellable, held);
+};
+
+// Helper to book one SELL row against the lots open on its date (FIFO)
+// A back-dated sell must not draw on lots bought after it, so lots come from the ledger
+// replayed to that date rather than from the current holdings.
+const bookSell = async (userId, row, importKey, bookCash) => {
+  const ledgerLots = await ledgerLotsOn(userId, row.ticker, row.date);
+
+  // Replayed lots are identified by their BUY transaction; pair them with the stored lot while it is open
+  const holdings = await Portfolio.find({ user: userId, sourceTransaction: { $in: ledgerLots.map(lot => lot._id) } });
+  const holdingIds = new Map(holdings.map(holding => [String(holding.sourceTransaction), holding._id]));
+  const openLots = ledgerLots.map(lot => ({ ...lot, _id: holdingIds.get(String(lot._id)), sourceTransaction: lot._id }));
+
+  const match = matchLots(openLots, row.shares, 'FIFO');
+
+  const sale = await recordSale(userId, match, {
+    ticker: row.ticker,
+    sellPrice: row.price,
+    commission: row.commission,
+    sellDate: row.date,
+    costMethod: 'FIFO',
+    notes: row.notes,
+    currency: row.currency,
+    creditCash: bookCash,
+    importKey
+  });
+  return sale.transaction;
+};
+
+// Helper to book one DIVIDEND row as a received dividend
+// A booked amount below quantity × rate is the net payout; the difference was withheld.
+// Otherwise the amount is gross and the country's default withholding applies.
+const bookDividend = async (userId, row, importKey, bookCash) => {
+  const shares = row.shares || 0;
+  const perShareTotal = shares * row.price;
+  const grossAmount = perShareTotal > 0 ? perShareTotal : row.amount;
+  const withheld = perShareTotal > 0 && row.amount > 0 && row.amount < perShareTotal
+    ? round2(perShareTotal - row.amount)
+    : undefined;
+
+  const dividend = await Dividend.create({
+    user: userId,
+    ticker: row.ticker,
+    amountPerShare: row.price || (shares > 0 ? grossAmount / shares : grossAmount),
+    totalAmount: round2(grossAmount),
+    withholdingTax: withheld,
+    currency: row.currency,
+    exDate: row.date,
+    paymentDate: row.date,
+    shares,
+    status: 'RECEIVED',
+    payout: bookCash ? 'CASH' : undefined,
+    notes: row.notes,
+    importKey
+  });
+
+  // The export shows what the broker actually did, so imported dividends are never reinvested here
+  if (bookCash) {
+    await creditDividend(dividend, { date: row.date, importKey });
+  }
+
+  return dividend;
+};
+
+// Helper to book one DEPOSIT or WITHDRAWAL row
+const bookCashEntry = (userId, row, importKey) => Cash.create({
+  user: userId,
+  amount: round2(row.amount),
+  currency: row.currency,
+  type: row.type,
+  description: row.notes || (row.type === 'DEPOSIT' ? 'Cash deposit' : 'Cash withdrawal'),
+  date: row.date,
+  importKey
+});
+
+/**
+ * Import a broker CSV export
+ * Rows are booked in date order so sells match the lots bought before them.
+ * Rows are booked one by one: a rejected row does not undo the rows before it.
+ * @param {string} userId - Owner of the imported records
+ * @param {string} csv - CSV content
+ * @param {Object} options - { preset: 'generic'|'nordnet'|'saxo', dryRun, mapping: { field: header },
+ *   symbols: { security name or ISIN: ticker }, bookCash (default true), defaultCurrency, decimal }
+ * @returns {Promise<Object>} { dryRun, preset, summary, rows: [{ line, status, reason, ... }] }
+ */
+const importCsv = async (userId, csv, {
+  preset: presetKey = 'generic',
+  dryRun = false,
+  mapping = {},
+  symbols = {},
+  bookCash = true,
+  defaultCurrency = 'DKK',
+  decimal
+} = {}) => {
+  const preset = Object.prototype.hasOwnProperty.call(PRESETS, presetKey) ? PRESETS[presetKey] : null;
+  if (!preset) {
+    throw badRequest(`Unknown preset. Use one of: ${Object.keys(PRESETS).join(', ')}`);
+  }
+
+  if (!isTextMap(mapping) || !isTextMap(symbols)) {
+    throw badRequest('mapping and symbols must be objects with text values');
+  }
+
+  const { headers, rows } = parseCsv(csv);
+  if (rows.length === 0) {
+    throw badRequest('The file has no data rows');
+  }
+
+  const columns = resolveColumns(preset, headers, mapping);
+  const missing = ['date', 'type'].filter(field => !columns[field]);
+  if (missing.length > 0) {
+    throw badRequest(`Missing columns for ${missing.join(', ')}. Found: ${headers.join(', ')}`);
+  }
+
+  const options = { preset, columns, symbols, defaultCurrency, decimal: decimal || preset.decimal };
+  const seen = {};
+  const report = rows.map(({ line, values }) => {
+    const row = normalizeRow(values, options);
+    if (row.status) return { line, ...row };
+
+    // Identical rows in one file (e.g. two fills at the same price) are told apart by occurrence
+    const key = fingerprint(presetKey, row);
+    seen[key] = (seen[key] || 0) + 1;
+    return { line, row, importKey: `${key}#${seen[key]}` };
+  });
+
+  // Rows already booked by an earlier import
+  const keys = report.filter(entry => entry.importKey).map(entry => entry.importKey);
+  const existing = await Promise.all([Transaction, Cash, Dividend].map(Model => {
+    return Model.find({ user: userId, importKey: { $in: keys } }).distinct('importKey');
+  }));
+  const booked = new Set(existing.flat());
+
+  // Shares a sell on a row's date can take, to reject sells of shares not owned then or sold
+  // later. A dry run books nothing, so the shares its earlier rows would have bought or sold
+  // are tracked on the side; rows are booked in date order, so they count from then on.
+  const pending = {};
+  const sharesSellableOn = async (ticker, date) => {
+    return (await sellableOn(userId, ticker, date)) + (pending[ticker] || 0);
+  };
+
+  const queue = report
+    .filter(entry => entry.row)
+    .sort((a, b) => a.row.date - b.row.date || a.line - b.line);
+
+  const dirty = new Set();
+  for (const entry of queue) {
+    const { row } = entry;
+
+    if (booked.has(entry.importKey)) {
+      Object.assign(entry, { status: 'skipped', reason: 'Already imported' });
+      continue;
+    }
+
+    if (row.type === 'SELL') {
+      const sellable = await sharesSellableOn(row.ticker, row.date);
+      if (row.shares > sellable + SHARE_EPSILON) {
+        Object.assign(entry, { status: 'rejected', reason: `Selling ${row.shares} shares of ${row.ticker} but only ${parseFloat(Math.max(sellable, 0).toFixed(4))} can be sold then` });
+        continue;
+      }
+    }
+
+    try {
+      if (!dryRun) {
+        let record;
+        if (row.type === 'BUY') {
+          record = await bookBuy(userId, row, entry.importKey, bookCash);
+          dirty.add(row.ticker);
+        } else if (row.type === 'SELL') {
+          // Sells match against lots, so bring them up to date with the buys booked so far
+          if (dirty.delete(row.ticker)) await rebuildHoldings(userId, [row.ticker]);
+          record = await bookSell(userId, row, entry.importKey, bookCash);
+        } else if (row.type === 'DIVIDEND') {
+          record = await bookDividend(userId, row, entry.importKey, bookCash);
+        } else {
+          record = await bookCashEntry(userId, row, entry.importKey);
+        }
+        entry.id = record._id;
+      }
+
+      if (dryRun && (row.type === 'BUY' || row.type === 'SELL')) {
+        pending[row.ticker] = (pending[row.ticker] || 0) + (row.type === 'BUY' ? row.shares : -row.shares);
+      }
+      entry.status = 'accepted';
+    } catch (error) {
+      Object.assign(entry, { status: 'rejected', reason: error.message });
+    }
+  }
+
+  if (!dryRun && dirty.size > 0) {
+    await rebuildHoldings(userId, [...dirty]);
+  }
+
+  const results = report.map(({ line, row, importKey, status, reason, id }) => ({
+    line,
+    status,
+    ...(reason && { reason }),
+    ...(row && {
+      type: row.type,
+      date: row.date,
+      ticker: row.ticker,
+      shares: row.shares || undefined,
+      price: row.price || undefined,
+      amount: row.amount || undefined,
+      currency: row.currency,
+      importKey
+    }),
+    ...(id && { id })
+  }));
+
+  const count = (status) => results.filter(r => r.status === status).length;
+
+  return {
+    dryRun,
+    preset: presetKey,
+    columns,
+    summary: {
+      total: results.length,
+      accepted: count('accepted'),
+      skipped: count('skipped'),
+      rejected: count('rejected')
+    },
+    rows: results
+  };
+};
+
+module.exports = {
+  importCsv,
+  PRESETS
+};
@@ -0,0 +1,110 @@
+/**
+ * Ledger Replay Utility
+ * Rebuilds open lots and realized sales by replaying BUY/SELL transactions in date order
+ */
+
+const { matchLots, SHARE_EPSILON } = require('./lotMatching');
+
+const byTransactionDate = (a, b) => {
+  return new Date(a.transactionDate) - new Date(b.transactionDate) || new Date(a.createdAt) - new Date(b.createdAt);
+};
+
+// Specific-lot sales record the BUY transaction behind each lot; replay draws those
+// exact lots down when they are all still open (each named once), and falls back to FIFO otherwise
+const specificSelection = (tx, tickerLots) => {
+  if (tx.costMethod !== 'SPECIFIC' || !tx.matchedLots || tx.matchedLots.length === 0) {
+    return null;
+  }
+
+  const selection = tx.matchedLots.map(matched => ({ lotId: matched.transaction, shares: matched.shares }));
+  const ids = selection.map(({ lotId }) => String(lotId));
+  if (new Set(ids).size !== ids.length) {
+    return null;
+  }
+
+  const allOpen = selection.every(({ lotId, shares }) => {
+    const lot = lotId && tickerLots.find(l => String(l._id) === String(lotId));
+    return lot && lot.shares + SHARE_EPSILON >= shares;
+  });
+
+  return allOpen ? selection : null;
+};
+
+/**
+ * Replay a user's transactions
+ * SELL rows that already carry a cost basis (booked through lot matching) keep it;
+ * older rows are matched FIFO against the lots replayed so far. Open lots are
+ * identified by the _id of the BUY transaction that opened them.
+ * @param {Array} transactions - Transaction documents for one user
+ * @returns {{ lots: Object, sales: Array }} open lots keyed by ticker, and one entry per SELL
+ */
+const replayLedger = (transactions) => {
+  const lots = {};
+  const sales = [];
+
+  for (const tx of [...transactions].sort(byTransactionDate)) {
+    const tickerLots = lots[tx.ticker] || (lots[tx.ticker] = []);
+
+    if (tx.type === 'BUY') {
+      tickerLots.push({
+        _id: tx._id,
+        shares: tx.shares,
+        buyPrice: tx.price,
+        buyDate: tx.transactionDate,
+        createdAt: tx.createdAt,
+        currency: tx.currency,
+        fxRate: tx.fxRate,
+        notes: tx.notes
+      });
+      continue;
+    }
+
+    // A sale the ledger has no matching buys for (e.g. history entered after the fact)
+    const openShares = tickerLots.reduce((sum, lot) => sum + lot.shares, 0);
+    const matchedShares = Math.min(tx.shares, openShares);
+    const selection = specificSelection(tx, tickerLots);
+    const method = tx.costMethod === 'AVERAGE' ? 'AVERAGE' : 'FIFO';
+    let match = { shares: 0, costBasis: 0, costBasisDKK: 0, allocations: [] };
+
+    if (selection) {
+      match = matchLots(tickerLots, null, 'SPECIFIC', selection);
+    } else if (matchedShares > SHARE_EPSILON) {
+      match = matchLots(tickerLots, matchedShares, method);
+    }
+
+    match.allocations.forEach(({ lot, shares }) => {
+      lot.shares -= shares;
+    });
+    lots[tx.ticker] = tickerLots.filter(lot => lot.shares > SHARE_EPSILON);
+
+    const proceeds = tx.shares * tx.price - (tx.commission || 0);
+    const costBasis = tx.costBasis != null ? tx.costBasis : match.costBasis;
+
+    sales.push({
+      transactionId: tx._id,
+      ticker: tx.ticker,
+      date: tx.transactionDate,
+      shares: tx.shares,
+      price: tx.price,
+      currency: tx.currency,
+      costMethod: tx.costMethod || 'FIFO',
+      proceeds,
+      costBasis,
+      costBasisDKK: tx.costBasisDKK != null ? tx.costBasisDKK : match.costBasisDKK,
+      fxRate: tx.fxRate,
+      realizedGain: tx.realizedGain != null ? tx.realizedGain : proceeds - costBasis,
+      realizedGainDKK: tx.realizedGainDKK,
+      unmatchedShares: tx.shares - matchedShares > SHARE_EPSILON ? tx.shares - matchedShares : 0
+    });
+  }
+
+  Object.keys(lots).forEach(ticker => {
+    if (lots[ticker].length === 0) delete lots[ticker];
+  });
+
+  return { lots, sales };
+};
+
+module.exports = {
+  replayLedger
+};
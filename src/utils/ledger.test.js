@@ -0,0 +1,78 @@
+const { replayLedger } = require('./ledger');
+
+const trade = (_id, type, date, shares, price, fields = {}) => ({
+  _id,
+  ticker: 'AAPL',
+  type,
+  shares,
+  price,
+  currency: 'USD',
+  transactionDate: new Date(date),
+  createdAt: new Date(date),
+  fxRate: 6.5,
+  ...fields
+});
+
+describe('replayLedger', () => {
+  test('replays trades in date order and matches sells FIFO', () => {
+    const { lots, sales } = replayLedger([
+      trade('s1', 'SELL', '2024-03-01', 12, 150, { commission: 5 }),
+      trade('b2', 'BUY', '2024-02-01', 10, 120),
+      trade('b1', 'BUY', '2024-01-01', 10, 100)
+    ]);
+
+    expect(lots.AAPL.map(lot => [lot._id, lot.shares])).toEqual([['b2', 8]]);
+    expect(sales).toHaveLength(1);
+    expect(sales[0]).toMatchObject({
+      transactionId: 's1',
+      proceeds: 12 * 150 - 5,
+      costBasis: 10 * 100 + 2 * 120,
+      realizedGain: 12 * 150 - 5 - (10 * 100 + 2 * 120),
+      unmatchedShares: 0
+    });
+  });
+
+  test('keeps the cost basis stored on a sell booked through lot matching', () => {
+    const { sales } = replayLedger([
+      trade('b1', 'BUY', '2024-01-01', 10, 100),
+      trade('s1', 'SELL', '2024-02-01', 5, 150, { costBasis: 480, realizedGain: 270 })
+    ]);
+
+    expect(sales[0].costBasis).toBe(480);
+    expect(sales[0].realizedGain).toBe(270);
+  });
+
+  test('draws down the lots a specific-lot sale names', () => {
+    const { lots } = replayLedger([
+      trade('b1', 'BUY', '2024-01-01', 10, 100),
+      trade('b2', 'BUY', '2024-02-01', 10, 120),
+      trade('s1', 'SELL', '2024-03-01', 4, 150, { costMethod: 'SPECIFIC', matchedLots: [{ transaction: 'b2', shares: 4 }] })
+    ]);
+
+    expect(lots.AAPL.map(lot => [lot._id, lot.shares])).toEqual([['b1', 10], ['b2', 6]]);
+  });
+
+  test('falls back to FIFO when a specific-lot sale names a lot twice', () => {
+    const { lots } = replayLedger([
+      trade('b1', 'BUY', '2024-01-01', 10, 100),
+      trade('b2', 'BUY', '2024-02-01', 10, 120),
+      trade('s1', 'SELL', '2024-03-01', 8, 150, {
+        costMethod: 'SPECIFIC',
+        matchedLots: [{ transaction: 'b2', shares: 4 }, { transaction: 'b2', shares: 4 }]
+      })
+    ]);
+
+    expect(lots.AAPL.map(lot => [lot._id, lot.shares])).toEqual([['b1', 2], ['b2', 10]]);
+  });
+
+  test('reports shares sold without matching buys', () => {
+    const { lots, sales } = replayLedger([
+      trade('b1', 'BUY', '2024-01-01', 3, 100),
+      trade('s1', 'SELL', '2024-02-01', 5, 150)
+    ]);
+
+    expect(lots.AAPL).toBeUndefined();
+    expect(sales[0].unmatchedShares).toBe(2);
+    expect(sales[0].costBasis).toBe(300);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Lot Matching Utility
+ * Decides which purchase lots a sale draws down and how much cost basis it consumes
+ */
+
+const COST_METHODS = ['FIFO', 'AVERAGE', 'SPECIFIC'];
+
+// Share counts below this are treated as zero (fractional shares accumulate float error)
+const SHARE_EPSILON = 1e-6;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const byBuyDate = (a, b) => {
+  return new Date(a.buyDate) - new Date(b.buyDate) || new Date(a.createdAt) - new Date(b.createdAt);
+};
+
+/**
+ * Match a sale against the open lots of one ticker
+ * @param {Array} lots - Portfolio lots ({ _id, shares, buyPrice, buyDate, fxRate })
+ * @param {number} sharesToSell - Number of shares sold (optional for SPECIFIC)
+ * @param {string} method - 'FIFO', 'AVERAGE' or 'SPECIFIC'
+ * @param {Array} selection - SPECIFIC only: [{ lotId, shares }]
+ * @param {number} defaultFxRate - DKK rate for lots without a purchase-date rate
+ * @returns {{ shares: number, costBasis: number, costBasisDKK: number, allocations: Array }}
+ *   allocations are [{ lot, shares, costBasis, costBasisDKK }]; DKK figures are null when a rate is unknown
+ * @throws {Error} status 400 when the sale cannot be matched
+ */
+const matchLots = (lots, sharesToSell, method = 'FIFO', selection = [], defaultFxRate = null) => {
+  const lotRate = (lot) => lot.fxRate || defaultFxRate;
+  const lotCostDKK = (lot, shares) => lotRate(lot) ? shares * lot.buyPrice * lotRate(lot) : null;
+
+  if (!COST_METHODS.includes(method)) {
+    throw badRequest(`Invalid cost method. Use one of: ${COST_METHODS.join(', ')}`);
+  }
+
+  const totalShares = lots.reduce((sum, lot) => sum + lot.shares, 0);
+  let allocations = [];
+
+  if (method === 'SPECIFIC') {
+    if (!Array.isArray(selection) || selection.length === 0) {
+      throw badRequest('Specific-lot sales require a list of lots');
+    }
+
+    const selectedIds = selection.map(({ lotId }) => String(lotId));
+    const duplicate = selectedIds.find((id, index) => selectedIds.indexOf(id) !== index);
+    if (duplicate) {
+      throw badRequest(`Lot ${duplicate} is selected more than once`);
+    }
+
+    allocations = selection.map(({ lotId, shares }) => {
+      const lot = lots.find(l => String(l._id) === String(lotId));
+      const sharesFromLot = parseFloat(shares);
+
+      if (!lot) {
+        throw badRequest(`Lot not found: ${lotId}`);
+      }
+      if (!sharesFromLot || sharesFromLot <= 0) {
+        throw badRequest(`Shares for lot ${lotId} must be greater than 0`);
+      }
+      if (sharesFromLot > lot.shares + SHARE_EPSILON) {
+        throw badRequest(`Cannot sell ${sharesFromLot} shares from lot ${lotId} holding ${lot.shares}`);
+      }
+
+      const sharesSold = Math.min(sharesFromLot, lot.shares);
+      return { lot, shares: sharesSold, costBasis: sharesSold * lot.buyPrice, costBasisDKK: lotCostDKK(lot, sharesSold) };
+    });
+
+    const selectedShares = allocations.reduce((sum, a) => sum + a.shares, 0);
+    if (sharesToSell && Math.abs(selectedShares - sharesToSell) > SHARE_EPSILON) {
+      throw badRequest(`Selected lots total ${selectedShares} shares, expected ${sharesToSell}`);
+    }
+  } else {
+    if (!sharesToSell || sharesToSell <= 0) {
+      throw badRequest('Shares to sell must be greater than 0');
+    }
+    if (sharesToSell > totalShares + SHARE_EPSILON) {
+      throw badRequest('Cannot sell more shares than you own');
+    }
+
+    if (method === 'FIFO') {
+      let remaining = sharesToSell;
+      for (const lot of [...lots].sort(byBuyDate)) {
+        if (remaining <= SHARE_EPSILON) break;
+        const shares = Math.min(remaining, lot.shares);
+        allocations.push({ lot, shares, costBasis: shares * lot.buyPrice, costBasisDKK: lotCostDKK(lot, shares) });
+        remaining -= shares;
+      }
+    } else {
+      // Average cost: every lot is drawn down proportionally so the average of what remains is unchanged
+      const totalCost = lots.reduce((sum, lot) => sum + lot.shares * lot.buyPrice, 0);
+      const averageCost = totalCost / totalShares;
+      const ratio = Math.min(sharesToSell / totalShares, 1);
+
+      // The DKK average weights each lot by its own purchase-date rate
+      const totalCostDKK = lots.every(lotRate)
+        ? lots.reduce((sum, lot) => sum + lotCostDKK(lot, lot.shares), 0)
+        : null;
+      const averageCostDKK = totalCostDKK !== null ? totalCostDKK / totalShares : null;
+
+      allocations = lots.map(lot => {
+        const shares = lot.shares * ratio;
+        return { lot, shares, costBasis: shares * averageCost, costBasisDKK: averageCostDKK !== null ? shares * averageCostDKK : null };
+      });
+    }
+  }
+
+  return {
+    shares: allocations.reduce((sum, a) => sum + a.shares, 0),
+    costBasis: allocations.reduce((sum, a) => sum + a.costBasis, 0),
+    costBasisDKK: allocations.every(a => a.costBasisDKK !== null)
+      ? allocations.reduce((sum, a) => sum + a.costBasisDKK, 0)
+      : null,
+    allocations
+  };
+};
+
+module.exports = {
+  matchLots,
+  COST_METHODS,
+  SHARE_EPSILON
+};
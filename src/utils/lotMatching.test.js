@@ -0,0 +1,66 @@
+const { matchLots } = require('./lotMatching');
+
+const lots = () => [
+  { _id: 'b', shares: 5, buyPrice: 120, buyDate: new Date('2024-03-01'), fxRate: 7 },
+  { _id: 'a', shares: 10, buyPrice: 100, buyDate: new Date('2024-01-01'), fxRate: 6.5 }
+];
+
+describe('matchLots', () => {
+  test('FIFO draws down the oldest lot first', () => {
+    const match = matchLots(lots(), 12, 'FIFO');
+
+    expect(match.shares).toBe(12);
+    expect(match.allocations.map(a => [a.lot._id, a.shares])).toEqual([['a', 10], ['b', 2]]);
+    expect(match.costBasis).toBe(10 * 100 + 2 * 120);
+    expect(match.costBasisDKK).toBeCloseTo(10 * 100 * 6.5 + 2 * 120 * 7);
+  });
+
+  test('AVERAGE draws every lot down proportionally at the average cost', () => {
+    const match = matchLots(lots(), 3, 'AVERAGE');
+    const averageCost = (10 * 100 + 5 * 120) / 15;
+
+    expect(match.shares).toBeCloseTo(3);
+    expect(match.costBasis).toBeCloseTo(3 * averageCost);
+    expect(match.allocations.find(a => a.lot._id === 'a').shares).toBeCloseTo(2);
+    expect(match.allocations.find(a => a.lot._id === 'b').shares).toBeCloseTo(1);
+  });
+
+  test('SPECIFIC sells the selected lots', () => {
+    const match = matchLots(lots(), 4, 'SPECIFIC', [{ lotId: 'b', shares: 4 }]);
+
+    expect(match.allocations).toHaveLength(1);
+    expect(match.costBasis).toBe(4 * 120);
+  });
+
+  test('SPECIFIC rejects a lot selected more than once', () => {
+    let error;
+    try {
+      matchLots(lots(), 8, 'SPECIFIC', [{ lotId: 'b', shares: 4 }, { lotId: 'b', shares: 4 }]);
+    } catch (thrown) {
+      error = thrown;
+    }
+
+    expect(error.message).toBe('Lot b is selected more than once');
+    expect(error.status).toBe(400);
+  });
+
+  test('SPECIFIC rejects more shares than a lot holds', () => {
+    expect(() => matchLots(lots(), null, 'SPECIFIC', [{ lotId: 'b', shares: 6 }])).toThrow('Cannot sell 6 shares from lot b');
+  });
+
+  test('rejects selling more shares than are held', () => {
+    expect(() => matchLots(lots(), 16, 'FIFO')).toThrow('Cannot sell more shares than you own');
+  });
+
+  test('rejects an unknown cost method', () => {
+    expect(() => matchLots(lots(), 1, 'LIFO')).toThrow('Invalid cost method');
+  });
+
+  test('leaves the DKK cost basis unknown when a lot has no rate', () => {
+    const [withoutRate] = lots();
+    delete withoutRate.fxRate;
+
+    expect(matchLots([withoutRate], 1, 'FIFO').costBasisDKK).toBeNull();
+    expect(matchLots([withoutRate], 1, 'FIFO', [], 7.5).costBasisDKK).toBe(120 * 7.5);
+  });
+});
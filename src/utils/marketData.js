@@ -0,0 +1,263 @@
+/**
+ * Market Data Providers
+ * One interface for stock prices, dividend data and exchange rates, with the
+ * Python stock API and a file-backed fixture as implementations. The active
+ * provider (or fallback chain of providers) is chosen by configuration.
+ *
+ * A provider is an object with a name and:
+ *   getStock(ticker)               → { ticker, price, currency, ... }
+ *   getPrices(tickers)             → { [ticker]: { price, currency } } for the tickers it knows
+ *   getDividend(ticker)            → { ticker, annualDividend, currency, dividendYield, nextExDate, nextPayDate, frequency }
+ *   getRate(from, to)              → units of `to` per unit of `from`
+ *   getHistoricalRate(from, to, date) (optional) → the same on a past date
+ *   getHistory(ticker, from, to)   (optional) → { currency, prices: [{ date, open, high, low, close, volume }] }
+ * Lookups it cannot answer reject; unknown tickers reject with status 404.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const STOCK_API_URL = process.env.STOCK_API_URL || 'http://localhost:5001';
+const DEFAULT_FIXTURE = path.join(__dirname, '..', 'fixtures', 'market-data.json');
+
+const REQUIRED_METHODS = ['getStock', 'getPrices', 'getDividend', 'getRate'];
+
+// Helper to build a lookup error carrying an HTTP status
+const lookupError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Provider backed by the Python stock API
+ * @param {Object} options - { url, timeout }
+ * @returns {Object} Market data provider
+ */
+const createStockApiProvider = ({ url = STOCK_API_URL, timeout = 5000 } = {}) => {
+  const apiClient = axios.create({ baseURL: url, timeout });
+  const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+  return {
+    name: 'stock-api',
+    getStock: async (ticker) => {
+      const response = await apiClient.get(`/api/stock/${ticker}`);
+      return response.data;
+    },
+    getPrices: async (tickers) => {
+      const response = await apiClient.post('/api/batch-price', { tickers });
+      return response.data || {};
+    },
+    getDividend: async (ticker) => {
+      const response = await apiClient.get(`/api/dividend/${ticker}`);
+      return response.data || {};
+    },
+    getRate: async (from, to) => {
+      // The API takes the pair quote-first
+      const response = await apiClient.get(`/api/exchange-rate/${to}/${from}`, { timeout: 3000 });
+      return parseFloat(response.data.rate);
+    },
+    getHistory: async (ticker, from, to) => {
+      // Python API returns { ticker, currency, prices: [{ date, open, high, low, close, volume }] }
+      const response = await apiClient.get(`/api/history/${ticker}`, {
+        params: { start: day(from), end: day(to) },
+        timeout: Math.max(timeout, 15000)
+      });
+      const data = response.data || {};
+      return Array.isArray(data) ? { prices: data } : { currency: data.currency, prices: data.prices || [] };
+    }
+  };
+};
+
+/**
+ * Provider serving fixed data, for development and automated tests
+ * Data shape:
+ *   { stocks: { AAPL: { price, currency, ... } },
+ *     dividends: { AAPL: { annualDividend, frequency, nextExDate, nextPayDate } },
+ *     prices: { AAPL: [{ date, open, high, low, close, volume }] },
+ *     rates: { USD: 6.9 },                      // DKK per unit
+ *     history: { USD: { '2024-01-02': 6.8 } } } // DKK per unit on a day
+ * @param {Object|string} source - The data, or the path of a JSON file holding it
+ * @returns {Object} Market data provider
+ */
+const createFixtureProvider = (source = DEFAULT_FIXTURE) => {
+  const data = typeof source === 'string'
+    ? JSON.parse(fs.readFileSync(source, 'utf8'))
+    : source;
+  const stocks = data.stocks || {};
+  const dividends = data.dividends || {};
+  const prices = data.prices || {};
+  const rates = { DKK: 1, ...(data.rates || {}) };
+  const history = data.history || {};
+
+  const stockOf = (ticker) => {
+    const stock = stocks[ticker.toUpperCase()];
+    if (!stock) throw lookupError(`No fixture data for ${ticker}`, 404);
+    return { ticker: ticker.toUpperCase(), ...stock };
+  };
+
+  const rateOf = (currency, table) => {
+    const rate = table[currency.toUpperCase()];
+    if (!(rate > 0)) throw lookupError(`No fixture rate for ${currency}`, 404);
+    return rate;
+  };
+
+  return {
+    name: 'fixture',
+    getStock: async (ticker) => stockOf(ticker),
+    getPrices: async (tickers) => Object.fromEntries(tickers
+      .filter(ticker => stocks[ticker.toUpperCase()])
+      .map(ticker => {
+        const { price, currency } = stockOf(ticker);
+        return [ticker, { price, currency }];
+      })),
+    getDividend: async (ticker) => {
+      const stock = stockOf(ticker);
+      const dividend = dividends[stock.ticker] || { annualDividend: 0 };
+      return {
+        ticker: stock.ticker,
+        currency: stock.currency,
+        dividendYield: stock.price > 0 ? parseFloat(((dividend.annualDividend || 0) / stock.price * 100).toFixed(2)) : 0,
+        ...dividend
+      };
+    },
+    getRate: async (from, to) => rateOf(from, rates) / rateOf(to, rates),
+    getHistoricalRate: async (from, to, date) => {
+      const day = new Date(date).toISOString().slice(0, 10);
+      const onDay = (currency) => currency.toUpperCase() === 'DKK'
+        ? 1
+        : rateOf(currency, Object.fromEntries(Object.entries(history).map(([code, days]) => [code, days[day]])));
+      return onDay(from) / onDay(to);
+    },
+    getHistory: async (ticker, from, to) => {
+      const stock = stockOf(ticker);
+      const start = new Date(from);
+      const end = new Date(to);
+      return {
+        currency: stock.currency,
+        prices: (prices[stock.ticker] || []).filter(bar => new Date(bar.date) >= start && new Date(bar.date) <= end)
+      };
+    }
+  };
+};
+
+/**
+ * Chain providers so each lookup falls through to the next one that can answer
+ * Batch prices are asked of the next provider only for the tickers still missing.
+ * @param {Array<Object>} providers - Providers, most preferred first
+ * @returns {Object} Market data provider
+ */
+const createFallbackChain = (providers) => {
+  if (providers.length === 1) return providers[0];
+
+  const firstAnswer = (method, candidates = providers) => async (...args) => {
+    let lastError;
+    for (const provider of candidates) {
+      try {
+        return await provider[method](...args);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  };
+
+  const chain = {
+    name: providers.map(provider => provider.name).join('>'),
+    getStock: firstAnswer('getStock'),
+    getDividend: firstAnswer('getDividend'),
+    getRate: firstAnswer('getRate'),
+    getPrices: async (tickers) => {
+      const prices = {};
+      let remaining = tickers;
+      let lastError;
+
+      for (const provider of providers) {
+        if (remaining.length === 0) break;
+        try {
+          const answered = await provider.getPrices(remaining);
+          remaining.forEach(ticker => {
+            if (answered[ticker] && answered[ticker].price > 0) {
+              prices[ticker] = { ...answered[ticker], source: answered[ticker].source || provider.name };
+            }
+          });
+          remaining = remaining.filter(ticker => !prices[ticker]);
+        } catch (error) {
+          lastError = error;
+        }
+      }
+
+      if (Object.keys(prices).length === 0 && lastError) throw lastError;
+      return prices;
+    }
+  };
+
+  // Only offered when a provider in the chain has them
+  ['getHistoricalRate', 'getHistory'].forEach(method => {
+    const capable = providers.filter(provider => typeof provider[method] === 'function');
+    if (capable.length > 0) {
+      chain[method] = firstAnswer(method, capable);
+    }
+  });
+
+  return chain;
+};
+
+// Providers that can be named in MARKET_DATA_PROVIDER
+const PROVIDER_FACTORIES = {
+  'stock-api': () => createStockApiProvider(),
+  fixture: () => createFixtureProvider(process.env.MARKET_DATA_FIXTURE || DEFAULT_FIXTURE)
+};
+
+/**
+ * Build the provider named by configuration
+ * @param {string} setting - Provider names, comma-separated for a fallback chain ('stock-api,fixture')
+ * @returns {Object} Market data provider
+ */
+const createConfiguredProvider = (setting = process.env.MARKET_DATA_PROVIDER || 'stock-api') => {
+  const names = setting.split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = names.filter(name => !PROVIDER_FACTORIES[name]);
+  if (names.length === 0 || unknown.length > 0) {
+    throw new Error(`Unknown market data provider: ${unknown.join(', ') || setting}. Use ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+
+  return createFallbackChain(names.map(name => PROVIDER_FACTORIES[name]()));
+};
+
+let marketData = null;
+
+/**
+ * The active provider, built from configuration on first use
+ * @returns {Object} Market data provider
+ */
+const getMarketData = () => {
+  if (!marketData) {
+    marketData = createConfiguredProvider();
+  }
+  return marketData;
+};
+
+/**
+ * Replace the active provider; exchange rates switch to it as well
+ * @param {Object} provider - Market data provider
+ */
+const setMarketDataProvider = (provider) => {
+  const missing = REQUIRED_METHODS.filter(method => !provider || typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Market data provider must implement ${missing.join(', ')}`);
+  }
+  marketData = provider;
+
+  // Required here, not at the top, because the converter builds on this module
+  require('./currencyConverter').setRateProvider(provider);
+};
+
+module.exports = {
+  createStockApiProvider,
+  createFixtureProvider,
+  createFallbackChain,
+  createConfiguredProvider,
+  getMarketData,
+  setMarketDataProvider
+};
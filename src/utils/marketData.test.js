@@ -0,0 +1,48 @@
+const { createFixtureProvider, createFallbackChain } = require('./marketData');
+
+describe('fixture provider', () => {
+  const provider = createFixtureProvider();
+
+  test('answers stock, price and dividend lookups from the bundled data', async () => {
+    await expect(provider.getStock('aapl')).resolves.toMatchObject({ ticker: 'AAPL', price: 190.5, currency: 'USD' });
+    await expect(provider.getPrices(['AAPL', 'UNKNOWN'])).resolves.toEqual({ AAPL: { price: 190.5, currency: 'USD' } });
+    await expect(provider.getDividend('KO')).resolves.toMatchObject({ ticker: 'KO', annualDividend: 1.94, frequency: 'quarterly' });
+  });
+
+  test('converts between currencies through DKK', async () => {
+    await expect(provider.getRate('USD', 'DKK')).resolves.toBe(6.38);
+    await expect(provider.getRate('EUR', 'USD')).resolves.toBeCloseTo(7.46 / 6.38);
+  });
+
+  test('returns the daily closes within a range', async () => {
+    const history = await provider.getHistory('AAPL', new Date('2024-01-03'), new Date('2024-01-05'));
+
+    expect(history.currency).toBe('USD');
+    expect(history.prices.map(bar => bar.close)).toEqual([184.25, 181.91, 181.18]);
+  });
+
+  test('rejects unknown tickers with a 404', async () => {
+    await expect(provider.getStock('NOPE')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('createFallbackChain', () => {
+  const partial = createFixtureProvider({ stocks: { MSFT: { price: 400, currency: 'USD' } } });
+  const chain = createFallbackChain([partial, createFixtureProvider()]);
+
+  test('asks the next provider when one cannot answer', async () => {
+    await expect(chain.getStock('MSFT')).resolves.toMatchObject({ price: 400 });
+    await expect(chain.getStock('KO')).resolves.toMatchObject({ price: 62.3 });
+  });
+
+  test('fills batch prices from later providers only for missing tickers', async () => {
+    const prices = await chain.getPrices(['MSFT', 'KO']);
+
+    expect(prices.MSFT).toMatchObject({ price: 400, currency: 'USD' });
+    expect(prices.KO).toMatchObject({ price: 62.3, currency: 'USD' });
+  });
+
+  test('rejects when no provider can answer', async () => {
+    await expect(chain.getStock('NOPE')).rejects.toMatchObject({ status: 404 });
+  });
+});
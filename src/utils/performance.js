@@ -0,0 +1,429 @@
+/**
+ * Performance Utility
+ * Time-weighted and money-weighted (XIRR) returns over a period, from the daily
+ * portfolio snapshots and the external cash flows (DEPOSIT/WITHDRAWAL) between them
+ */
+
+const Cash = require('../models/Cash');
+const Transaction = require('../models/Transaction');
+const { getHistoricalRate } = require('./currencyConverter');
+const { getHistory, valuePortfolio, startOfDay } = require('./snapshots');
+const { valueOnDays, loadCloses, closeOn, createHistoricalConverter } = require('./historicalValuation');
+
+const DAY = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365;
+const PERIODS = ['ytd', '1y', '3y', 'inception', 'custom'];
+const EXTERNAL_FLOWS = ['DEPOSIT', 'WITHDRAWAL'];
+const SNAPSHOT_REACH_DAYS = 7; // A snapshot this close to a day stands in for rebuilding it
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+const toPercent = (ratio) => (ratio === null ? null : round2(ratio * 100));
+
+/**
+ * Turn a named period into a date range ending today (or at `to` for custom ranges)
+ * @param {string} period - ytd, 1y, 3y, inception or custom
+ * @param {Object} range - { from, to } for custom ranges
+ * @returns {Object} { from (null for inception), to }
+ */
+const resolvePeriod = (period, { from, to } = {}) => {
+  const now = new Date();
+
+  switch (period) {
+    case 'ytd':
+      return { from: new Date(Date.UTC(now.getUTCFullYear(), 0, 1)), to: now };
+    case '1y':
+    case '3y': {
+      const start = startOfDay(now);
+      start.setUTCFullYear(start.getUTCFullYear() - parseInt(period, 10));
+      return { from: start, to: now };
+    }
+    case 'inception':
+      return { from: null, to: now };
+    case 'custom': {
+      const start = from ? new Date(from) : null;
+      const end = to ? new Date(to) : now;
+      if (!start || isNaN(start) || isNaN(end) || start >= end) {
+        throw badRequest('A custom period needs from (and optionally to) as valid dates, from before to');
+      }
+      return { from: start, to: end };
+    }
+    default:
+      throw badRequest(`Invalid period. Use one of: ${PERIODS.join(', ')}`);
+  }
+};
+
+/**
+ * Solve for the annual rate that discounts a series of dated cash flows to zero
+ * Newton's method, with bisection when it does not converge.
+ * @param {Array} flows - [{ time (ms), amount }], investor view: money in negative, money out positive
+ * @returns {number|null} Annual rate as a ratio, or null when no rate solves the series
+ */
+const xirr = (flows) => {
+  if (!flows.some(f => f.amount < 0) || !flows.some(f => f.amount > 0)) return null;
+
+  const t0 = flows[0].time;
+  const years = flows.map(f => (f.time - t0) / DAY / YEAR_DAYS);
+  const npv = (rate) => flows.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + rate, years[i]), 0);
+  const slope = (rate) => flows.reduce((sum, f, i) => sum - years[i] * f.amount / Math.pow(1 + rate, years[i] + 1), 0);
+
+  let rate = 0.1;
+  for (let i = 0; i < 100; i++) {
+    const value = npv(rate);
+    if (Math.abs(value) < 1e-7) return rate;
+    const derivative = slope(rate);
+    if (!derivative) break;
+    const next = rate - value / derivative;
+    if (!isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < 1e-10) return next;
+    rate = next;
+  }
+
+  let low = -0.9999;
+  let high = 100;
+  if (npv(low) * npv(high) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) high = mid; else low = mid;
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Chain sub-period returns between consecutive valuations (Modified Dietz per sub-period)
+ * Valuations are end-of-day and flows start-of-day, so a flow is weighted by the
+ * part of its sub-period it was invested for.
+ * @param {Array} points - [{ time, total }] sorted by time
+ * @param {Array} flows - [{ time, amount }], deposits positive
+ * @returns {Array<number>} Cumulative return at each valuation as a ratio (0 at the first)
+ */
+const timeWeightedSeries = (points, flows) => {
+  let growth = 1;
+
+  return points.map((end, i) => {
+    if (i === 0) return 0;
+
+    const start = points[i - 1];
+    const span = end.time - start.time;
+    const inPeriod = flows.filter(f => f.time >= start.time && f.time < end.time);
+    const net = inPeriod.reduce((sum, f) => sum + f.amount, 0);
+    const weighted = inPeriod.reduce((sum, f) => sum + f.amount * (end.time - f.time) / span, 0);
+    const invested = start.total + weighted;
+
+    // Nothing was invested, so there is no return to measure
+    if (invested > 0) {
+      growth *= 1 + (end.total - start.total - net) / invested;
+    }
+    return growth - 1;
+  });
+};
+
+/**
+ * Time-weighted return over all valuations
+ * @param {Array} points - [{ time, total }] sorted by time
+ * @param {Array} flows - [{ time, amount }], deposits positive
+ * @returns {number|null} Cumulative return as a ratio
+ */
+const timeWeightedReturn = (points, flows) => {
+  if (points.length < 2) return null;
+  const series = timeWeightedSeries(points, flows);
+  return series[series.length - 1];
+};
+
+// Helper to load external flows in the target currency at their booking-date rates
+const loadFlows = async (userId, from, to, base) => {
+  const filter = { user: userId, type: { $in: EXTERNAL_FLOWS }, date: { $lt: to } };
+  if (from) filter.date.$gte = from;
+
+  const entries = await Cash.find(filter).sort({ date: 1 });
+  const rates = new Map();
+  const rateOn = async (currency, day) => {
+    const key = `${currency}|${day.getTime()}`;
+    if (!rates.has(key)) rates.set(key, (await getHistoricalRate(currency, day)).rate);
+    return rates.get(key);
+  };
+
+  return Promise.all(entries.map(async (entry) => {
+    const day = startOfDay(entry.date);
+    const currency = entry.currency || 'DKK';
+    const amount = currency === base
+      ? entry.amount
+      : entry.amount * (await rateOn(currency, day)) / (await rateOn(base, day));
+
+    return {
+      time: day.getTime(),
+      amount: entry.type === 'DEPOSIT' ? amount : -amount
+    };
+  }));
+};
+
+// Helper to find the first day the account had any activity
+const firstActivity = async (userId) => {
+  const [cash, transaction] = await Promise.all([
+    Cash.findOne({ user: userId }).sort({ date: 1 }).select('date'),
+    Transaction.findOne({ user: userId }).sort({ transactionDate: 1 }).select('transactionDate')
+  ]);
+
+  const dates = [cash && cash.date, transaction && transaction.transactionDate].filter(Boolean);
+  return dates.length > 0 ? startOfDay(new Date(Math.min(...dates))) : null;
+};
+
+// Helper to pick the days without a nearby snapshot to rebuild: the period start and each month-end
+const daysToRebuild = (points, start, end) => {
+  const snapshotDays = points.map(point => point.time - DAY);
+  const candidates = [start];
+  for (let day = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0)); day < end;
+    day = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 2, 0))) {
+    if (day > start) candidates.push(day);
+  }
+  if (end > start) candidates.push(end);
+
+  return candidates.filter(day =>
+    !snapshotDays.some(time => Math.abs(time - day.getTime()) <= SNAPSHOT_REACH_DAYS * DAY)
+  );
+};
+
+/**
+ * Collect the valuations and external flows for a period
+ * Valuations are the stored daily snapshots plus a live valuation for today, each
+ * timed at the end of its day. Where snapshots are missing (before snapshots were
+ * recorded, or during downtime), the period start and month-ends are rebuilt from the
+ * transaction and cash ledgers at stored daily closes; a day with a holding that has no
+ * close is left out. Before the account's first activity its value is known to be zero,
+ * so periods reaching back that far start from an empty account.
+ * @param {string} userId - Owner of the portfolio
+ * @param {Object} range - { from, to } from resolvePeriod
+ * @param {Object} fx - Rate table for the reporting currency
+ * @param {Array} benchmarks - [{ ticker, currency }] to price live for today
+ * @returns {Promise<Object>} { points: [{ time, total, benchmarks, reconstructed }], flows: [{ time, amount }] }
+ */
+const loadValuations = async (userId, range, fx, benchmarks = []) => {
+  const today = startOfDay();
+  const endDay = startOfDay(range.to);
+
+  // The period starts from the close of the day before it
+  const historyFrom = range.from ? new Date(range.from.getTime() - DAY) : null;
+  const history = await getHistory(userId, { from: historyFrom, to: endDay, interval: 'daily', fx });
+  const points = history.map(point => ({
+    time: point.date.getTime() + DAY,
+    total: point.total,
+    benchmarks: point.benchmarks
+  }));
+
+  const inception = await firstActivity(userId);
+  const start = inception && historyFrom && historyFrom > inception ? startOfDay(historyFrom) : inception;
+  const end = new Date(Math.min(endDay.getTime(), today.getTime() - DAY));
+  if (start && start <= end) {
+    const rebuilt = await valueOnDays(userId, daysToRebuild(points, start, end), fx.base);
+
+    rebuilt
+      .filter(valuation => valuation.missing.length === 0)
+      .forEach(valuation => points.push({ time: valuation.day.getTime() + DAY, total: valuation.total, reconstructed: true }));
+    points.sort((a, b) => a.time - b.time);
+  }
+
+  // Today's value is taken live rather than from a snapshot taken earlier in the day
+  if (endDay >= today) {
+    const live = await valuePortfolio(userId, fx, benchmarks);
+    const time = today.getTime() + DAY;
+    if (points.length > 0 && points[points.length - 1].time === time) points.pop();
+    points.push({
+      time,
+      total: live.totalValue + live.cash,
+      benchmarks: Object.fromEntries(live.benchmarks.map(b => [b.ticker, b.price * fx.baseRateOf(b.currency)]))
+    });
+  }
+
+  // An account is empty until its first activity
+  if (inception && (!range.from || range.from <= inception) && (points.length === 0 || points[0].time > inception.getTime())) {
+    points.unshift({ time: inception.getTime(), total: 0 });
+  }
+
+  const flows = points.length < 2
+    ? []
+    : await loadFlows(userId, new Date(points[0].time), new Date(points[points.length - 1].time), fx.base);
+
+  return { points, flows };
+};
+
+// Valuations are timed at the end of their day; report the day itself
+const pointDate = (point) => new Date(point.time - DAY);
+
+// Helper to price benchmarks at each valuation from their daily closes, in the base currency
+// Today keeps its live price; a day without a recent close keeps the price its snapshot recorded.
+const priceBenchmarkSeries = async (points, benchmarks, base) => {
+  if (points.length === 0 || benchmarks.length === 0) return;
+
+  const today = startOfDay().getTime();
+  const closes = await loadCloses(benchmarks.map(b => b.ticker), pointDate(points[0]), pointDate(points[points.length - 1]));
+  const toBase = createHistoricalConverter(base);
+
+  for (const { ticker, currency } of benchmarks) {
+    const series = closes.get(ticker);
+    for (const point of points) {
+      const day = pointDate(point);
+      const close = day.getTime() < today ? closeOn(series, day) : null;
+      if (close === null) continue;
+      point.benchmarks = {
+        ...point.benchmarks,
+        [ticker]: await toBase(close, currency || series.currency, day)
+      };
+    }
+  }
+};
+
+/**
+ * Time-weighted and money-weighted return for one period
+ * A period starts at its first valuation; `complete` is false when that is after the
+ * requested start.
+ * @param {string} userId - Owner of the portfolio
+ * @param {string} period - ytd, 1y, 3y, inception or custom
+ * @param {Object} options - { from, to, fx: rate table for the reporting currency }
+ * @returns {Promise<Object>} Returns in percent, with start/end values and flows
+ */
+const calculatePerformance = async (userId, period, { from, to, fx }) => {
+  const range = resolvePeriod(period, { from, to });
+  const { points, flows } = await loadValuations(userId, range, fx);
+
+  const result = {
+    period,
+    requestedFrom: range.from,
+    to: new Date(Math.min(range.to, new Date())),
+    currency: fx.base
+  };
+
+  if (points.length < 2) {
+    return { ...result, from: null, complete: false, twr: null, twrAnnualized: null, mwr: null, xirr: null, message: 'Not enough valuations in this period' };
+  }
+
+  const start = points[0];
+  const end = points[points.length - 1];
+
+  const deposits = flows.filter(f => f.amount > 0).reduce((sum, f) => sum + f.amount, 0);
+  const withdrawals = flows.filter(f => f.amount < 0).reduce((sum, f) => sum - f.amount, 0);
+  const days = (end.time - start.time) / DAY;
+
+  const twr = timeWeightedReturn(points, flows);
+  const annualRate = xirr([
+    { time: start.time, amount: -start.total },
+    ...flows.map(f => ({ time: f.time, amount: -f.amount })),
+    { time: end.time, amount: end.total }
+  ].filter(f => f.amount !== 0));
+
+  return {
+    ...result,
+    from: new Date(start.time),
+    complete: !range.from || start.time <= range.from.getTime() + DAY,
+    days: Math.round(days),
+    startValue: round2(start.total),
+    endValue: round2(end.total),
+    deposits: round2(deposits),
+    withdrawals: round2(withdrawals),
+    netFlows: round2(deposits - withdrawals),
+    gain: round2(end.total - start.total - (deposits - withdrawals)),
+    twr: toPercent(twr),
+    twrAnnualized: twr !== null && days >= YEAR_DAYS ? toPercent(Math.pow(1 + twr, YEAR_DAYS / days) - 1) : null,
+    mwr: annualRate !== null ? toPercent(Math.pow(1 + annualRate, days / YEAR_DAYS) - 1) : null,
+    xirr: toPercent(annualRate),
+    valuations: points.length,
+    reconstructed: points.filter(point => point.reconstructed).length
+  };
+};
+
+/**
+ * Compare the portfolio's time-weighted return with benchmark tickers over a period
+ * Benchmarks are priced at each valuation from their stored daily closes (loaded on
+ * demand), so any ticker can be compared over the whole period. Each benchmark is
+ * compared from its first price in the period, with the portfolio rebased to that day.
+ * Alpha is the portfolio return left after the benchmark return scaled by beta
+ * (risk-free rate taken as zero); tracking difference is portfolio return minus
+ * benchmark return.
+ * @param {string} userId - Owner of the portfolio
+ * @param {string} period - ytd, 1y, 3y, inception or custom
+ * @param {Object} options - { from, to, fx, benchmarks: [{ ticker, currency }] }
+ * @returns {Promise<Object>} Cumulative return series and metrics in percent
+ */
+const compareBenchmarks = async (userId, period, { from, to, fx, benchmarks }) => {
+  const range = resolvePeriod(period, { from, to });
+  const { points, flows } = await loadValuations(userId, range, fx, benchmarks);
+  await priceBenchmarkSeries(points, benchmarks, fx.base);
+  const cumulative = timeWeightedSeries(points, flows);
+
+  const comparisons = benchmarks.map(({ ticker }) => {
+    const observed = points
+      .map((point, i) => ({ point, growth: 1 + cumulative[i], price: point.benchmarks && point.benchmarks[ticker] }))
+      .filter(observation => observation.price > 0);
+
+    if (observed.length < 2) {
+      return {
+        ticker,
+        return: null,
+        series: [],
+        message: 'Not enough prices in this period; no daily closes could be loaded for this ticker'
+      };
+    }
+
+    const first = observed[0];
+    const series = observed.map(({ point, growth, price }) => ({
+      date: pointDate(point),
+      portfolio: toPercent(growth / first.growth - 1),
+      benchmark: toPercent(price / first.price - 1)
+    }));
+
+    // Beta from the day-to-day returns of both series
+    const returns = observed.slice(1).map((observation, i) => ({
+      portfolio: observation.growth / observed[i].growth - 1,
+      benchmark: observation.price / observed[i].price - 1
+    }));
+    const mean = (key) => returns.reduce((sum, r) => sum + r[key], 0) / returns.length;
+    const meanPortfolio = mean('portfolio');
+    const meanBenchmark = mean('benchmark');
+    const covariance = returns.reduce((sum, r) => sum + (r.portfolio - meanPortfolio) * (r.benchmark - meanBenchmark), 0);
+    const variance = returns.reduce((sum, r) => sum + Math.pow(r.benchmark - meanBenchmark, 2), 0);
+    const beta = returns.length > 1 && variance > 0 ? covariance / variance : null;
+
+    const last = observed[observed.length - 1];
+    const portfolioReturn = last.growth / first.growth - 1;
+    const benchmarkReturn = last.price / first.price - 1;
+
+    return {
+      ticker,
+      from: pointDate(first.point),
+      to: pointDate(last.point),
+      observations: observed.length,
+      portfolioReturn: toPercent(portfolioReturn),
+      return: toPercent(benchmarkReturn),
+      trackingDifference: toPercent(portfolioReturn - benchmarkReturn),
+      beta: beta !== null ? parseFloat(beta.toFixed(4)) : null,
+      alpha: beta !== null ? toPercent(portfolioReturn - beta * benchmarkReturn) : null,
+      series
+    };
+  });
+
+  return {
+    period,
+    requestedFrom: range.from,
+    to: new Date(Math.min(range.to, new Date())),
+    currency: fx.base,
+    portfolio: {
+      return: points.length > 1 ? toPercent(cumulative[cumulative.length - 1]) : null,
+      series: points.map((point, i) => ({ date: pointDate(point), return: toPercent(cumulative[i]) }))
+    },
+    benchmarks: comparisons
+  };
+};
+
+module.exports = {
+  calculatePerformance,
+  compareBenchmarks,
+  timeWeightedSeries,
+  timeWeightedReturn,
+  xirr,
+  resolvePeriod,
+  PERIODS
+};
@@ -0,0 +1,204 @@
+/**
+ * Price History Utility
+ * Daily price series per ticker, stored in MongoDB as they are fetched so each
+ * day is asked of the market data provider once; only missing ranges are fetched
+ */
+
+const HistoricalPrice = require('../models/HistoricalPrice');
+const PriceCoverage = require('../models/PriceCoverage');
+const { getMarketData } = require('./marketData');
+const { getCurrencyFromTicker } = require('./valuation');
+
+const DAY = 86400000;
+
+// Fetches in progress keyed by ticker, so concurrent loads of one chart fetch once
+const inFlight = new Map();
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY);
+
+/**
+ * Merge ranges into sorted, non-overlapping ones; adjacent days join up
+ * @param {Array} ranges - [{ from, to }] of UTC days
+ * @returns {Array} Merged ranges
+ */
+const mergeRanges = (ranges) => {
+  const sorted = ranges
+    .map(({ from, to }) => ({ from: startOfDay(from), to: startOfDay(to) }))
+    .sort((a, b) => a.from - b.from);
+
+  return sorted.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.from <= addDays(last.to, 1)) {
+      if (range.to > last.to) last.to = range.to;
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * The parts of a date range not yet covered
+ * @param {Array} covered - Merged ranges already fetched
+ * @param {Date} from - First day wanted
+ * @param {Date} to - Last day wanted
+ * @returns {Array} [{ from, to }] still to fetch
+ */
+const missingRanges = (covered, from, to) => {
+  const missing = [];
+  let cursor = startOfDay(from);
+  const end = startOfDay(to);
+
+  for (const range of covered) {
+    if (range.to < cursor) continue;
+    if (range.from > end) break;
+    if (range.from > cursor) {
+      missing.push({ from: cursor, to: addDays(range.from, -1) });
+    }
+    cursor = addDays(range.to, 1);
+  }
+
+  if (cursor <= end) {
+    missing.push({ from: cursor, to: end });
+  }
+  return missing;
+};
+
+// Helper to read a provider's bar, skipping rows without a usable close
+const toBar = (row) => {
+  const close = parseFloat(row.close);
+  const date = new Date(row.date);
+  if (!(close > 0) || isNaN(date)) return null;
+
+  const number = (value) => (value === undefined || value === null || isNaN(parseFloat(value)) ? undefined : parseFloat(value));
+  return {
+    date: startOfDay(date),
+    open: number(row.open),
+    high: number(row.high),
+    low: number(row.low),
+    close,
+    volume: number(row.volume)
+  };
+};
+
+// Helper to fetch and store missing ranges; ranges ending before today are recorded as covered
+const fillRanges = async (ticker, ranges) => {
+  const provider = getMarketData();
+  if (typeof provider.getHistory !== 'function') {
+    return [`Market data provider ${provider.name} has no price history`];
+  }
+
+  const today = startOfDay(new Date());
+  const covered = [];
+  const errors = [];
+
+  for (const range of ranges) {
+    try {
+      const { currency, prices } = await provider.getHistory(ticker, range.from, range.to);
+      const bars = (prices || []).map(toBar).filter(bar => bar && bar.date >= range.from && bar.date <= range.to);
+
+      if (bars.length > 0) {
+        await HistoricalPrice.bulkWrite(bars.map(bar => ({
+          updateOne: {
+            filter: { ticker, date: bar.date },
+            update: { $set: { ...bar, currency: currency || getCurrencyFromTicker(ticker), source: provider.name } },
+            upsert: true
+          }
+        })));
+      }
+
+      // Today's bar is still moving, so today stays uncovered and is fetched again next time
+      const coveredTo = range.to < today ? range.to : addDays(today, -1);
+      if (coveredTo >= range.from) {
+        covered.push({ from: range.from, to: coveredTo });
+      }
+    } catch (error) {
+      errors.push(`${range.from.toISOString().slice(0, 10)}..${range.to.toISOString().slice(0, 10)}: ${error.message}`);
+    }
+  }
+
+  if (covered.length > 0) {
+    const coverage = await PriceCoverage.findOne({ ticker }) || new PriceCoverage({ ticker, ranges: [] });
+    coverage.ranges = mergeRanges([...coverage.ranges, ...covered]);
+    await coverage.save();
+  }
+
+  return errors;
+};
+
+/**
+ * Daily prices for a ticker and date range
+ * Stored days are served from MongoDB; missing ranges are fetched from the market
+ * data provider first. When the provider fails the stored days are still returned,
+ * with complete false and the reasons in warnings.
+ * @param {string} ticker - Stock ticker
+ * @param {Object} options - { from, to } inclusive dates; to defaults to today, from to a year before it
+ * @returns {Promise<Object>} { ticker, currency, from, to, prices: [{ date, open, high, low, close, volume }], fetched, complete, warnings }
+ */
+const getPriceHistory = async (ticker, { from, to } = {}) => {
+  const symbol = ticker.toUpperCase();
+  const end = startOfDay(to || new Date());
+  const start = startOfDay(from || addDays(end, -365));
+  const today = startOfDay(new Date());
+  const last = end > today ? today : end;
+
+  // Wait for another load of this ticker so the same range is not fetched twice
+  while (inFlight.has(symbol)) {
+    await inFlight.get(symbol).catch(() => {});
+  }
+
+  const load = (async () => {
+    const coverage = await PriceCoverage.findOne({ ticker: symbol });
+    const missing = start <= last ? missingRanges(coverage ? coverage.ranges : [], start, last) : [];
+    const warnings = missing.length > 0 ? await fillRanges(symbol, missing) : [];
+    return { missing, warnings };
+  })();
+  inFlight.set(symbol, load);
+
+  let result;
+  try {
+    result = await load;
+  } finally {
+    inFlight.delete(symbol);
+  }
+
+  const bars = await HistoricalPrice.find({ ticker: symbol, date: { $gte: start, $lte: end } }).sort({ date: 1 });
+
+  return {
+    ticker: symbol,
+    currency: bars.length > 0 ? bars[bars.length - 1].currency : getCurrencyFromTicker(symbol),
+    from: start,
+    to: end,
+    prices: bars.map(({ date, open, high, low, close, volume }) => ({ date, open, high, low, close, volume })),
+    fetched: result.missing.length,
+    complete: result.warnings.length === 0,
+    warnings: result.warnings
+  };
+};
+
+/**
+ * Closing price on a day, or on the last trading day shortly before it
+ * @param {string} ticker - Stock ticker
+ * @param {Date} date - Day wanted
+ * @param {number} lookbackDays - How far back a close may come from
+ * @returns {Promise<{ date: Date, close: number }|null>} null when no close is known
+ */
+const closeOnOrBefore = async (ticker, date, lookbackDays = 5) => {
+  const day = startOfDay(date);
+  const { prices } = await getPriceHistory(ticker, { from: addDays(day, -lookbackDays), to: day });
+  const bar = prices[prices.length - 1];
+  return bar ? { date: bar.date, close: bar.close } : null;
+};
+
+module.exports = {
+  mergeRanges,
+  missingRanges,
+  getPriceHistory,
+  closeOnOrBefore
+};
@@ -0,0 +1,49 @@
+const { mergeRanges, missingRanges } = require('./priceHistory');
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+const days = (ranges) => ranges.map(({ from, to }) => [from.toISOString().slice(0, 10), to.toISOString().slice(0, 10)]);
+
+describe('mergeRanges', () => {
+  test('sorts ranges and joins overlapping and adjacent ones', () => {
+    const merged = mergeRanges([
+      { from: day('2024-03-01'), to: day('2024-03-10') },
+      { from: day('2024-01-01'), to: day('2024-01-31') },
+      { from: day('2024-02-01'), to: day('2024-02-10') },
+      { from: day('2024-03-05'), to: day('2024-03-20') }
+    ]);
+
+    expect(days(merged)).toEqual([['2024-01-01', '2024-02-10'], ['2024-03-01', '2024-03-20']]);
+  });
+
+  test('keeps ranges with a gap between them apart', () => {
+    const merged = mergeRanges([
+      { from: day('2024-01-01'), to: day('2024-01-10') },
+      { from: day('2024-01-12'), to: day('2024-01-20') }
+    ]);
+
+    expect(merged).toHaveLength(2);
+  });
+});
+
+describe('missingRanges', () => {
+  const covered = mergeRanges([
+    { from: day('2024-01-10'), to: day('2024-01-20') },
+    { from: day('2024-02-01'), to: day('2024-02-10') }
+  ]);
+
+  test('returns the gaps before, between and after what is covered', () => {
+    expect(days(missingRanges(covered, day('2024-01-01'), day('2024-02-15')))).toEqual([
+      ['2024-01-01', '2024-01-09'],
+      ['2024-01-21', '2024-01-31'],
+      ['2024-02-11', '2024-02-15']
+    ]);
+  });
+
+  test('returns nothing for a fully covered range', () => {
+    expect(missingRanges(covered, day('2024-01-12'), day('2024-01-18'))).toEqual([]);
+  });
+
+  test('returns the whole range when nothing is covered', () => {
+    expect(days(missingRanges([], day('2024-01-01'), day('2024-01-05')))).toEqual([['2024-01-01', '2024-01-05']]);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Quote Service
+ * Single source of stock prices for every route: a per-ticker cache served
+ * stale-while-revalidate, a circuit breaker around the stock API, and the last
+ * known price (flagged as stale) when no fresh one can be had
+ */
+
+const mongoose = require('mongoose');
+const Quote = require('../models/Quote');
+const { getMarketData } = require('./marketData');
+
+const QUOTE_TTL = parseInt(process.env.QUOTE_TTL_MS, 10) || 60000; // Fresh for a minute
+const QUOTE_MAX_STALE = parseInt(process.env.QUOTE_MAX_STALE_MS, 10) || 900000; // Served while revalidating for 15 minutes
+const BREAKER_THRESHOLD = 3; // Consecutive failures before the breaker opens
+const BREAKER_COOLDOWN = 30000; // Wait before letting a trial request through
+
+// Cache keyed by ticker → { price, currency, asOf, source, fetchedAt }
+const quoteCache = new Map();
+
+// Batch fetches in progress keyed by ticker, so concurrent requests share them
+const inFlight = new Map();
+
+const breaker = { failures: 0, openedAt: null, trial: false };
+
+// Helper to tell whether the breaker lets a request through (one trial once cooled down)
+const breakerAllows = () => {
+  if (breaker.openedAt === null) return true;
+  if (breaker.trial || Date.now() - breaker.openedAt < BREAKER_COOLDOWN) return false;
+  breaker.trial = true;
+  return true;
+};
+
+const recordSuccess = () => {
+  breaker.failures = 0;
+  breaker.openedAt = null;
+  breaker.trial = false;
+};
+
+const recordFailure = () => {
+  breaker.failures += 1;
+  breaker.trial = false;
+  if (breaker.failures >= BREAKER_THRESHOLD) {
+    if (breaker.openedAt === null) {
+      console.warn(`[QUOTES] Stock API failed ${breaker.failures} times in a row; pausing requests for ${BREAKER_COOLDOWN / 1000}s`);
+    }
+    breaker.openedAt = Date.now();
+  }
+};
+
+// Every price fetched becomes the ticker's last known price
+const recordLastKnown = (quotes) => {
+  if (mongoose.connection.readyState !== 1 || quotes.length === 0) return;
+
+  Quote.bulkWrite(quotes.map(({ ticker, price, currency, asOf, source }) => ({
+    updateOne: {
+      filter: { ticker },
+      update: { $set: { price, currency, asOf, source } },
+      upsert: true
+    }
+  }))).catch(error => console.warn('[WARN] Could not record last known prices:', error.message));
+};
+
+/**
+ * Fetch prices from the market data provider, bypassing the cache
+ * @param {Array<string>} tickers - Stock tickers
+ * @returns {Promise<Map>} ticker → { price, currency, asOf, source } for the tickers that returned a price
+ */
+const fetchQuotes = async (tickers) => {
+  if (!breakerAllows()) {
+    throw new Error('Stock API circuit is open');
+  }
+
+  const provider = getMarketData();
+  let data;
+  try {
+    data = await provider.getPrices(tickers) || {};
+    recordSuccess();
+  } catch (error) {
+    recordFailure();
+    throw error;
+  }
+
+  const now = Date.now();
+  const fetched = new Map();
+  for (const ticker of tickers) {
+    const price = parseFloat(data[ticker] && data[ticker].price);
+    if (price > 0) {
+      const quote = { ticker, price, currency: data[ticker].currency, asOf: new Date(now), source: data[ticker].source || provider.name };
+      fetched.set(ticker, quote);
+      quoteCache.set(ticker, { ...quote, fetchedAt: now });
+    }
+  }
+
+  recordLastKnown([...fetched.values()]);
+  return fetched;
+};
+
+// Helper to fetch tickers once across concurrent callers
+const fetchShared = (tickers) => {
+  const missing = tickers.filter(ticker => !inFlight.has(ticker));
+  if (missing.length > 0) {
+    const request = fetchQuotes(missing).finally(() => missing.forEach(ticker => inFlight.delete(ticker)));
+    // Revalidations run unawaited; their failures are already counted by the breaker
+    request.catch(() => {});
+    missing.forEach(ticker => inFlight.set(ticker, request));
+  }
+
+  return Promise.all(tickers.map(ticker => inFlight.get(ticker).then(
+    fetched => fetched.get(ticker) || null,
+    () => null
+  )));
+};
+
+// Helper to shape a cached or stored price as a quote
+const toQuote = (ticker, entry, source, stale) => ({
+  ticker,
+  price: entry.price,
+  currency: entry.currency || null,
+  asOf: entry.asOf,
+  source,
+  stale
+});
+
+/**
+ * Get quotes for many tickers
+ * A cached price younger than the TTL is served as is. An older one, up to the
+ * stale limit, is served while it is refreshed in the background. Anything else
+ * is fetched now; when that fails the last known price is served, flagged as stale.
+ * @param {Array<string>} tickers - Stock tickers
+ * @param {Object} options - { refresh } to skip the cache
+ * @returns {Promise<Object>} ticker → { ticker, price, currency, asOf, source, stale };
+ *   price is null and source 'unavailable' when no price has ever been known
+ */
+const getQuotes = async (tickers, { refresh = false } = {}) => {
+  const wanted = [...new Set((tickers || []).map(ticker => ticker.toUpperCase()))];
+  const now = Date.now();
+  const quotes = {};
+  const revalidate = [];
+  const fetchNow = [];
+
+  for (const ticker of wanted) {
+    const cached = quoteCache.get(ticker);
+    const age = cached ? now - cached.fetchedAt : Infinity;
+
+    if (!refresh && age < QUOTE_TTL) {
+      quotes[ticker] = toQuote(ticker, cached, 'cache', false);
+    } else if (!refresh && age < QUOTE_MAX_STALE) {
+      quotes[ticker] = toQuote(ticker, cached, 'cache', true);
+      revalidate.push(ticker);
+    } else {
+      fetchNow.push(ticker);
+    }
+  }
+
+  if (revalidate.length > 0) {
+    fetchShared(revalidate);
+  }
+
+  if (fetchNow.length > 0) {
+    const fetched = await fetchShared(fetchNow);
+    const missing = [];
+    fetchNow.forEach((ticker, i) => {
+      if (fetched[i]) {
+        quotes[ticker] = toQuote(ticker, fetched[i], 'live', false);
+      } else {
+        missing.push(ticker);
+      }
+    });
+
+    if (missing.length > 0) {
+      const stored = mongoose.connection.readyState === 1
+        ? await Quote.find({ ticker: { $in: missing } }).catch(() => [])
+        : [];
+
+      for (const ticker of missing) {
+        const cached = quoteCache.get(ticker);
+        const last = stored.find(quote => quote.ticker === ticker);
+        const known = [cached, last].filter(Boolean).sort((a, b) => new Date(b.asOf) - new Date(a.asOf))[0];
+
+        quotes[ticker] = known
+          ? toQuote(ticker, known, 'last-known', true)
+          : { ticker, price: null, currency: null, asOf: null, source: 'unavailable', stale: true };
+      }
+    }
+  }
+
+  return quotes;
+};
+
+/**
+ * Get the quote for one ticker (see getQuotes)
+ * @param {string} ticker - Stock ticker
+ * @param {Object} options - { refresh } to skip the cache
+ * @returns {Promise<Object>} { ticker, price, currency, asOf, source, stale }
+ */
+const getQuote = async (ticker, options = {}) => {
+  const quotes = await getQuotes([ticker], options);
+  return quotes[ticker.toUpperCase()];
+};
+
+/**
+ * Whether a quote is a fallback (a last known price, or no price) rather than a current one
+ * Cached prices served while they are refreshed in the background count as current.
+ * @param {Object} quote - Quote from getQuotes
+ * @returns {boolean}
+ */
+const isFallbackQuote = (quote) => !quote || quote.source === 'last-known' || quote.source === 'unavailable';
+
+/**
+ * Current state of the quote service, for health checks
+ * @returns {Object} { provider, cached, breaker: { state, failures, openedAt } }
+ */
+const getQuoteStatus = () => ({
+  provider: getMarketData().name,
+  cached: quoteCache.size,
+  breaker: {
+    state: breaker.openedAt === null ? 'closed' : (Date.now() - breaker.openedAt < BREAKER_COOLDOWN ? 'open' : 'half-open'),
+    failures: breaker.failures,
+    openedAt: breaker.openedAt ? new Date(breaker.openedAt) : null
+  }
+});
+
+/**
+ * Drop every cached quote (stored last known prices are kept)
+ */
+const clearQuoteCache = () => {
+  quoteCache.clear();
+};
+
+module.exports = {
+  getQuotes,
+  getQuote,
+  isFallbackQuote,
+  getQuoteStatus,
+  clearQuoteCache
+};
@@ -0,0 +1,110 @@
+/**
+ * Sale Booking Utility
+ * Books a sale that has been matched against open lots; shared by the portfolio
+ * sell routes and the CSV importer
+ */
+
+const Portfolio = require('../models/Portfolio');
+const Transaction = require('../models/Transaction');
+const Cash = require('../models/Cash');
+const { getHistoricalRate, splitFxGain } = require('./currencyConverter');
+const { getCurrencyFromTicker } = require('./valuation');
+const { rebuildHoldings } = require('./holdings');
+
+/**
+ * Book a matched sale: credits the proceeds to cash in the stock's currency,
+ * writes the SELL transaction with its realized gain and rebuilds the lots from the ledger
+ * @param {string} userId - Owner of the holdings
+ * @param {Object} match - Result of matchLots
+ * @param {Object} sale - { ticker, sellPrice, commission, sellDate, costMethod, notes,
+ *   currency (the matched lots' currency when omitted), creditCash (default true), importKey }
+ * @returns {Promise<Object>} The SELL transaction with proceeds, shares left and realized gains
+ */
+const recordSale = async (userId, match, {
+  ticker,
+  sellPrice,
+  commission,
+  sellDate,
+  costMethod,
+  notes,
+  currency,
+  creditCash = true,
+  importKey
+}) => {
+  const lotCurrency = match.allocations.length > 0 ? match.allocations[0].lot.currency : null;
+  const stockCurrency = currency || lotCurrency || getCurrencyFromTicker(ticker);
+  const proceedsNative = match.shares * sellPrice - commission;
+  const realizedGain = proceedsNative - match.costBasis;
+
+  // Proceeds at the sale-date rate, cost basis at each lot's purchase-date rate
+  const sellRate = await getHistoricalRate(stockCurrency, sellDate);
+  const proceedsDKK = parseFloat((proceedsNative * sellRate.rate).toFixed(2));
+  const costBasisDKK = match.costBasisDKK !== null ? match.costBasisDKK : match.costBasis * sellRate.rate;
+  const realizedGainDKK = proceedsDKK - costBasisDKK;
+  const { priceEffect, currencyEffect } = splitFxGain(proceedsNative, match.costBasis, costBasisDKK, sellRate.rate);
+
+  if (creditCash) {
+    const cashTransaction = new Cash({
+      user: userId,
+      amount: parseFloat(proceedsNative.toFixed(2)),
+      currency: stockCurrency,
+      type: 'SALE',
+      description: `Sale of ${parseFloat(match.shares.toFixed(4))} shares of ${ticker} @ ${sellPrice.toFixed(2)} ${stockCurrency}`,
+      date: sellDate,
+      importKey
+    });
+    await cashTransaction.save();
+  }
+
+  const transaction = new Transaction({
+    user: userId,
+    ticker,
+    type: 'SELL',
+    shares: match.shares,
+    price: sellPrice,
+    currency: stockCurrency,
+    commission,
+    transactionDate: sellDate,
+    fxRate: sellRate.rate,
+    fxRateEstimated: sellRate.stale,
+    costMethod,
+    costBasis: parseFloat(match.costBasis.toFixed(2)),
+    costBasisDKK: parseFloat(costBasisDKK.toFixed(2)),
+    realizedGain: parseFloat(realizedGain.toFixed(2)),
+    realizedGainDKK: parseFloat(realizedGainDKK.toFixed(2)),
+    priceEffectDKK: priceEffect,
+    currencyEffectDKK: currencyEffect,
+    matchedLots: match.allocations.map(({ lot, shares, costBasis }) => ({
+      lot: lot._id,
+      transaction: lot.sourceTransaction,
+      shares,
+      buyPrice: lot.buyPrice,
+      buyDate: lot.buyDate,
+      costBasis: parseFloat(costBasis.toFixed(2))
+    })),
+    notes,
+    importKey
+  });
+  await transaction.save();
+  await rebuildHoldings(userId, [ticker]);
+
+  const remainingLots = await Portfolio.find({ user: userId, ticker });
+  const sharesRemaining = remainingLots.reduce((sum, lot) => sum + lot.shares, 0);
+
+  return {
+    transaction,
+    proceedsNative: parseFloat(proceedsNative.toFixed(2)),
+    proceedsDKK,
+    sharesSold: match.shares,
+    sharesRemaining: parseFloat(sharesRemaining.toFixed(4)),
+    realizedGain: transaction.realizedGain,
+    realizedGainDKK: transaction.realizedGainDKK,
+    priceEffectDKK: priceEffect,
+    currencyEffectDKK: currencyEffect,
+    nativeCurrency: stockCurrency
+  };
+};
+
+module.exports = {
+  recordSale
+};
@@ -0,0 +1,247 @@
+/**
+ * Portfolio Snapshot Utility
+ * Records each user's portfolio value once a day (or on demand) and reads the
+ * stored series back at daily, weekly or monthly granularity
+ */
+
+const Portfolio = require('../models/Portfolio');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const User = require('../models/User');
+const { getRateTable, BASE_CURRENCY } = require('./currencyConverter');
+const { enrichPortfolioWithPrices, priceBenchmarks } = require('./valuation');
+const { isFallbackQuote } = require('./quotes');
+const { getBalances, consolidate } = require('./cash');
+
+const CHECK_INTERVAL = 60 * 60 * 1000; // Look for missing daily snapshots every hour
+const INTERVALS = ['daily', 'weekly', 'monthly'];
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// Start of the UTC day
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Start of the period a day falls in; weeks start on Monday
+const periodStart = (date, interval) => {
+  const day = startOfDay(date);
+  if (interval === 'weekly') {
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  } else if (interval === 'monthly') {
+    day.setUTCDate(1);
+  }
+  return day;
+};
+
+/**
+ * Value a user's portfolio and cash now, without storing anything
+ * @param {string} userId - Owner of the portfolio
+ * @param {Object} fx - Rate table from getRateTable; values are in its base currency
+ * @param {Array} benchmarks - [{ ticker, currency }] to price alongside the portfolio
+ * @returns {Promise<Object>} Snapshot fields (currency, totalValue, totalCost, cash, holdings, benchmarks, fxRates, stale)
+ */
+const valuePortfolio = async (userId, fx, benchmarks = []) => {
+  const lots = await Portfolio.find({ user: userId });
+  const enriched = lots.length > 0 ? await enrichPortfolioWithPrices(lots, fx) : [];
+  const cash = consolidate(await getBalances(userId), fx);
+
+  // One entry per ticker; lots of the same stock are summed
+  const byTicker = {};
+  enriched.forEach(lot => {
+    const holding = byTicker[lot.ticker] || (byTicker[lot.ticker] = {
+      ticker: lot.ticker,
+      shares: 0,
+      currency: lot.nativeCurrency,
+      price: lot.priceNative,
+      value: 0,
+      cost: 0
+    });
+    holding.shares += lot.shares;
+    holding.value += lot.value;
+    holding.cost += lot.cost;
+  });
+
+  const holdings = Object.values(byTicker).map(holding => ({
+    ...holding,
+    shares: parseFloat(holding.shares.toFixed(4)),
+    value: round2(holding.value),
+    cost: round2(holding.cost)
+  }));
+
+  return {
+    currency: fx.base,
+    totalValue: round2(holdings.reduce((sum, h) => sum + h.value, 0)),
+    totalCost: round2(holdings.reduce((sum, h) => sum + h.cost, 0)),
+    cash,
+    holdings,
+    benchmarks: await priceBenchmarks(benchmarks),
+    fxRates: Object.fromEntries(Object.keys(fx.rates).map(currency => [currency, fx.rateOf(currency)])),
+    stale: fx.status().stale || enriched.some(lot => isFallbackQuote(lot.quote))
+  };
+};
+
+/**
+ * Value a user's portfolio now and store it as today's snapshot
+ * Taking a snapshot twice on the same day replaces the earlier one.
+ * @param {string} userId - Owner of the portfolio
+ * @param {Object} options - { source: 'SCHEDULED'|'MANUAL', fx: rate table to reuse }
+ * @returns {Promise<Object>} The stored snapshot
+ */
+const takeSnapshot = async (userId, { source = 'SCHEDULED', fx = null } = {}) => {
+  const user = await User.findById(userId).select('baseCurrency benchmarks');
+  if (!fx) {
+    fx = await getRateTable(undefined, (user && user.baseCurrency) || BASE_CURRENCY);
+  }
+
+  const snapshot = await valuePortfolio(userId, fx, user ? user.benchmarks : []);
+
+  return PortfolioSnapshot.findOneAndUpdate(
+    { user: userId, date: startOfDay() },
+    { $set: { ...snapshot, source } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Take today's snapshot for every user that does not have one yet
+ * @returns {Promise<Object>} { taken, skipped, failed }
+ */
+const takeDailySnapshots = async () => {
+  const today = startOfDay();
+  const [users, done] = await Promise.all([
+    User.find().select('_id baseCurrency'),
+    PortfolioSnapshot.find({ date: today }).distinct('user')
+  ]);
+
+  const doneIds = new Set(done.map(String));
+  const result = { taken: 0, skipped: 0, failed: 0 };
+
+  // One rate table per base currency keeps the run's conversions consistent
+  const tables = {};
+  for (const user of users) {
+    if (doneIds.has(String(user._id))) {
+      result.skipped += 1;
+      continue;
+    }
+
+    try {
+      const base = user.baseCurrency || BASE_CURRENCY;
+      tables[base] = tables[base] || await getRateTable(undefined, base);
+      await takeSnapshot(user._id, { fx: tables[base] });
+      result.taken += 1;
+    } catch (error) {
+      console.error(`[SNAPSHOT] Failed for user ${user._id}:`, error.message);
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Read the value series for a date range
+ * Snapshots taken in another base currency are restated with the rates stored on them.
+ * @param {string} userId - Owner of the portfolio
+ * @param {Object} options - { from, to, interval: 'daily'|'weekly'|'monthly', fx: rate table for the target currency }
+ * @returns {Promise<Array>} One point per period, the last snapshot in each
+ * @throws {Error} status 400 for an unknown interval or an invalid date
+ */
+const getHistory = async (userId, { from, to, interval = 'daily', fx }) => {
+  if (!INTERVALS.includes(interval)) {
+    const error = new Error(`Interval must be one of: ${INTERVALS.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  if ([from, to].some(date => date && (Array.isArray(date) || isNaN(new Date(date))))) {
+    const error = new Error('from and to must be valid dates');
+    error.status = 400;
+    throw error;
+  }
+
+  const filter = { user: userId };
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = startOfDay(from);
+    if (to) filter.date.$lte = new Date(to);
+  }
+
+  const snapshots = await PortfolioSnapshot.find(filter).sort({ date: 1 });
+
+  // Later snapshots overwrite earlier ones in the same period
+  const periods = new Map();
+  snapshots.forEach(snapshot => {
+    periods.set(periodStart(snapshot.date, interval).getTime(), snapshot);
+  });
+
+  return [...periods.entries()].map(([start, snapshot]) => {
+    const rateOf = (currency) => {
+      if (currency === BASE_CURRENCY) return 1;
+      return (snapshot.fxRates && snapshot.fxRates.get(currency)) || fx.rateOf(currency);
+    };
+    const factor = snapshot.currency === fx.base ? 1 : rateOf(snapshot.currency) / rateOf(fx.base);
+    const value = snapshot.totalValue * factor;
+    const cost = snapshot.totalCost * factor;
+    const cash = snapshot.cash * factor;
+
+    const point = {
+      period: new Date(start),
+      date: snapshot.date,
+      value: round2(value),
+      cost: round2(cost),
+      gain: round2(value - cost),
+      cash: round2(cash),
+      total: round2(value + cash),
+      stale: snapshot.stale
+    };
+
+    // Benchmark prices restated in the target currency
+    if (snapshot.benchmarks && snapshot.benchmarks.length > 0) {
+      point.benchmarks = Object.fromEntries(snapshot.benchmarks.map(benchmark => [
+        benchmark.ticker,
+        benchmark.price * rateOf(benchmark.currency) / rateOf(fx.base)
+      ]));
+    }
+
+    return point;
+  });
+};
+
+/**
+ * Take missing daily snapshots now and then every hour
+ * @returns {Object} The interval timer
+ */
+const startSnapshotScheduler = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { taken, skipped, failed } = await takeDailySnapshots();
+      if (taken > 0 || failed > 0) {
+        console.log(`[SNAPSHOT] Daily snapshots: ${taken} taken, ${skipped} already done, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('[SNAPSHOT] Scheduled run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startOfDay,
+  valuePortfolio,
+  takeSnapshot,
+  takeDailySnapshots,
+  getHistory,
+  startSnapshotScheduler,
+  INTERVALS
+};
@@ -0,0 +1,295 @@
+/**
+ * Danish Tax Utility
+ * Builds the yearly share income (aktieindkomst) figures for the Danish return:
+ * realized gains under the average-cost method (gennemsnitsmetoden), dividends
+ * with withholding tax, and the split into the 27% and 42% brackets
+ */
+
+const Transaction = require('../models/Transaction');
+const Dividend = require('../models/Dividend');
+const { getHistoricalRate } = require('./currencyConverter');
+const { SHARE_EPSILON } = require('./lotMatching');
+const { dividendAmounts, creditableAmount, DOMESTIC_COUNTRY } = require('./withholding');
+
+const LOWER_RATE = 0.27;
+const UPPER_RATE = 0.42;
+
+// Share income up to this amount is taxed at the lower rate (per person; doubled for married couples)
+const PROGRESSION_LIMITS = {
+  2018: 52900,
+  2019: 54000,
+  2020: 55300,
+  2021: 56500,
+  2022: 57200,
+  2023: 58900,
+  2024: 61000,
+  2025: 67500,
+  2026: 79400
+};
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+const byTransactionDate = (a, b) => {
+  return new Date(a.transactionDate) - new Date(b.transactionDate) || new Date(a.createdAt) - new Date(b.createdAt);
+};
+
+/**
+ * Look up the bracket limit for a year
+ * Years after the last known limit use that limit and are flagged as estimated.
+ * @param {number} year - Income year
+ * @param {boolean} married - Married couples share a doubled limit
+ * @returns {{ limit: number, estimated: boolean }}
+ */
+const progressionLimit = (year, married = false) => {
+  const years = Object.keys(PROGRESSION_LIMITS).map(Number).sort((a, b) => a - b);
+  const known = PROGRESSION_LIMITS[year];
+  const fallbackYear = year > years[years.length - 1] ? years[years.length - 1] : years[0];
+  const limit = known || PROGRESSION_LIMITS[fallbackYear];
+
+  return { limit: married ? limit * 2 : limit, estimated: !known };
+};
+
+/**
+ * Split share income into the 27% and 42% brackets
+ * @param {number} income - Net share income in DKK
+ * @param {number} limit - Bracket limit in DKK
+ * @returns {Array} [{ rate, from, to, income, tax }]
+ */
+const splitBrackets = (income, limit) => {
+  const taxable = Math.max(income, 0);
+  const lower = Math.min(taxable, limit);
+  const upper = Math.max(taxable - limit, 0);
+
+  return [
+    { rate: LOWER_RATE * 100, from: 0, to: limit, income: round2(lower), tax: round2(lower * LOWER_RATE) },
+    { rate: UPPER_RATE * 100, from: limit, to: null, income: round2(upper), tax: round2(upper * UPPER_RATE) }
+  ];
+};
+
+// Helper to find the DKK rate for a trade, preferring the rate stored when it was booked
+const tradeRate = async (tx) => {
+  if (tx.fxRate) return { rate: tx.fxRate, estimated: Boolean(tx.fxRateEstimated) };
+  const historical = await getHistoricalRate(tx.currency, tx.transactionDate);
+  return { rate: historical.rate, estimated: historical.stale };
+};
+
+/**
+ * Realized gains under the average-cost method
+ * Every purchase of a share goes into one pool at its DKK cost on the trade date
+ * (price plus commission). A sale takes the pool's average cost per share, whatever
+ * cost method was used to book it, and its proceeds are converted at the sale date.
+ * @param {Array} transactions - All of the user's transactions
+ * @param {number} year - Income year
+ * @returns {Promise<Object>} { sales, tickers } with the trade-by-trade pool for each ticker sold in the year
+ */
+const averageCostGains = async (transactions, year) => {
+  const yearEnd = new Date(Date.UTC(year + 1, 0, 1));
+  const pools = {};
+  const sales = [];
+
+  for (const tx of [...transactions].sort(byTransactionDate)) {
+    const date = new Date(tx.transactionDate);
+    if (date >= yearEnd) continue;
+
+    const pool = pools[tx.ticker] || (pools[tx.ticker] = { shares: 0, costDKK: 0, trades: [], soldInYear: false });
+    const { rate, estimated } = await tradeRate(tx);
+    const commission = tx.commission || 0;
+    const line = {
+      transactionId: tx._id,
+      date: tx.transactionDate,
+      type: tx.type,
+      shares: tx.shares,
+      price: tx.price,
+      commission,
+      currency: tx.currency,
+      fxRate: rate,
+      fxRateEstimated: estimated
+    };
+
+    if (tx.type === 'BUY') {
+      const costDKK = (tx.shares * tx.price + commission) * rate;
+      pool.shares += tx.shares;
+      pool.costDKK += costDKK;
+      line.amountDKK = round2(costDKK);
+    } else {
+      const matched = Math.min(tx.shares, pool.shares);
+      const averageCostDKK = pool.shares > SHARE_EPSILON ? pool.costDKK / pool.shares : 0;
+      const costBasisDKK = matched * averageCostDKK;
+      const proceedsDKK = (tx.shares * tx.price - commission) * rate;
+
+      pool.costDKK -= costBasisDKK;
+      pool.shares -= matched;
+      if (pool.shares <= SHARE_EPSILON) {
+        pool.shares = 0;
+        pool.costDKK = 0;
+      }
+
+      Object.assign(line, {
+        amountDKK: round2(proceedsDKK),
+        averageCostDKK: round2(averageCostDKK),
+        costBasisDKK: round2(costBasisDKK),
+        gainDKK: round2(proceedsDKK - costBasisDKK),
+        // Shares sold beyond the recorded purchases have no cost basis
+        unmatchedShares: tx.shares - matched > SHARE_EPSILON ? tx.shares - matched : 0
+      });
+
+      if (date.getUTCFullYear() === year) {
+        pool.soldInYear = true;
+        sales.push({ ticker: tx.ticker, ...line });
+      }
+    }
+
+    line.poolShares = pool.shares;
+    line.poolCostDKK = round2(pool.costDKK);
+    pool.trades.push(line);
+  }
+
+  const tickers = Object.entries(pools)
+    .filter(([, pool]) => pool.soldInYear)
+    .map(([ticker, pool]) => {
+      const tickerSales = sales.filter(sale => sale.ticker === ticker);
+      return {
+        ticker,
+        gainDKK: round2(tickerSales.reduce((sum, sale) => sum + sale.gainDKK, 0)),
+        salesCount: tickerSales.length,
+        trades: pool.trades
+      };
+    })
+    .sort((a, b) => a.ticker.localeCompare(b.ticker));
+
+  return { sales, tickers };
+};
+
+/**
+ * Dividends paid out in the year, in DKK at the payment date
+ * Danish withholding is credited in full; foreign withholding up to the treaty rate.
+ * @param {Array} dividends - RECEIVED dividends paid in the year
+ * @returns {Promise<Array>} One line per payout
+ */
+const dividendLines = async (dividends) => {
+  const lines = [];
+
+  for (const dividend of dividends) {
+    const { rate, stale } = await getHistoricalRate(dividend.currency, dividend.paymentDate);
+    const amounts = dividendAmounts(dividend);
+
+    lines.push({
+      dividendId: dividend._id,
+      ticker: dividend.ticker,
+      paymentDate: dividend.paymentDate,
+      shares: dividend.shares,
+      amountPerShare: dividend.amountPerShare,
+      currency: dividend.currency,
+      country: amounts.country,
+      gross: amounts.grossAmount,
+      withholdingTax: amounts.withholdingTax,
+      withholdingEstimated: amounts.estimated,
+      net: amounts.netAmount,
+      payout: dividend.payout || 'CASH',
+      reinvestedShares: dividend.reinvestedShares,
+      fxRate: rate,
+      fxRateEstimated: stale,
+      domestic: amounts.country === DOMESTIC_COUNTRY,
+      grossDKK: round2(amounts.grossAmount * rate),
+      withheldDKK: round2(amounts.withholdingTax * rate),
+      creditableDKK: round2(creditableAmount(amounts) * rate)
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Build the annual share income report
+ * @param {string} userId - Owner of the data
+ * @param {number} year - Income year
+ * @param {Object} options - { married, carriedLoss } where carriedLoss is an unused loss on listed shares from earlier years
+ * @returns {Promise<Object>} Totals, bracket split, withholding credit and the audit lines behind every figure
+ */
+const buildTaxReport = async (userId, year, { married = false, carriedLoss = 0 } = {}) => {
+  const yearStart = new Date(Date.UTC(year, 0, 1));
+  const yearEnd = new Date(Date.UTC(year + 1, 0, 1));
+
+  const [transactions, dividends] = await Promise.all([
+    Transaction.find({ user: userId, transactionDate: { $lt: yearEnd } }),
+    Dividend.find({ user: userId, status: 'RECEIVED', paymentDate: { $gte: yearStart, $lt: yearEnd } }).sort({ paymentDate: 1 })
+  ]);
+
+  const { sales, tickers } = await averageCostGains(transactions, year);
+  const payouts = await dividendLines(dividends);
+
+  const gainsDKK = sales.filter(sale => sale.gainDKK > 0).reduce((sum, sale) => sum + sale.gainDKK, 0);
+  const lossesDKK = sales.filter(sale => sale.gainDKK < 0).reduce((sum, sale) => sum + sale.gainDKK, 0);
+  const dividendsDKK = payouts.reduce((sum, line) => sum + line.grossDKK, 0);
+  const withheldDKK = payouts.reduce((sum, line) => sum + line.withheldDKK, 0);
+  const creditableDKK = payouts.reduce((sum, line) => sum + line.creditableDKK, 0);
+
+  // Losses on listed shares only offset share income; what is left carries forward
+  const incomeBeforeLoss = gainsDKK + lossesDKK + dividendsDKK;
+  const lossUsed = Math.min(Math.max(carriedLoss, 0), Math.max(incomeBeforeLoss, 0));
+  const netIncome = incomeBeforeLoss - lossUsed;
+  const lossCarriedForward = Math.max(carriedLoss, 0) - lossUsed + Math.max(-netIncome, 0);
+
+  const { limit, estimated } = progressionLimit(year, married);
+  const brackets = splitBrackets(netIncome, limit);
+  const taxDKK = brackets.reduce((sum, bracket) => sum + bracket.tax, 0);
+
+  const warnings = [];
+  if (estimated) {
+    warnings.push(`No bracket limit on record for ${year}; the ${limit} DKK limit used is an estimate`);
+  }
+  sales.filter(sale => sale.unmatchedShares > 0).forEach(sale => {
+    warnings.push(`${sale.ticker} sale on ${new Date(sale.date).toISOString().slice(0, 10)} sold ${sale.unmatchedShares} more shares than were bought; they have no cost basis`);
+  });
+  if (payouts.some(line => line.withholdingEstimated)) {
+    warnings.push('Some dividends have no withholding tax recorded; the default rate for their country was assumed');
+  }
+  if ([...sales, ...payouts].some(line => line.fxRateEstimated)) {
+    warnings.push('Some amounts were converted with an estimated exchange rate');
+  }
+
+  return {
+    year,
+    currency: 'DKK',
+    married,
+    method: 'AVERAGE',
+    realized: {
+      gainsDKK: round2(gainsDKK),
+      lossesDKK: round2(lossesDKK),
+      netDKK: round2(gainsDKK + lossesDKK),
+      salesCount: sales.length,
+      byTicker: tickers.map(({ ticker, gainDKK, salesCount }) => ({ ticker, gainDKK, salesCount }))
+    },
+    dividends: {
+      grossDKK: round2(dividendsDKK),
+      withheldDKK: round2(withheldDKK),
+      creditableDKK: round2(creditableDKK),
+      count: payouts.length
+    },
+    aktieindkomst: {
+      incomeDKK: round2(incomeBeforeLoss),
+      carriedLossUsedDKK: round2(lossUsed),
+      netDKK: round2(netIncome),
+      progressionLimit: limit,
+      progressionLimitEstimated: estimated,
+      brackets,
+      taxDKK: round2(taxDKK),
+      withholdingCreditDKK: round2(Math.min(creditableDKK, taxDKK)),
+      taxAfterCreditDKK: round2(Math.max(taxDKK - creditableDKK, 0)),
+      lossCarriedForwardDKK: round2(lossCarriedForward)
+    },
+    audit: {
+      sales,
+      trades: tickers.map(({ ticker, trades }) => ({ ticker, trades })),
+      dividends: payouts
+    },
+    warnings
+  };
+};
+
+module.exports = {
+  buildTaxReport,
+  progressionLimit,
+  splitBrackets,
+  PROGRESSION_LIMITS
+};
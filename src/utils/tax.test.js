@@ -0,0 +1,85 @@
+const Transaction = require('../models/Transaction');
+const Dividend = require('../models/Dividend');
+const { buildTaxReport, progressionLimit, splitBrackets } = require('./tax');
+
+describe('splitBrackets', () => {
+  test('taxes income up to the limit at 27% and the rest at 42%', () => {
+    const [lower, upper] = splitBrackets(100000, 61000);
+
+    expect(lower).toEqual({ rate: 27, from: 0, to: 61000, income: 61000, tax: 16470 });
+    expect(upper).toEqual({ rate: 42, from: 61000, to: null, income: 39000, tax: 16380 });
+  });
+
+  test('a net loss is not taxed', () => {
+    expect(splitBrackets(-5000, 61000).map(bracket => bracket.tax)).toEqual([0, 0]);
+  });
+});
+
+describe('progressionLimit', () => {
+  test('married couples share a doubled limit', () => {
+    expect(progressionLimit(2024)).toEqual({ limit: 61000, estimated: false });
+    expect(progressionLimit(2024, true)).toEqual({ limit: 122000, estimated: false });
+  });
+
+  test('years past the last known limit reuse it and are flagged', () => {
+    expect(progressionLimit(2099)).toEqual({ limit: progressionLimit(2026).limit, estimated: true });
+  });
+});
+
+describe('buildTaxReport', () => {
+  const trade = (type, date, shares, price, fxRate) => ({
+    _id: `${type}-${date}`,
+    ticker: 'AAPL',
+    type,
+    shares,
+    price,
+    currency: 'USD',
+    commission: 0,
+    transactionDate: new Date(date),
+    createdAt: new Date(date),
+    fxRate
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('realizes gains at the average DKK cost and splits the income into brackets', async () => {
+    jest.spyOn(Transaction, 'find').mockResolvedValue([
+      trade('BUY', '2023-01-10', 10, 100, 7),
+      trade('BUY', '2023-06-10', 10, 200, 6.5),
+      trade('SELL', '2024-05-10', 10, 300, 6.8)
+    ]);
+    jest.spyOn(Dividend, 'find').mockReturnValue({
+      sort: () => Promise.resolve([
+        { _id: 'd1', ticker: 'DANSKE.CO', currency: 'DKK', paymentDate: new Date('2024-03-20'), grossAmount: 1000, withholdingTax: 270 }
+      ])
+    });
+
+    const report = await buildTaxReport('user', 2024);
+    const averageCostDKK = (10 * 100 * 7 + 10 * 200 * 6.5) / 20;
+    const gainDKK = 10 * 300 * 6.8 - 10 * averageCostDKK;
+
+    expect(report.realized.salesCount).toBe(1);
+    expect(report.realized.netDKK).toBeCloseTo(gainDKK, 2);
+    expect(report.dividends).toEqual({ grossDKK: 1000, withheldDKK: 270, creditableDKK: 270, count: 1 });
+    expect(report.aktieindkomst.netDKK).toBeCloseTo(gainDKK + 1000, 2);
+    expect(report.aktieindkomst.brackets.map(bracket => bracket.income)).toEqual([11400, 0]);
+    expect(report.aktieindkomst.taxDKK).toBe(3078);
+    expect(report.aktieindkomst.withholdingCreditDKK).toBe(270);
+    expect(report.warnings).toEqual([]);
+  });
+
+  test('uses a carried loss before the brackets and carries a net loss forward', async () => {
+    jest.spyOn(Transaction, 'find').mockResolvedValue([
+      trade('BUY', '2024-01-10', 10, 100, 7),
+      trade('SELL', '2024-02-10', 10, 90, 7)
+    ]);
+    jest.spyOn(Dividend, 'find').mockReturnValue({ sort: () => Promise.resolve([]) });
+
+    const report = await buildTaxReport('user', 2024, { carriedLoss: 500 });
+
+    expect(report.realized.lossesDKK).toBe(-700);
+    expect(report.aktieindkomst.carriedLossUsedDKK).toBe(0);
+    expect(report.aktieindkomst.taxDKK).toBe(0);
+    expect(report.aktieindkomst.lossCarriedForwardDKK).toBe(1200);
+  });
+});
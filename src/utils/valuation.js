@@ -0,0 +1,162 @@
+/**
+ * Portfolio Valuation Utility
+ * Values Portfolio lots at current prices in a reporting currency; shared by
+ * the portfolio routes and the daily snapshots
+ */
+
+const { getHistoricalRate, splitFxGain, SUPPORTED_CURRENCIES } = require('./currencyConverter');
+const { getQuotes } = require('./quotes');
+
+/**
+ * Determine a stock's trading currency from its exchange suffix
+ * @param {string} ticker - Stock ticker, e.g. 'NOVO-B.CO'
+ * @returns {string} Currency code
+ */
+const getCurrencyFromTicker = (ticker) => {
+  if (ticker.includes('.CO')) return 'DKK';   // Copenhagen
+  if (ticker.includes('.ST')) return 'SEK';   // Stockholm
+  if (ticker.includes('.OL')) return 'NOK';   // Oslo
+  if (ticker.includes('.HE')) return 'EUR';   // Helsinki
+  if (ticker.includes('.SW')) return 'CHF';   // Swiss
+  return 'USD'; // Default to USD (T, KO, MSFT, etc.)
+};
+
+/**
+ * Value one lot in the rate table's base currency
+ * Cost is valued at the lot's purchase-date rate, so the gain splits into
+ * the price move and the currency move since purchase
+ * @param {Object} stock - Portfolio document
+ * @param {number} priceNative - Current price in the stock's currency
+ * @param {Object} fx - Rate table from getRateTable
+ * @param {number} baseRateOnBuyDate - DKK per unit of the base currency on the buy date
+ * @param {Object} quote - { price, asOf, source, stale } from the quote service; a null price values the lot at cost
+ * @returns {Object} The lot with native, base-currency, FX and quote fields
+ */
+const valueHolding = (stock, priceNative, fx, baseRateOnBuyDate, quote = { price: priceNative, asOf: null, source: 'live', stale: false }) => {
+  const priceAvailable = quote.price > 0;
+  // The lot records the currency it was bought in; the suffix only covers legacy lots without one
+  const stockCurrency = stock.currency || getCurrencyFromTicker(stock.ticker);
+  const round2 = (value) => parseFloat(value.toFixed(2));
+
+  // Lot rates are stored as DKK per unit; lots without one fall back to today's rate
+  const currentRate = fx.baseRateOf(stockCurrency);
+  const buyRate = stock.fxRate ? stock.fxRate / baseRateOnBuyDate : currentRate;
+
+  const cost = stock.buyPrice * stock.shares * buyRate;
+  const value = priceAvailable ? priceNative * stock.shares * currentRate : cost;
+  const gain = value - cost;
+  const gainPercent = cost > 0 ? (gain / cost) * 100 : 0;
+  const { priceEffect, currencyEffect } = priceAvailable
+    ? splitFxGain(priceNative * stock.shares, stock.buyPrice * stock.shares, cost, currentRate)
+    : { priceEffect: 0, currencyEffect: 0 };
+
+  const holding = {
+    ...stock.toObject(),
+    // Prices in NATIVE currency
+    currentPrice: round2(priceNative),
+    buyPrice: round2(stock.buyPrice),
+
+    // Value/Gain in the base currency
+    baseCurrency: fx.base,
+    currentValue: round2(value),
+    value: round2(value),
+    cost: round2(cost),
+    gain: round2(gain),
+    gainPercent: round2(gainPercent),
+    priceBase: round2(priceNative * currentRate),
+    buyPriceBase: round2(stock.buyPrice * buyRate),
+
+    // Also include native values for reference
+    priceNative: round2(priceNative),
+    buyPriceNative: round2(stock.buyPrice),
+    nativeCurrency: stockCurrency,
+
+    // Gain split into price and currency effects
+    buyFxRate: buyRate,
+    currentFxRate: currentRate,
+    buyFxRateEstimated: !stock.fxRate,
+    priceEffect,
+    currencyEffect,
+    priceAvailable,
+
+    // Where the price came from and whether it is current
+    quote: {
+      price: priceAvailable ? quote.price : null,
+      currency: stockCurrency,
+      asOf: quote.asOf,
+      source: quote.source,
+      stale: quote.stale
+    }
+  };
+
+  // DKK fields are kept for clients written before reporting currencies existed
+  if (fx.base === 'DKK') {
+    Object.assign(holding, {
+      priceDKK: holding.priceBase,
+      buyPriceDKK: holding.buyPriceBase,
+      valueDKK: holding.value,
+      costDKK: holding.cost,
+      priceEffectDKK: priceEffect,
+      currencyEffectDKK: currencyEffect
+    });
+  }
+
+  return holding;
+};
+
+/**
+ * Value lots at current prices in the rate table's base currency
+ * Prices come from the quote service, so a stock API outage values lots at their
+ * last known price (quote.stale). Only a ticker that has never been priced is
+ * valued at cost, with priceAvailable false.
+ * @param {Array} stocks - Portfolio documents
+ * @param {Object} fx - Rate table from getRateTable
+ * @param {Object} options - { refresh } to skip the quote cache
+ * @returns {Promise<Array>} Valued lots (see valueHolding)
+ */
+const enrichPortfolioWithPrices = async (stocks, fx, { refresh = false } = {}) => {
+  // Value of the base currency on each buy date, to restate DKK-quoted lot rates
+  const baseRates = await Promise.all(stocks.map(async (stock) => {
+    if (fx.base === 'DKK') return 1;
+    const rate = await getHistoricalRate(fx.base, stock.buyDate);
+    return rate.rate;
+  }));
+
+  const quotes = await getQuotes(stocks.map(s => s.ticker), { refresh });
+
+  return stocks.map((stock, i) => {
+    const quote = quotes[stock.ticker.toUpperCase()];
+    return valueHolding(stock, quote.price > 0 ? quote.price : stock.buyPrice, fx, baseRates[i], quote);
+  });
+};
+
+/**
+ * Get current prices for benchmark tickers (indexes or ETFs)
+ * @param {Array} benchmarks - [{ ticker, currency }]; without a currency the API's, then the ticker suffix, is used
+ * @returns {Promise<Array>} [{ ticker, currency, price, stale }] for the benchmarks with a known price
+ */
+const priceBenchmarks = async (benchmarks) => {
+  if (!benchmarks || benchmarks.length === 0) return [];
+
+  const quotes = await getQuotes(benchmarks.map(b => b.ticker));
+
+  return benchmarks
+    .map(({ ticker, currency }) => {
+      const quote = quotes[ticker.toUpperCase()];
+      const quoted = SUPPORTED_CURRENCIES.includes(quote.currency) ? quote.currency : null;
+      return {
+        ticker,
+        currency: currency || quoted || getCurrencyFromTicker(ticker),
+        price: quote.price || 0,
+        stale: quote.stale
+      };
+    })
+    .filter(benchmark => benchmark.price > 0);
+};
+
+module.exports = {
+  getCurrencyFromTicker,
+  valueHolding,
+  enrichPortfolioWithPrices,
+  priceBenchmarks
+};
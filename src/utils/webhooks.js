@@ -0,0 +1,305 @@
+/**
+ * Webhooks Utility
+ * Sends portfolio events to users' webhook URLs as HMAC-signed JSON, retries
+ * failed deliveries with exponential backoff and logs every delivery
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const WEBHOOK_EVENTS = ['trade.recorded', 'cash.deposit', 'cash.withdrawal', 'dividend.received', 'alert.triggered'];
+
+const DELIVERY_TIMEOUT = 10000; // Receivers get 10 seconds to answer
+const BASE_BACKOFF = 30000; // Retries wait 30s, 1m, 2m, 4m, 8m
+const RETRY_INTERVAL = 30000; // Look for due retries every 30 seconds
+const CLAIM_LEASE = 60000; // A claimed delivery is left alone this long by other senders
+
+// Loopback, private, link-local and other non-public ranges webhooks may not target
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Private targets (e.g. a home automation server on the LAN) are an explicit opt-in
+const allowPrivateTargets = () => process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Helper for the delivery agents: resolve as usual, but refuse blocked addresses, so a
+// host that re-resolves to a private address after it was checked is still not reached
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isBlockedAddress);
+    if (blocked && !allowPrivateTargets()) {
+      return callback(new Error(`${hostname} resolves to a private or local address (${blocked})`));
+    }
+    callback(null, address, family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Check that a webhook URL points at a public address
+ * Host names are resolved and every address they resolve to must be public, unless
+ * WEBHOOK_ALLOW_PRIVATE=true. Deliveries check again when they connect.
+ * @param {string} url - Webhook URL
+ * @returns {Promise<void>}
+ * @throws {Error} status 400 when the URL is invalid, cannot be resolved or is not public
+ */
+const checkWebhookUrl = async (url) => {
+  let host;
+  try {
+    host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch (error) {
+    throw badRequest('Please provide an http or https URL');
+  }
+  if (allowPrivateTargets()) return;
+
+  let addresses = [host];
+  if (!net.isIP(host)) {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw badRequest(`Webhook host ${host} cannot be resolved`);
+    }
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    throw badRequest(`Webhook URL ${host} points at a private or local address; set WEBHOOK_ALLOW_PRIVATE=true to allow this`);
+  }
+};
+
+/**
+ * New signing secret for a webhook
+ * @returns {string} 64 hex characters
+ */
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Signature of a delivery: HMAC-SHA256 over "<timestamp>.<body>"
+ * Receivers recompute it with their secret and compare it to X-Webhook-Signature
+ * (after "sha256="), and can reject old timestamps to stop replays.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds sent in X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Hex digest
+ */
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Helper to turn event data (documents included) into plain JSON without owner fields
+const toPayload = (data) => JSON.parse(JSON.stringify(data, (key, value) => (key === 'user' || key === '__v' ? undefined : value)));
+
+// Helper to build a pending delivery whose body names its own id
+const newDelivery = (webhook, event, data, options = {}) => {
+  const _id = new mongoose.Types.ObjectId();
+  const body = JSON.stringify({ id: _id, event, createdAt: new Date().toISOString(), data: toPayload(data) });
+  return new WebhookDelivery({
+    _id,
+    user: webhook.user,
+    webhook: webhook._id,
+    event,
+    body,
+    nextAttemptAt: new Date(),
+    ...options
+  });
+};
+
+/**
+ * Make one attempt at a pending delivery that is due
+ * The delivery is claimed with a conditional update first, so the scheduler and an
+ * event sent at the same time never post it twice.
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Promise<Object|null>} The updated delivery, or null when it was not due
+ */
+const attemptDelivery = async (delivery) => {
+  const now = new Date();
+  const claimed = await WebhookDelivery.findOneAndUpdate(
+    { _id: delivery._id, status: 'PENDING', nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE) },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const webhook = await Webhook.findById(claimed.webhook).select('+secret');
+  if (!webhook || (!webhook.active && !claimed.test)) {
+    claimed.set({ status: 'FAILED', error: 'Webhook deleted or disabled', nextAttemptAt: undefined });
+    return claimed.save();
+  }
+
+  const timestamp = Math.floor(now.getTime() / 1000);
+  let responseStatus;
+  let error;
+  try {
+    await checkWebhookUrl(webhook.url);
+    const response = await axios.post(webhook.url, claimed.body, {
+      timeout: DELIVERY_TIMEOUT,
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+      validateStatus: () => true,
+      transformRequest: [data => data],
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'portfolio-tracker-webhooks',
+        'X-Webhook-Id': String(webhook._id),
+        'X-Webhook-Event': claimed.event,
+        'X-Webhook-Delivery': String(claimed._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, claimed.body)}`
+      }
+    });
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      error = `Receiver answered ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  const attempts = claimed.attempts + 1;
+  const update = { attempts, lastAttemptAt: now, responseStatus, error };
+  if (!error) {
+    Object.assign(update, { status: 'DELIVERED', deliveredAt: new Date(), nextAttemptAt: undefined });
+  } else if (attempts >= claimed.maxAttempts) {
+    Object.assign(update, { status: 'FAILED', nextAttemptAt: undefined });
+  } else {
+    update.nextAttemptAt = new Date(Date.now() + BASE_BACKOFF * 2 ** (attempts - 1));
+  }
+
+  claimed.set(update);
+  await claimed.save();
+  await Webhook.updateOne({ _id: webhook._id }, { lastDeliveryAt: now, lastDeliveryStatus: claimed.status });
+  return claimed;
+};
+
+// Helper to queue and send an event to every subscribed webhook
+const deliverEvent = async (userId, event, data) => {
+  const webhooks = await Webhook.find({ user: userId, active: true, events: event });
+  if (webhooks.length === 0) return [];
+
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => newDelivery(webhook, event, data)));
+  for (const delivery of deliveries) {
+    await attemptDelivery(delivery);
+  }
+  return deliveries;
+};
+
+/**
+ * Send an event to the user's webhooks in the background
+ * Never throws: the action that raised the event has already happened, and failed
+ * deliveries are retried by the scheduler.
+ * @param {string} userId - Owner of the webhooks
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event payload (documents are serialized)
+ */
+const emitEvent = (userId, event, data) => {
+  deliverEvent(userId, event, data)
+    .catch(error => console.error(`[WEBHOOKS] Could not send ${event}:`, error.message));
+};
+
+/**
+ * Send a test event to one webhook now, without retries
+ * @param {Object} webhook - Webhook document
+ * @returns {Promise<Object>} The delivery with its outcome
+ */
+const sendTestDelivery = async (webhook) => {
+  const delivery = newDelivery(webhook, 'webhook.test', {
+    message: 'Test delivery',
+    webhook: webhook._id,
+    events: webhook.events
+  }, { test: true, maxAttempts: 1 });
+  await delivery.save();
+
+  return await attemptDelivery(delivery) || delivery;
+};
+
+/**
+ * Retry every pending delivery whose backoff has passed
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { attempted, delivered, failed }
+ */
+const retryDueDeliveries = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({ status: 'PENDING', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(100);
+
+  const result = { attempted: 0, delivered: 0, failed: 0 };
+  for (const delivery of due) {
+    try {
+      const attempted = await attemptDelivery(delivery);
+      if (!attempted) continue;
+      result.attempted += 1;
+      if (attempted.status === 'DELIVERED') result.delivered += 1;
+      if (attempted.status === 'FAILED') result.failed += 1;
+    } catch (error) {
+      console.error(`[WEBHOOKS] Could not retry delivery ${delivery._id}:`, error.message);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Retry due deliveries now and then every 30 seconds
+ * @returns {NodeJS.Timeout} The interval timer (unref'd so it never keeps the process alive)
+ */
+const startWebhookScheduler = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { attempted, delivered, failed } = await retryDueDeliveries();
+      if (attempted > 0) {
+        console.log(`[WEBHOOKS] Retried ${attempted} deliveries: ${delivered} delivered, ${failed} given up`);
+      }
+    } catch (error) {
+      console.error('[WEBHOOKS] Scheduled retry failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, RETRY_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  signPayload,
+  checkWebhookUrl,
+  emitEvent,
+  attemptDelivery,
+  sendTestDelivery,
+  retryDueDeliveries,
+  startWebhookScheduler
+};
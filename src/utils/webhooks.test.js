@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { signPayload, checkWebhookUrl } = require('./webhooks');
+
+describe('signPayload', () => {
+  test('is an HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret', () => {
+    const body = JSON.stringify({ id: '1', event: 'webhook.test' });
+    const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+
+    expect(signPayload('secret', 1700000000, body)).toBe(expected);
+  });
+
+  test('changes with the secret, the timestamp and the body', () => {
+    const signature = signPayload('secret', 1700000000, '{}');
+
+    expect(signPayload('other', 1700000000, '{}')).not.toBe(signature);
+    expect(signPayload('secret', 1700000001, '{}')).not.toBe(signature);
+    expect(signPayload('secret', 1700000000, '{ }')).not.toBe(signature);
+  });
+});
+
+describe('checkWebhookUrl', () => {
+  afterEach(() => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE;
+  });
+
+  test.each([
+    'http://127.0.0.1:8080/hook',
+    'http://10.0.0.5/hook',
+    'http://192.168.1.20:8123/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook'
+  ])('rejects %s', async (url) => {
+    await expect(checkWebhookUrl(url)).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('accepts a public address', async () => {
+    await expect(checkWebhookUrl('https://93.184.216.34/hook')).resolves.toBeUndefined();
+  });
+
+  test('accepts private addresses when they are allowed', async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+
+    await expect(checkWebhookUrl('http://192.168.1.20:8123/hook')).resolves.toBeUndefined();
+  });
+
+  test('rejects a malformed URL', async () => {
+    await expect(checkWebhookUrl('not a url')).rejects.toMatchObject({ status: 400 });
+  });
+});
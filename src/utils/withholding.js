@@ -0,0 +1,138 @@
+/**
+ * Dividend Withholding Utility
+ * Default withholding tax by source country, and the excess over the treaty
+ * rate that a Danish resident can reclaim from the source country
+ */
+
+const DOMESTIC_COUNTRY = 'DK';
+
+// Exchange suffixes the stock API uses, and the country a listing pays dividends from
+const MARKET_COUNTRIES = {
+  '.CO': 'DK',   // Copenhagen
+  '.ST': 'SE',   // Stockholm
+  '.OL': 'NO',   // Oslo
+  '.HE': 'FI',   // Helsinki
+  '.SW': 'CH',   // Swiss
+  '.L': 'GB',    // London
+  '.DE': 'DE',   // Xetra
+  '.PA': 'FR',   // Paris
+  '.AS': 'NL'    // Amsterdam
+};
+
+// Rate withheld at source (percent) when the broker has no relief at source
+// US assumes a W-8BEN is on file, as brokers require one
+const WITHHOLDING_RATES = {
+  DK: 27,
+  SE: 30,
+  NO: 25,
+  FI: 35,
+  CH: 35,
+  GB: 0,
+  DE: 26.375,
+  FR: 12.8,
+  NL: 15,
+  US: 15
+};
+
+// Rate Denmark's tax treaties allow the source country to keep (percent);
+// anything withheld above it can be reclaimed. France has no treaty with Denmark.
+const TREATY_RATES = {
+  SE: 15,
+  NO: 15,
+  FI: 15,
+  CH: 15,
+  GB: 0,
+  DE: 15,
+  NL: 15,
+  US: 15
+};
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Country a dividend is paid from, by the ticker's exchange suffix
+ * @param {string} ticker - Stock ticker, e.g. 'NOVO-B.CO'
+ * @returns {string} ISO country code; US for tickers without a suffix
+ */
+const countryFromTicker = (ticker) => {
+  const suffix = Object.keys(MARKET_COUNTRIES).find(market => String(ticker).toUpperCase().endsWith(market));
+  return suffix ? MARKET_COUNTRIES[suffix] : 'US';
+};
+
+/**
+ * Default withholding rate for a source country
+ * @param {string} country - ISO country code
+ * @returns {number} Percent withheld; 0 for countries without a known rate
+ */
+const defaultWithholdingRate = (country) => WITHHOLDING_RATES[country] || 0;
+
+/**
+ * Treaty rate for a source country
+ * @param {string} country - ISO country code
+ * @returns {number|null} Percent the source country may keep; null when there is no treaty (or domestic)
+ */
+const treatyRate = (country) => (TREATY_RATES[country] !== undefined ? TREATY_RATES[country] : null);
+
+/**
+ * Gross, withholding and net amounts of a dividend
+ * Dividends recorded before these fields existed are read as gross payouts
+ * with the default withholding for their country.
+ * @param {Object} dividend - Dividend document
+ * @returns {{ country, grossAmount, withholdingRate, withholdingTax, netAmount, estimated }}
+ */
+const dividendAmounts = (dividend) => {
+  const country = dividend.country || countryFromTicker(dividend.ticker);
+  const grossAmount = dividend.grossAmount != null ? dividend.grossAmount : dividend.totalAmount || 0;
+
+  if (dividend.withholdingTax != null) {
+    return {
+      country,
+      grossAmount,
+      withholdingRate: dividend.withholdingRate != null
+        ? dividend.withholdingRate
+        : (grossAmount > 0 ? round2(dividend.withholdingTax / grossAmount * 100) : 0),
+      withholdingTax: dividend.withholdingTax,
+      netAmount: dividend.netAmount != null ? dividend.netAmount : round2(grossAmount - dividend.withholdingTax),
+      estimated: false
+    };
+  }
+
+  const withholdingRate = defaultWithholdingRate(country);
+  const withholdingTax = round2(grossAmount * withholdingRate / 100);
+  return { country, grossAmount, withholdingRate, withholdingTax, netAmount: round2(grossAmount - withholdingTax), estimated: true };
+};
+
+/**
+ * Withholding above the treaty rate, which can be reclaimed from the source country
+ * @param {Object} amounts - Result of dividendAmounts
+ * @returns {number} Reclaimable amount in the dividend's currency
+ */
+const reclaimableAmount = ({ country, grossAmount, withholdingTax }) => {
+  const rate = treatyRate(country);
+  if (country === DOMESTIC_COUNTRY || rate === null) return 0;
+  return round2(Math.max(withholdingTax - grossAmount * rate / 100, 0));
+};
+
+/**
+ * Withholding Denmark credits against Danish tax: domestic withholding in full,
+ * foreign withholding up to the treaty rate (nothing without a treaty)
+ * @param {Object} amounts - Result of dividendAmounts
+ * @returns {number} Creditable amount in the dividend's currency
+ */
+const creditableAmount = ({ country, grossAmount, withholdingTax }) => {
+  if (country === DOMESTIC_COUNTRY) return withholdingTax;
+  const rate = treatyRate(country);
+  return rate === null ? 0 : Math.min(withholdingTax, grossAmount * rate / 100);
+};
+
+module.exports = {
+  countryFromTicker,
+  defaultWithholdingRate,
+  treatyRate,
+  dividendAmounts,
+  reclaimableAmount,
+  creditableAmount,
+  WITHHOLDING_RATES,
+  TREATY_RATES,
+  DOMESTIC_COUNTRY
+};
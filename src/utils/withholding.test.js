@@ -0,0 +1,48 @@
+const { dividendAmounts, reclaimableAmount, creditableAmount } = require('./withholding');
+
+describe('dividendAmounts', () => {
+  test('uses the recorded withholding tax', () => {
+    const amounts = dividendAmounts({ ticker: 'AAPL', grossAmount: 100, withholdingTax: 15 });
+
+    expect(amounts).toEqual({
+      country: 'US',
+      grossAmount: 100,
+      withholdingRate: 15,
+      withholdingTax: 15,
+      netAmount: 85,
+      estimated: false
+    });
+  });
+
+  test('reads older dividends as gross with the default rate for their country', () => {
+    const amounts = dividendAmounts({ ticker: 'NOVO-B.CO', totalAmount: 200 });
+
+    expect(amounts.country).toBe('DK');
+    expect(amounts.grossAmount).toBe(200);
+    expect(amounts.withholdingRate).toBe(27);
+    expect(amounts.withholdingTax).toBe(54);
+    expect(amounts.netAmount).toBe(146);
+    expect(amounts.estimated).toBe(true);
+  });
+
+  test('an explicit country wins over the ticker suffix', () => {
+    expect(dividendAmounts({ ticker: 'XYZ', country: 'SE', grossAmount: 100 }).withholdingTax).toBe(30);
+  });
+});
+
+describe('reclaimable and creditable withholding', () => {
+  test('foreign withholding above the treaty rate is reclaimable, the rest creditable', () => {
+    const amounts = dividendAmounts({ ticker: 'NESN.SW', grossAmount: 100 });
+
+    expect(amounts.withholdingTax).toBe(35);
+    expect(reclaimableAmount(amounts)).toBe(20);
+    expect(creditableAmount(amounts)).toBe(15);
+  });
+
+  test('Danish withholding is credited in full and never reclaimed', () => {
+    const amounts = dividendAmounts({ ticker: 'DANSKE.CO', grossAmount: 100 });
+
+    expect(reclaimableAmount(amounts)).toBe(0);
+    expect(creditableAmount(amounts)).toBe(27);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Zip Utility
+ * Writes and reads plain zip archives (deflate or stored entries, no encryption
+ * or zip64) with Node's zlib, for the CSV account export
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_NAMES = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+// Most an archive may expand to when read, whatever sizes its entries declare
+const MAX_UNCOMPRESSED_BYTES = 256 * 1024 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time and date fields
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Build a zip archive
+ * @param {Array} files - [{ name, data: Buffer|string }]
+ * @returns {Buffer} The archive
+ */
+const createZip = (files) => {
+  const { time, date } = dosDateTime(new Date());
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const compressed = zlib.deflateRawSync(content);
+    const fileName = Buffer.from(name, 'utf8');
+    const crc = crc32(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(DEFLATED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_NAMES, 8);
+    central.writeUInt16LE(DEFLATED, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, compressed);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + compressed.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+/**
+ * Read the files in a zip archive
+ * Every offset is checked against the buffer and each entry is inflated no further than
+ * its declared size, so a truncated or crafted archive fails with a 400.
+ * @param {Buffer} buffer - The archive
+ * @returns {Array} [{ name, data: Buffer }]
+ * @throws {Error} status 400 when the archive is malformed or expands past MAX_UNCOMPRESSED_BYTES
+ */
+const readZip = (buffer) => {
+  const invalid = (reason) => {
+    const error = new Error(`Invalid zip archive: ${reason}`);
+    error.status = 400;
+    return error;
+  };
+
+  const within = (offset, length) => offset >= 0 && offset + length <= buffer.length;
+
+  // The end record sits at the very end, before an optional comment of up to 64 KB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw invalid('end of central directory not found');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  let expanded = 0;
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    if (!within(position, 46) || buffer.readUInt32LE(position) !== CENTRAL_HEADER) {
+      throw invalid('bad central directory entry');
+    }
+
+    const method = buffer.readUInt16LE(position + 10);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const uncompressedSize = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    if (!within(position + 46, nameLength)) throw invalid('central directory entry runs past the end');
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+
+    if (!within(localOffset, 30) || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw invalid(`bad local header for ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    if (!within(dataStart, compressedSize)) throw invalid(`data for ${name} runs past the end`);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method !== STORED && method !== DEFLATED) throw invalid(`unsupported compression in ${name}`);
+    expanded += uncompressedSize;
+    if (expanded > MAX_UNCOMPRESSED_BYTES) throw invalid('archive expands past the size limit');
+
+    if (!name.endsWith('/')) {
+      let data;
+      try {
+        data = method === DEFLATED
+          ? zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, uncompressedSize) })
+          : Buffer.from(raw);
+      } catch (error) {
+        throw invalid(`${name} cannot be decompressed to its declared size`);
+      }
+      if (data.length !== uncompressedSize) throw invalid(`${name} does not match its declared size`);
+      files.push({ name, data });
+    }
+
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+};
+
+module.exports = {
+  createZip,
+  readZip
+};
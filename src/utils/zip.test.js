@@ -0,0 +1,51 @@
+const { createZip, readZip } = require('./zip');
+
+const centralDirectory = (archive) => archive.readUInt32LE(archive.length - 6);
+
+const readError = (archive) => {
+  try {
+    readZip(archive);
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('readZip', () => {
+  const archive = createZip([
+    { name: 'manifest.json', data: '{"format":"test"}' },
+    { name: 'cash.csv', data: 'date,amount\n'.repeat(1000) }
+  ]);
+
+  test('reads back what createZip wrote', () => {
+    const files = readZip(archive);
+
+    expect(files.map(file => file.name)).toEqual(['manifest.json', 'cash.csv']);
+    expect(files[1].data.toString()).toBe('date,amount\n'.repeat(1000));
+  });
+
+  test('rejects a truncated archive with a 400', () => {
+    expect(readError(archive.subarray(0, archive.length - 30))).toMatchObject({ status: 400 });
+  });
+
+  test('rejects offsets past the end of the buffer with a 400', () => {
+    const corrupt = Buffer.from(archive);
+    corrupt.writeUInt32LE(0xfffffff0, centralDirectory(corrupt) + 42);
+
+    expect(readError(corrupt)).toMatchObject({ status: 400, message: expect.stringContaining('bad local header') });
+  });
+
+  test('rejects an entry that inflates past its declared size', () => {
+    const corrupt = Buffer.from(archive);
+    corrupt.writeUInt32LE(10, centralDirectory(corrupt) + 24);
+
+    expect(readError(corrupt)).toMatchObject({ status: 400 });
+  });
+
+  test('rejects archives that declare more than the size limit', () => {
+    const corrupt = Buffer.from(archive);
+    corrupt.writeUInt32LE(0xffffffff, centralDirectory(corrupt) + 24);
+
+    expect(readError(corrupt)).toMatchObject({ status: 400, message: expect.stringContaining('size limit') });
+  });
+});